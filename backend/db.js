@@ -0,0 +1,9 @@
+// Database connection shared by the API (server.js) and the email worker (worker.js)
+const { Pool } = require('pg');
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: { rejectUnauthorized: false }
+});
+
+module.exports = pool;
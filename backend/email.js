@@ -0,0 +1,885 @@
+// Email: transports, the template engine, queueing and the queue processor.
+// server.js and worker.js both require this, so the worker runs without loading the API's routes.
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sgMail = require('@sendgrid/mail');
+const nodemailer = require('nodemailer');
+const pool = require('./db');
+
+// Email transports — every transport has send(message) -> { messageId }
+// message: { to, from: { email, name }, subject, text, html, headers, customArgs }
+// (customArgs are SendGrid-only; they come back on webhook events)
+// EMAIL_TRANSPORT picks one explicitly: sendgrid | smtp | file | log
+// Otherwise: SendGrid when SENDGRID_API_KEY is set, SMTP when SMTP_URL/SMTP_HOST is set, else log-only (dev)
+function createSendGridTransport() {
+  sgMail.setApiKey(process.env.SENDGRID_API_KEY);
+  return {
+    name: 'sendgrid',
+    async send(message) {
+      const [response] = await sgMail.send(message);
+      return { messageId: response?.headers?.['x-message-id'] || null };
+    }
+  };
+}
+
+// Converts our message shape to nodemailer's (from.email -> address)
+function nodemailerMessage(message) {
+  return { ...message, from: { name: message.from.name, address: message.from.email } };
+}
+
+function createSmtpTransport() {
+  const transporter = nodemailer.createTransport(process.env.SMTP_URL || {
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+  });
+  return {
+    name: 'smtp',
+    async send(message) {
+      const info = await transporter.sendMail(nodemailerMessage(message));
+      return { messageId: info.messageId || null };
+    }
+  };
+}
+
+// Writes each message as an .eml file (EMAIL_FILE_DIR, default ./mail) for staging inspection and tests
+function createFileTransport() {
+  const dir = path.resolve(process.env.EMAIL_FILE_DIR || 'mail');
+  const transporter = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+  return {
+    name: 'file',
+    dir,
+    async send(message) {
+      const info = await transporter.sendMail(nodemailerMessage(message));
+      const messageId = info.messageId.replace(/[<>]/g, '');
+      await fs.promises.mkdir(dir, { recursive: true });
+      await fs.promises.writeFile(path.join(dir, `${Date.now()}-${messageId.replace(/[^\w.-]/g, '_')}.eml`), info.message);
+      return { messageId };
+    }
+  };
+}
+
+function createLogTransport() {
+  return {
+    name: 'log',
+    async send(message) {
+      // Dev mode - log and treat as delivered
+      console.log(`[DEV] Email to ${message.to}: ${message.subject}`);
+      return { messageId: null };
+    }
+  };
+}
+
+function createEmailTransport() {
+  const choice = process.env.EMAIL_TRANSPORT
+    || (process.env.SENDGRID_API_KEY ? 'sendgrid' : null)
+    || (process.env.SMTP_URL || process.env.SMTP_HOST ? 'smtp' : null)
+    || 'log';
+  switch (choice) {
+    case 'sendgrid': return createSendGridTransport();
+    case 'smtp': return createSmtpTransport();
+    case 'file': return createFileTransport();
+    case 'log': return createLogTransport();
+    default: throw new Error(`Unknown EMAIL_TRANSPORT "${choice}"`);
+  }
+}
+
+const emailTransport = createEmailTransport();
+
+// Queue retries: transient failures back off exponentially (5m, 10m, 20m, ...) until EMAIL_MAX_ATTEMPTS
+const EMAIL_MAX_ATTEMPTS = parseInt(process.env.EMAIL_MAX_ATTEMPTS) || 5;
+const EMAIL_RETRY_BASE_MINUTES = parseInt(process.env.EMAIL_RETRY_BASE_MINUTES) || 5;
+
+// Permanent = retrying can't help (bad address, rejected content); transient = rate limits, outages, network
+function classifyEmailError(err) {
+  if (err.code === 'EENVELOPE') return 'permanent';
+  // SMTP reply codes: 5xx permanent, 4xx transient
+  if (err.responseCode) return err.responseCode >= 500 ? 'permanent' : 'transient';
+  // SendGrid HTTP status
+  const status = typeof err.code === 'number' ? err.code : err.response?.statusCode;
+  if (!status) return 'transient';
+  if (status === 429 || status >= 500) return 'transient';
+  // Bad API key / permissions are configuration problems, not the message's fault
+  if (status === 401 || status === 403) return 'transient';
+  return 'permanent';
+}
+
+// Queue claiming: batch size per run, how long a claim is held, and who holds it
+const EMAIL_BATCH_SIZE = parseInt(process.env.EMAIL_BATCH_SIZE) || 50;
+const EMAIL_LEASE_SECONDS = parseInt(process.env.EMAIL_LEASE_SECONDS) || 300;
+const EMAIL_WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+function emailRetryDelayMs(attempts) {
+  return EMAIL_RETRY_BASE_MINUTES * 60000 * Math.pow(2, Math.max(attempts - 1, 0));
+}
+const FROM_EMAIL = process.env.FROM_EMAIL || 'noreply@crescentpointegolf.com';
+
+// Public base URL of this API, used for open-tracking pixels and click redirects in sent emails
+const API_BASE_URL = (process.env.API_BASE_URL || 'http://localhost:3001').replace(/\/$/, '');
+const FRONTEND_BASE_URL = (process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/$/, '');
+
+// Tracking Secret - signs tracking and preference links; its own key, so it never doubles as the JWT key.
+// Require in production. TRACKING_SECRET_PREVIOUS keeps links in already-sent emails working after a change.
+const TRACKING_SECRET = process.env.TRACKING_SECRET;
+if (!TRACKING_SECRET) {
+  console.error('WARNING: TRACKING_SECRET environment variable is not set. Email links will not be signed securely.');
+  if (process.env.NODE_ENV === 'production') {
+    console.error('FATAL: TRACKING_SECRET is required in production. Set it in your Railway environment variables.');
+    process.exit(1);
+  }
+}
+const TRACKING_SECRET_VALUE = TRACKING_SECRET || 'dev-only-tracking-secret-do-not-use-in-production';
+const TRACKING_SECRET_PREVIOUS = process.env.TRACKING_SECRET_PREVIOUS || null;
+
+// Helper: Sender for a course's emails (falls back to the platform FROM_EMAIL)
+function courseSender(course) {
+  return {
+    email: course.from_email || FROM_EMAIL,
+    name: course.from_name || course.name
+  };
+}
+
+// Helper: "City, ST" footer line for a course
+function courseLocationLine(course) {
+  return [course.city, course.state].filter(Boolean).join(', ');
+}
+
+// Helper: Email template engine
+//   {{first_name}}              escaped value (dotted paths: {{course.name}}, {{location.name}})
+//   {{first_name|"there"}}      fallback when the value is empty
+//   {{{raw_html}}}              unescaped value
+//   {{#if is_local}}..{{else}}..{{/if}}, {{#unless x}}..{{/unless}}
+//   {{#each links}}<a href="{{url}}">{{label}}</a>{{else}}..{{/each}}  item fields (and {{this}}) inside the loop
+// Templates are parsed once per render; syntax errors throw with a line number.
+// Variables are true (a value), a field list (an object: {{course.name}}) or { list: fields } (for {{#each}}).
+const TEMPLATE_VARIABLES = {
+  first_name: true,
+  last_name: true,
+  email: true,
+  visit_count: true,
+  is_local: true,
+  booking_source: true,
+  play_frequency: true,
+  member_elsewhere: true,
+  membership_score: true,
+  reward_code: true,
+  reward_qr_url: true,
+  reward_emoji: true,
+  reward_description: true,
+  reward_validity: true,
+  course_name: true,
+  course_address: true,
+  brand_primary_color: true,
+  brand_accent_color: true,
+  logo_url: true,
+  footer_text: true,
+  unsubscribe_url: true,
+  pipeline_status: true,  // pipeline_status_changed trigger
+  revenue_amount: true,   // revenue_recorded trigger
+  revenue_type: true,
+  course: ['name', 'slug', 'address', 'city', 'state', 'zip', 'timezone'],
+  location: ['name', 'description', 'placement_type'],
+  links: { list: ['label', 'url'] } // courses.settings.branding.links
+};
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function parseTemplate(text) {
+  const source = text || '';
+  const lineAt = (index) => source.slice(0, index).split('\n').length;
+  const tagPattern = /\{\{\{([\s\S]*?)\}\}\}|\{\{([\s\S]*?)\}\}/g;
+  const pathPattern = /^[a-zA-Z_]\w*(\.[a-zA-Z_]\w*)*$/;
+
+  const root = { type: 'root', body: [] };
+  const stack = [root];
+  let current = root.body;
+  let lastIndex = 0;
+  let match;
+
+  const parsePath = (expr, index) => {
+    if (!pathPattern.test(expr)) {
+      throw new Error(`Invalid variable "${expr}" on line ${lineAt(index)}`);
+    }
+    return expr;
+  };
+
+  while ((match = tagPattern.exec(source)) !== null) {
+    if (match.index > lastIndex) current.push({ type: 'text', value: source.slice(lastIndex, match.index) });
+    lastIndex = tagPattern.lastIndex;
+
+    const raw = match[1] !== undefined;
+    const tag = (raw ? match[1] : match[2]).trim();
+    const line = lineAt(match.index);
+
+    if (!raw && tag.startsWith('!')) continue; // {{! comment }}
+
+    if (!raw && /^#(if|unless|each)\b/.test(tag)) {
+      const [, keyword, expr] = tag.match(/^#(if|unless|each)\s*(.*)$/);
+      if (!expr) throw new Error(`{{#${keyword}}} needs a variable on line ${line}`);
+      const node = {
+        type: keyword === 'each' ? 'each' : 'if',
+        keyword,
+        negate: keyword === 'unless',
+        path: parsePath(expr, match.index),
+        body: [],
+        elseBody: null,
+        line
+      };
+      current.push(node);
+      stack.push(node);
+      current = node.body;
+      continue;
+    }
+
+    if (!raw && tag === 'else') {
+      const open = stack[stack.length - 1];
+      if (open.type === 'root' || open.elseBody) throw new Error(`Unexpected {{else}} on line ${line}`);
+      open.elseBody = [];
+      current = open.elseBody;
+      continue;
+    }
+
+    if (!raw && tag.startsWith('/')) {
+      const keyword = tag.slice(1).trim();
+      const open = stack[stack.length - 1];
+      if (open.type === 'root') throw new Error(`Unexpected {{/${keyword}}} on line ${line}`);
+      if (open.keyword !== keyword) {
+        throw new Error(`{{/${keyword}}} on line ${line} does not close {{#${open.keyword}}} from line ${open.line}`);
+      }
+      stack.pop();
+      const parent = stack[stack.length - 1];
+      current = parent.type !== 'root' && parent.elseBody ? parent.elseBody : parent.body;
+      continue;
+    }
+
+    if (!raw && tag.startsWith('#')) throw new Error(`Unknown block "${tag}" on line ${line}`);
+
+    // Variable, with an optional quoted fallback: {{first_name|"there"}}
+    const varMatch = tag.match(/^([^|]*?)\s*(?:\|\s*(?:"([^"]*)"|'([^']*)'))?$/);
+    if (!varMatch || !varMatch[1]) throw new Error(`Invalid tag "{{${tag}}}" on line ${line}`);
+    const fallback = varMatch[2] !== undefined ? varMatch[2] : varMatch[3];
+    current.push({ type: 'var', path: parsePath(varMatch[1], match.index), fallback, raw });
+  }
+
+  const unclosed = stack[stack.length - 1];
+  if (unclosed.type !== 'root') throw new Error(`{{#${unclosed.keyword}}} on line ${unclosed.line} is never closed`);
+
+  if (lastIndex < source.length) current.push({ type: 'text', value: source.slice(lastIndex) });
+  if (/\{\{|\}\}/.test(source.replace(tagPattern, ''))) {
+    throw new Error('Unbalanced {{ or }} in template');
+  }
+  return root.body;
+}
+
+function lookupTemplateValue(data, path) {
+  return path.split('.').reduce((value, key) => (
+    value !== null && value !== undefined && typeof value === 'object' ? value[key] : undefined
+  ), data);
+}
+
+function isTemplateTruthy(value) {
+  if (Array.isArray(value)) return value.length > 0;
+  return value !== undefined && value !== null && value !== false && value !== '' && value !== 0;
+}
+
+function renderTemplateNodes(nodes, data, escape) {
+  return nodes.map((node) => {
+    if (node.type === 'text') return node.value;
+    if (node.type === 'if') {
+      const truthy = isTemplateTruthy(lookupTemplateValue(data, node.path));
+      const branch = truthy !== node.negate ? node.body : node.elseBody;
+      return branch ? renderTemplateNodes(branch, data, escape) : '';
+    }
+    if (node.type === 'each') {
+      const list = lookupTemplateValue(data, node.path);
+      if (!Array.isArray(list) || list.length === 0) {
+        return node.elseBody ? renderTemplateNodes(node.elseBody, data, escape) : '';
+      }
+      return list.map(item => renderTemplateNodes(node.body, {
+        ...data,
+        ...(item !== null && typeof item === 'object' ? item : {}),
+        this: item
+      }, escape)).join('');
+    }
+    let value = lookupTemplateValue(data, node.path);
+    if ((value === undefined || value === null || value === '') && node.fallback !== undefined) value = node.fallback;
+    if (value === undefined || value === null || typeof value === 'object') return '';
+    return escape && !node.raw ? escapeHtml(value) : String(value);
+  }).join('');
+}
+
+// Helper: Syntax errors and unknown variables for a template string
+function validateTemplate(text) {
+  let nodes;
+  try {
+    nodes = parseTemplate(text);
+  } catch (err) {
+    return { error: err.message, unknownVariables: [] };
+  }
+
+  const unknown = new Set();
+  // itemFields: what an enclosing {{#each}} adds (its item's fields plus "this")
+  const walk = (list, itemFields) => list.forEach((node) => {
+    if (node.type === 'text') return;
+    const [head, field, ...rest] = node.path.split('.');
+    const known = TEMPLATE_VARIABLES[head];
+    let ok;
+    if (node.type === 'each') ok = Boolean(known && known.list) && !field;
+    else if (itemFields.includes(head)) ok = !field;
+    else if (known && known.list) ok = node.type === 'if' && !field;
+    else ok = Array.isArray(known) ? field !== undefined && known.includes(field) && rest.length === 0 : known && !field;
+    if (!ok) unknown.add(node.path);
+    if (node.type !== 'var') {
+      const inner = node.type === 'each' && known && known.list ? [...itemFields, 'this', ...known.list] : itemFields;
+      walk(node.body, inner);
+      if (node.elseBody) walk(node.elseBody, itemFields);
+    }
+  });
+  walk(nodes, []);
+  return { error: null, unknownVariables: [...unknown] };
+}
+
+// Helper: Validate the template fields being saved; unknown variables are collected across fields
+function checkTemplateFields(fields) {
+  const unknownVariables = [];
+  for (const [field, text] of Object.entries(fields)) {
+    if (text === undefined) continue;
+    const check = validateTemplate(text);
+    if (check.error) return { error: `Template syntax error in ${field}: ${check.error}`, field, unknownVariables };
+    check.unknownVariables.forEach((name) => {
+      if (!unknownVariables.includes(name)) unknownVariables.push(name);
+    });
+  }
+  return { error: null, unknownVariables };
+}
+
+// Helper: Plain-text version of an email's HTML (used when a template has no body_text)
+function htmlToText(html) {
+  const entities = { amp: '&', lt: '<', gt: '>', quot: '"', '#39': "'", nbsp: ' ', bull: '•', mdash: '—', ndash: '–' };
+  return (html || '')
+    .replace(/<(head|style|script)[^>]*>[\s\S]*?<\/\1>/gi, '')
+    .replace(/<a\s[^>]*href="([^"]*)"[^>]*>([\s\S]*?)<\/a>/gi, (match, href, label) => {
+      const text = label.replace(/<[^>]+>/g, '').trim();
+      return text && text !== href ? `${text} (${href})` : href;
+    })
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<li[^>]*>/gi, '- ')
+    .replace(/<\/(p|div|h[1-6]|li|tr|table)>/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&(#?\w+);/g, (match, name) => (name in entities ? entities[name] : match))
+    .replace(/[ \t]+/g, ' ')
+    .replace(/ *\n */g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+// Helper: Signature for tracking URLs so pixels and redirects can't be forged (or used as open redirects)
+function trackingSignature(...parts) {
+  return signTrackingParts(TRACKING_SECRET_VALUE, parts);
+}
+
+function signTrackingParts(secret, parts) {
+  return crypto.createHmac('sha256', secret).update(parts.join(':')).digest('base64url').slice(0, 22);
+}
+
+function isValidTrackingSignature(signature, ...parts) {
+  const given = Buffer.from(String(signature || ''));
+  const secrets = TRACKING_SECRET_PREVIOUS ? [TRACKING_SECRET_VALUE, TRACKING_SECRET_PREVIOUS] : [TRACKING_SECRET_VALUE];
+  return secrets.some((secret) => {
+    const expected = Buffer.from(signTrackingParts(secret, parts));
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+  });
+}
+
+// Helper: Route http(s) links through the click redirect and append an open-tracking pixel
+function addEmailTracking(html, queueId) {
+  const tracked = (html || '').replace(/href="(https?:\/\/[^"]+)"/gi, (match, href) => {
+    const url = href.replace(/&amp;/g, '&');
+    if (url.startsWith(`${FRONTEND_BASE_URL}/preferences/`)) return match;
+    const sig = trackingSignature('click', queueId, url);
+    return `href="${API_BASE_URL}/api/email/click/${queueId}?url=${encodeURIComponent(url)}&amp;sig=${sig}"`;
+  });
+  const pixel = `<img src="${API_BASE_URL}/api/email/open/${queueId}.gif?sig=${trackingSignature('open', queueId)}" `
+    + 'width="1" height="1" alt="" style="display: block; width: 1px; height: 1px; border: 0;" />';
+  return /<\/body>/i.test(tracked) ? tracked.replace(/<\/body>/i, `${pixel}</body>`) : tracked + pixel;
+}
+
+// Helper: Signed links that let a golfer manage email without logging in
+function emailPreferenceLinks(customerId) {
+  const sig = trackingSignature('preferences', customerId);
+  return {
+    // Preference page (the body link) and the RFC 8058 one-click POST target (List-Unsubscribe header)
+    unsubscribe_url: `${FRONTEND_BASE_URL}/preferences/${customerId}?sig=${sig}`,
+    one_click_url: `${API_BASE_URL}/api/email/unsubscribe/${customerId}?sig=${sig}`
+  };
+}
+
+function listUnsubscribeHeaders(customerId) {
+  return {
+    'List-Unsubscribe': `<${emailPreferenceLinks(customerId).one_click_url}>`,
+    'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+  };
+}
+
+// Helper: Render email template (HTML body is escaped, subject and text body are not)
+// When data has unsubscribe_url and the template doesn't place it, a footer link is appended.
+function renderTemplate(template, data) {
+  const values = {
+    ...data,
+    visit_count: data.visit_count || 1
+  };
+  let bodyHtml = renderTemplateNodes(parseTemplate(template.body_html), values, true);
+  let bodyText = template.body_text && template.body_text.trim()
+    ? renderTemplateNodes(parseTemplate(template.body_text), values, false)
+    : htmlToText(bodyHtml);
+
+  if (values.unsubscribe_url && !/\{\{\s*unsubscribe_url/.test(template.body_html || '')) {
+    bodyHtml += '<p style="color: #9ca3af; font-size: 11px; text-align: center; margin: 16px 0 0;">'
+      + `<a href="${escapeHtml(values.unsubscribe_url)}" style="color: #9ca3af;">Unsubscribe or manage email preferences</a></p>`;
+  }
+  if (values.unsubscribe_url && !/\{\{\s*unsubscribe_url/.test(template.body_text || '')) {
+    bodyText += `\n\nUnsubscribe or manage email preferences: ${values.unsubscribe_url}`;
+  }
+
+  return {
+    subject: renderTemplateNodes(parseTemplate(template.subject), values, false),
+    body_html: bodyHtml,
+    body_text: bodyText
+  };
+}
+
+// Helper: Course and branding placeholders shared by every template
+// (branding comes from courses.settings.branding)
+function courseTemplateData(course) {
+  const branding = (course.settings && course.settings.branding) || {};
+  const name = course.from_name || course.name;
+  const address = branding.address || courseLocationLine(course);
+  return {
+    course_name: name,
+    course_address: address,
+    brand_primary_color: branding.primary_color || '#166534',
+    brand_accent_color: branding.accent_color || branding.primary_color || '#15803d',
+    logo_url: branding.logo_url || '',
+    footer_text: branding.footer || [name, address].filter(Boolean).join(' • '),
+    links: Array.isArray(branding.links) ? branding.links : [],
+    course: {
+      name,
+      slug: course.slug,
+      address,
+      city: course.city,
+      state: course.state,
+      zip: course.zip,
+      timezone: course.timezone
+    }
+  };
+}
+
+// Helper: Location fields for templates ({{location.name}}); the customer's latest capture location
+async function customerTemplateLocation(client, customerId) {
+  const result = await client.query(`
+    SELECT l.name, l.description, l.placement_type
+    FROM captures cap
+    JOIN locations l ON cap.location_id = l.id
+    WHERE cap.customer_id = $1
+    ORDER BY cap.created_at DESC
+    LIMIT 1
+  `, [customerId]);
+  return result.rows[0] || {};
+}
+
+// Helper: Whether a customer's preferences allow a template category (missing key = subscribed)
+function wantsEmailCategory(customer, category) {
+  if (category === 'transactional') return true;
+  return (customer.email_preferences || {})[category] !== false;
+}
+
+// Helper: Course's marketing frequency cap from settings (null when the course has none)
+function emailFrequencyCap(settings) {
+  const cap = settings && settings.email_frequency_cap;
+  if (!cap || !Number.isInteger(cap.max_per_week) || cap.max_per_week < 1) return null;
+  return { maxPerWeek: cap.max_per_week, overCap: cap.over_cap === 'skip' ? 'skip' : 'defer' };
+}
+
+// Helper: Check the frequency cap for a marketing email going out at sendAt. Returns null when it may
+// be sent, otherwise { status, scheduledFor, reason }: 'skipped', or 'pending' with the first moment a
+// rolling 7-day slot frees up (the caller snaps that into the template's send window).
+async function checkFrequencyCap(client, course, customerId, category, sendAt) {
+  const cap = emailFrequencyCap(course.settings);
+  if (!cap || category === 'transactional') return null;
+
+  // Sends without a template (pre-versioning rows) count as marketing
+  const recent = await client.query(`
+    SELECT eq.sent_at
+    FROM email_queue eq
+    LEFT JOIN email_templates t ON eq.template_id = t.id
+    WHERE eq.customer_id = $1 AND eq.status = 'sent' AND eq.sent_at > $2::timestamptz - INTERVAL '7 days'
+      AND COALESCE(t.category, 'rewards') <> 'transactional'
+    ORDER BY eq.sent_at DESC
+  `, [customerId, sendAt]);
+  if (recent.rows.length < cap.maxPerWeek) return null;
+
+  const reason = `Frequency cap: ${recent.rows.length} marketing emails in the last 7 days (limit ${cap.maxPerWeek})`;
+  if (cap.overCap === 'skip') return { status: 'skipped', scheduledFor: sendAt, reason };
+
+  const freesUpAt = new Date(new Date(recent.rows[cap.maxPerWeek - 1].sent_at).getTime() + 7 * 24 * 3600000);
+  return { status: 'pending', scheduledFor: freesUpAt.toISOString(), reason: `Deferred. ${reason}` };
+}
+
+// Helper: Queue an email for a customer
+// options: templateId (use this template instead of looking up templateType), sendAt (instead of
+// now + the template's delay_hours), enrollmentId (the sequence enrollment that sent it),
+// rethrow (throw errors instead of logging them, so the caller can retry)
+// Returns true when a queue row was inserted, false when there was nothing to send
+async function queueEmail(client, courseId, customerId, templateType, extraData = {}, options = {}) {
+  try {
+    // Check opt-out and bounces
+    const custResult = await client.query(
+      `SELECT first_name, last_name, email, visit_count, is_local, booking_source, play_frequency,
+        member_elsewhere, membership_score, opted_out_email, email_bounced, email_preferences
+       FROM customers WHERE id = $1`,
+      [customerId]
+    );
+    if (custResult.rows.length === 0 || !custResult.rows[0].email) return false;
+    if (custResult.rows[0].opted_out_email || custResult.rows[0].email_bounced) return false;
+    const customer = custResult.rows[0];
+
+    // Get template
+    const tmplResult = await client.query(
+      `SELECT * FROM email_templates
+       WHERE course_id = $1 AND ${options.templateId ? 'id' : 'type'} = $2 AND is_active = true AND deleted_at IS NULL LIMIT 1`,
+      [courseId, options.templateId || templateType]
+    );
+    if (tmplResult.rows.length === 0) return false;
+    const template = tmplResult.rows[0];
+    if (!wantsEmailCategory(customer, template.category)) return false;
+
+    const courseResult = await client.query('SELECT * FROM courses WHERE id = $1', [courseId]);
+    const course = courseResult.rows[0];
+    const data = {
+      ...courseTemplateData(course),
+      ...customer,
+      location: await customerTemplateLocation(client, customerId),
+      unsubscribe_url: emailPreferenceLinks(customerId).unsubscribe_url,
+      ...extraData
+    };
+    const rendered = renderTemplate(template, data);
+
+    let scheduledFor = new Date().toISOString();
+    if (options.sendAt) scheduledFor = new Date(options.sendAt).toISOString();
+    else if (template.delay_hours > 0) scheduledFor = new Date(Date.now() + template.delay_hours * 3600000).toISOString();
+
+    const capped = await checkFrequencyCap(client, course, customerId, template.category, scheduledFor);
+
+    // Snap into the template's send window, in the course timezone
+    await client.query(`
+      INSERT INTO email_queue
+        (course_id, customer_id, template_id, template_version, to_email, subject, body_html, body_text,
+         scheduled_for, status, status_reason, enrollment_id)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, email_send_time($9, $10, $11, $12, $13), $14, $15, $16)
+    `, [
+      courseId, customerId, template.id, template.version, customer.email,
+      rendered.subject, rendered.body_html, rendered.body_text, capped ? capped.scheduledFor : scheduledFor,
+      course.timezone || 'America/New_York', template.send_window_start, template.send_window_end, template.quiet_days,
+      capped ? capped.status : 'pending', capped ? capped.reason : null, options.enrollmentId || null
+    ]);
+    return true;
+  } catch (err) {
+    if (options.rethrow) throw err;
+    console.error('Queue email error:', err.message);
+    return false;
+  }
+}
+
+// Helper: Whether a customer matches a step condition
+function sequenceStepMatches(condition, customer) {
+  if (!condition) return true;
+  const actual = customer[condition.field];
+  switch (condition.op) {
+    case 'eq': return actual === condition.value;
+    case 'neq': return actual !== condition.value;
+    case 'gte': return actual !== null && actual !== undefined && Number(actual) >= condition.value;
+    case 'lte': return actual !== null && actual !== undefined && Number(actual) <= condition.value;
+    default: return false;
+  }
+}
+
+// ============================================
+// QUEUE PROCESSOR
+// ============================================
+
+// Moves active sequence enrollments forward: exits customers who met an exit condition, then queues
+// the due step for each enrollment. Due enrollments are claimed like queue rows (FOR UPDATE SKIP LOCKED
+// plus a lease on next_run_at), so concurrent workers don't run the same step twice.
+async function advanceEmailSequences() {
+  let queued = 0;
+  let exited = 0;
+
+  // 'joined_pipeline' and 'redeemed_reward' only count since the customer (re)entered the sequence.
+  // A returning prospect (or a capture auto-added to the pipeline before enrolling) doesn't exit at once.
+  const exits = await pool.query(`
+    UPDATE email_sequence_enrollments e
+    SET status = 'exited', completed_at = NOW(), updated_at = NOW(),
+      exit_reason = CASE
+        WHEN 'opted_out' = ANY(s.exit_conditions) AND (c.opted_out_email OR c.email_bounced) THEN 'opted_out'
+        WHEN 'joined_pipeline' = ANY(s.exit_conditions)
+          AND EXISTS (SELECT 1 FROM prospect_pipeline p WHERE p.customer_id = c.id AND p.created_at >= e.enrolled_at) THEN 'joined_pipeline'
+        ELSE 'redeemed_reward'
+      END
+    FROM email_sequences s, customers c
+    WHERE e.sequence_id = s.id AND e.customer_id = c.id AND e.status = 'active' AND (
+      ('opted_out' = ANY(s.exit_conditions) AND (c.opted_out_email OR c.email_bounced))
+      OR ('joined_pipeline' = ANY(s.exit_conditions)
+        AND EXISTS (SELECT 1 FROM prospect_pipeline p WHERE p.customer_id = c.id AND p.created_at >= e.enrolled_at))
+      OR ('redeemed_reward' = ANY(s.exit_conditions)
+        AND EXISTS (SELECT 1 FROM captures cap WHERE cap.customer_id = c.id AND cap.reward_redeemed_at >= e.enrolled_at))
+    )
+    RETURNING e.id
+  `);
+  if (exits.rows.length > 0) {
+    exited = exits.rows.length;
+    await pool.query(
+      "UPDATE email_queue SET status = 'cancelled', status_reason = 'Left the sequence' WHERE enrollment_id = ANY($1) AND status = 'pending'",
+      [exits.rows.map(row => row.id)]
+    );
+  }
+
+  const claimed = await pool.query(`
+    WITH due AS (
+      SELECT id, next_run_at FROM email_sequence_enrollments
+      WHERE status = 'active' AND next_run_at <= NOW()
+      ORDER BY next_run_at ASC
+      LIMIT $1
+      FOR UPDATE SKIP LOCKED
+    )
+    UPDATE email_sequence_enrollments e
+    SET next_run_at = NOW() + $2 * INTERVAL '1 second'
+    FROM due
+    WHERE e.id = due.id
+    RETURNING e.*, due.next_run_at AS due_at
+  `, [EMAIL_BATCH_SIZE, EMAIL_LEASE_SECONDS]);
+
+  const stepsBySequence = {};
+  for (const enrollment of claimed.rows) {
+    try {
+      if (!stepsBySequence[enrollment.sequence_id]) {
+        const stepResult = await pool.query(
+          'SELECT * FROM email_sequence_steps WHERE sequence_id = $1 ORDER BY position',
+          [enrollment.sequence_id]
+        );
+        stepsBySequence[enrollment.sequence_id] = stepResult.rows;
+      }
+      const steps = stepsBySequence[enrollment.sequence_id];
+      const custResult = await pool.query('SELECT * FROM customers WHERE id = $1', [enrollment.customer_id]);
+      const customer = custResult.rows[0];
+
+      // Run every step that is due; skipped steps (condition not met) fall through to the next one
+      let stepIndex = enrollment.current_step;
+      let runAt = new Date(enrollment.due_at);
+      while (stepIndex < steps.length && runAt <= new Date()) {
+        const step = steps[stepIndex];
+        if (customer && sequenceStepMatches(step.condition, customer)) {
+          try {
+            const inserted = await queueEmail(pool, enrollment.course_id, enrollment.customer_id, null, enrollment.context, {
+              templateId: step.template_id,
+              sendAt: new Date(),
+              enrollmentId: enrollment.id,
+              rethrow: true
+            });
+            if (inserted) queued++;
+          } catch (stepErr) {
+            // Stay on this step (steps already queued this run are kept); it's tried again next run
+            console.error(`Sequence enrollment ${enrollment.id} step ${stepIndex + 1} error:`, stepErr.message);
+            break;
+          }
+        }
+        stepIndex++;
+        if (stepIndex < steps.length) runAt = new Date(runAt.getTime() + steps[stepIndex].delay_hours * 3600000);
+      }
+
+      const done = stepIndex >= steps.length;
+      await pool.query(`
+        UPDATE email_sequence_enrollments
+        SET current_step = $2, next_run_at = $3, status = $4, completed_at = $5, updated_at = NOW()
+        WHERE id = $1 AND status = 'active'
+      `, [enrollment.id, stepIndex, done ? null : runAt.toISOString(), done ? 'completed' : 'active', done ? new Date().toISOString() : null]);
+    } catch (err) {
+      // The lease runs out and the step is tried again
+      console.error(`Sequence enrollment ${enrollment.id} error:`, err.message);
+    }
+  }
+
+  return { queued, exited };
+}
+
+// Claims up to EMAIL_BATCH_SIZE due rows with FOR UPDATE SKIP LOCKED, so any number of API instances
+// and workers (worker.js) can run this concurrently without double-sending. Claimed rows are 'sending'
+// until their lease runs out; a row whose worker died is picked up again after the lease expires.
+// Each row's lease is renewed right before it is sent, so a slow batch can't send a re-claimed row twice.
+async function processEmailQueue() {
+  let sent = 0;
+  let failed = 0;
+  let retried = 0;
+  let deferred = 0;
+  let skipped = 0;
+
+  // Sequence steps that came due are queued first so they can go out in this batch. A failure here
+  // is logged on its own so already-queued email still goes out.
+  try {
+    await advanceEmailSequences();
+  } catch (err) {
+    console.error('Email sequence error:', err.message);
+  }
+
+  try {
+    // Rows whose lease expired on the final attempt are dead-lettered rather than sent again
+    await pool.query(`
+      UPDATE email_queue
+      SET status = 'dead', locked_by = NULL, locked_until = NULL,
+        error_message = COALESCE(error_message, 'Worker stopped before finishing the final attempt')
+      WHERE status = 'sending' AND locked_until < NOW() AND attempts >= $1
+    `, [EMAIL_MAX_ATTEMPTS]);
+
+    // Due emails outside their template's send window (e.g. a retry that came due overnight, or a
+    // window edited after queueing) wait for the next opening instead of going out now
+    await pool.query(`
+      UPDATE email_queue eq
+      SET scheduled_for = email_send_time(NOW(), co.timezone, t.send_window_start, t.send_window_end, t.quiet_days)
+      FROM email_templates t, courses co
+      WHERE eq.template_id = t.id AND eq.course_id = co.id
+        AND eq.status = 'pending' AND eq.scheduled_for <= NOW()
+        AND email_send_time(NOW(), co.timezone, t.send_window_start, t.send_window_end, t.quiet_days) > NOW()
+    `);
+
+    const claimed = await pool.query(`
+      WITH due AS (
+        SELECT id FROM email_queue
+        WHERE (status = 'pending' AND scheduled_for <= NOW())
+           OR (status = 'sending' AND locked_until < NOW())
+        ORDER BY scheduled_for ASC
+        LIMIT $1
+        FOR UPDATE SKIP LOCKED
+      )
+      UPDATE email_queue eq
+      SET status = 'sending', locked_by = $2, locked_until = NOW() + $3 * INTERVAL '1 second',
+        attempts = eq.attempts + 1, last_attempt_at = NOW()
+      FROM due
+      WHERE eq.id = due.id
+      RETURNING eq.id
+    `, [EMAIL_BATCH_SIZE, EMAIL_WORKER_ID, EMAIL_LEASE_SECONDS]);
+    if (claimed.rows.length === 0) return { sent, failed, retried, deferred, skipped, transport: emailTransport.name };
+
+    const pending = await pool.query(`
+      SELECT eq.*, c.first_name, c.last_name,
+        co.name AS course_name, co.from_email, co.from_name, co.timezone, co.settings,
+        t.category, t.send_window_start, t.send_window_end, t.quiet_days
+      FROM email_queue eq
+      LEFT JOIN customers c ON eq.customer_id = c.id
+      LEFT JOIN email_templates t ON eq.template_id = t.id
+      JOIN courses co ON eq.course_id = co.id
+      WHERE eq.id = ANY($1)
+      ORDER BY eq.scheduled_for ASC
+    `, [claimed.rows.map(row => row.id)]);
+
+    for (const email of pending.rows) {
+      // Renew the lease before each send. If an earlier send in this batch ran past the lease, another
+      // worker may have re-claimed the row (bumping attempts); it's that worker's to send now.
+      const lease = await pool.query(`
+        UPDATE email_queue SET locked_until = NOW() + $4 * INTERVAL '1 second'
+        WHERE id = $1 AND status = 'sending' AND locked_by = $2 AND attempts = $3
+        RETURNING id
+      `, [email.id, EMAIL_WORKER_ID, email.attempts, EMAIL_LEASE_SECONDS]);
+      if (lease.rows.length === 0) continue;
+
+      // Re-checked at send time: other emails may have gone out since this one was queued.
+      // Sends run one at a time, so a customer's earlier email in this batch is already counted.
+      const capped = await checkFrequencyCap(pool, email, email.customer_id, email.category || 'rewards', new Date().toISOString());
+      if (capped) {
+        await pool.query(`
+          UPDATE email_queue
+          SET status = $3, status_reason = $4, attempts = attempts - 1, locked_by = NULL, locked_until = NULL,
+            scheduled_for = email_send_time($5, $6, $7, $8, $9)
+          WHERE id = $1 AND locked_by = $2
+        `, [
+          email.id, EMAIL_WORKER_ID, capped.status, capped.reason, capped.scheduledFor,
+          email.timezone || 'America/New_York', email.send_window_start, email.send_window_end, email.quiet_days || []
+        ]);
+        if (capped.status === 'skipped') skipped++;
+        else deferred++;
+        continue;
+      }
+
+      try {
+        const msg = {
+          to: email.to_email,
+          from: courseSender({ ...email, name: email.course_name }),
+          subject: email.subject,
+          text: email.body_text || htmlToText(email.body_html),
+          html: addEmailTracking(email.body_html, email.id),
+          headers: listUnsubscribeHeaders(email.customer_id),
+          customArgs: { queue_id: email.id, course_id: email.course_id }
+        };
+
+        const { messageId } = await emailTransport.send(msg);
+
+        await pool.query(`
+          UPDATE email_queue
+          SET status = 'sent', sent_at = NOW(), error_message = NULL, failure_type = NULL, status_reason = NULL,
+            locked_by = NULL, locked_until = NULL
+          WHERE id = $1 AND locked_by = $2
+        `, [email.id, EMAIL_WORKER_ID]);
+        await pool.query(
+          'INSERT INTO email_logs (queue_id, sendgrid_message_id) VALUES ($1, $2)',
+          [email.id, messageId]
+        );
+        sent++;
+      } catch (sendErr) {
+        const attempts = email.attempts;
+        const failureType = classifyEmailError(sendErr);
+        let status = 'pending';
+        if (failureType === 'permanent') status = 'failed';
+        else if (attempts >= EMAIL_MAX_ATTEMPTS) status = 'dead';
+
+        console.error(`Failed to send email ${email.id} (attempt ${attempts}, ${failureType}):`, sendErr.message);
+        await pool.query(`
+          UPDATE email_queue
+          SET status = $2, error_message = $3, failure_type = $4, locked_by = NULL, locked_until = NULL,
+            scheduled_for = CASE WHEN $2 = 'pending' THEN NOW() + $5 * INTERVAL '1 millisecond' ELSE scheduled_for END
+          WHERE id = $1 AND locked_by = $6
+        `, [email.id, status, sendErr.message, failureType, emailRetryDelayMs(attempts), EMAIL_WORKER_ID]);
+        if (status === 'pending') retried++;
+        else failed++;
+      }
+    }
+  } catch (err) {
+    console.error('Email processor error:', err.message);
+  }
+
+  return { sent, failed, retried, deferred, skipped, transport: emailTransport.name };
+}
+
+module.exports = {
+  API_BASE_URL,
+  emailTransport,
+  courseSender,
+  checkTemplateFields,
+  isValidTrackingSignature,
+  emailPreferenceLinks,
+  listUnsubscribeHeaders,
+  renderTemplate,
+  courseTemplateData,
+  customerTemplateLocation,
+  wantsEmailCategory,
+  checkFrequencyCap,
+  queueEmail,
+  processEmailQueue
+};
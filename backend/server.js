@@ -2,20 +2,34 @@ const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
-const { Pool } = require('pg');
 const multer = require('multer');
 const csv = require('csv-parse');
-const { v4: uuidv4 } = require('uuid');
+const { v4: uuidv4, validate: uuidValidate } = require('uuid');
 const dns = require('dns');
+const crypto = require('crypto');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
-const sgMail = require('@sendgrid/mail');
-
-// Configure SendGrid
-if (process.env.SENDGRID_API_KEY) {
-  sgMail.setApiKey(process.env.SENDGRID_API_KEY);
-}
-const FROM_EMAIL = process.env.FROM_EMAIL || 'noreply@crescentpointegolf.com';
+const QRCode = require('qrcode');
+const pool = require('./db');
+const {
+  API_BASE_URL,
+  emailTransport,
+  courseSender,
+  checkTemplateFields,
+  isValidTrackingSignature,
+  emailPreferenceLinks,
+  listUnsubscribeHeaders,
+  renderTemplate,
+  courseTemplateData,
+  customerTemplateLocation,
+  wantsEmailCategory,
+  checkFrequencyCap,
+  queueEmail,
+  processEmailQueue
+} = require('./email');
+
+// Course used by public routes that don't name one (the original single-course URLs)
+const DEFAULT_COURSE_SLUG = process.env.DEFAULT_COURSE_SLUG || 'crescent-pointe';
 
 // Force IPv4 for DNS resolution (fixes Railway + Supabase connectivity)
 dns.setDefaultResultOrder('ipv4first');
@@ -34,6 +48,10 @@ if (!JWT_SECRET) {
 }
 const JWT_SECRET_VALUE = JWT_SECRET || 'dev-only-secret-do-not-use-in-production';
 
+// Email categories golfers choose on the preference page; 'transactional' templates ignore preferences
+const EMAIL_CATEGORIES = ['rewards', 'membership', 'events'];
+const TEMPLATE_CATEGORIES = ['transactional', ...EMAIL_CATEGORIES];
+
 // Middleware
 app.use(helmet());
 app.use(cors({
@@ -42,7 +60,13 @@ app.use(cors({
   methods: ['GET', 'POST', 'PUT', 'DELETE'],
   allowedHeaders: ['Content-Type', 'Authorization']
 }));
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  // Signed webhooks are verified against the exact bytes received
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/webhooks/')) req.rawBody = buf;
+  }
+}));
 
 // Rate limiting for capture endpoint (prevent spam)
 const captureLimiter = rateLimit({
@@ -71,28 +95,257 @@ const authenticateToken = (req, res, next) => {
   }
 };
 
-// Admin-only middleware (must be used after authenticateToken)
-const requireAdmin = (req, res, next) => {
-  if (req.user.role !== 'admin') {
-    return res.status(403).json({ error: 'Admin access required.' });
+// Role permissions — the single source of truth for what each role may do.
+// The dashboard receives this list from /api/auth/me and hides tabs accordingly.
+const ALL_PERMISSIONS = [
+  'rewards:redeem',    // look up and redeem reward codes
+  'customers:read',    // customer list/detail, prospects, tags
+  'customers:write',   // tag customers, opt them out of email
+  'locations:read',    // QR locations
+  'locations:manage',  // create locations, reward catalog, A/B tests
+  'analytics:read',    // dashboard stats
+  'pipeline',          // membership pipeline
+  'segments',          // saved segments and segment exports/emails
+  'email',             // email queue, templates
+  'export',            // customer CSV export
+  'import',            // CSV imports
+  'revenue',           // revenue tracking
+  'team',              // manage dashboard users
+  'course'             // course name, timezone, branding, sender address
+];
+
+const ROLE_PERMISSIONS = {
+  bartender: ['rewards:redeem'],
+  pro_shop: ['rewards:redeem', 'customers:read'],
+  staff: ['rewards:redeem', 'customers:read', 'customers:write', 'locations:read', 'analytics:read'],
+  membership_director: [
+    'rewards:redeem', 'customers:read', 'customers:write', 'locations:read', 'analytics:read',
+    'pipeline', 'segments', 'email', 'export'
+  ],
+  owner: ALL_PERMISSIONS,
+  admin: ALL_PERMISSIONS
+};
+
+// Helper: Permissions granted to a role (unknown roles get none)
+function permissionsForRole(role) {
+  return ROLE_PERMISSIONS[role] || [];
+}
+
+// Permission middleware (must be used after authenticateToken).
+// The role comes from admin_users, not the token, so a role change or deactivation applies on the
+// next request, the same way the dashboard sees it through /api/auth/me.
+const requirePermission = (permission) => async (req, res, next) => {
+  try {
+    const result = await pool.query(
+      'SELECT role FROM admin_users WHERE id = $1 AND course_id = $2 AND is_active = true',
+      [req.user.id, req.user.courseId]
+    );
+    if (result.rows.length === 0) {
+      return res.status(401).json({ error: 'Your account is no longer active. Please log in again.' });
+    }
+    req.user.role = result.rows[0].role;
+    if (!permissionsForRole(req.user.role).includes(permission)) {
+      return res.status(403).json({ error: 'You do not have permission to do this.' });
+    }
+    next();
+  } catch (error) {
+    console.error('Permission check error:', error);
+    res.status(500).json({ error: error.message });
   }
-  next();
 };
 
-// Database connection
-const pool = new Pool({
-  connectionString: process.env.DATABASE_URL,
-  ssl: { rejectUnauthorized: false }
-});
+// Reward code alphabet (no 0/O/1/I) and the prefix used when a course doesn't set one
+const REWARD_CODE_CHARS = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const DEFAULT_REWARD_CODE_PREFIX = 'CP';
+// 2-4 code characters; with 6 random chars and the check char a code stays within captures.reward_code VARCHAR(20)
+const REWARD_CODE_PREFIX_PATTERN = /^[A-HJ-NP-Z2-9]{2,4}$/;
+
+// Helper: Luhn mod 32 check character over the whole code (prefix included)
+function rewardCodeCheckChar(code) {
+  const n = REWARD_CODE_CHARS.length;
+  let factor = 2;
+  let sum = 0;
+  for (let i = code.length - 1; i >= 0; i--) {
+    const codePoint = REWARD_CODE_CHARS.indexOf(code[i]);
+    if (codePoint === -1) return null;
+    let addend = factor * codePoint;
+    factor = factor === 2 ? 1 : 2;
+    addend = Math.floor(addend / n) + (addend % n);
+    sum += addend;
+  }
+  return REWARD_CODE_CHARS[(n - (sum % n)) % n];
+}
 
-// Helper: Generate reward code
-function generateRewardCode() {
-  const chars = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
-  let code = 'CP';
+// Helper: Crypto-random reward code: prefix + 6 random chars + 1 check char
+function generateRewardCode(prefix = DEFAULT_REWARD_CODE_PREFIX) {
+  let code = prefix;
   for (let i = 0; i < 6; i++) {
-    code += chars.charAt(Math.floor(Math.random() * chars.length));
+    code += REWARD_CODE_CHARS.charAt(crypto.randomInt(REWARD_CODE_CHARS.length));
+  }
+  return code + rewardCodeCheckChar(code);
+}
+
+// Helper: Normalize staff-entered codes (case, spaces, dashes)
+function normalizeRewardCode(code) {
+  return String(code || '').toUpperCase().replace(/[\s-]/g, '');
+}
+
+// Helper: Check a reward code's check character before hitting the database.
+// Codes issued before check characters (CP + 6 chars, plus the dedupe suffix from
+// migration 013) are still accepted as-is.
+function isValidRewardCode(code) {
+  if (/^CP[A-HJ-NP-Z2-9]{6}([0-9A-F]{4})?$/.test(code)) return true;
+  if (code.length < 4) return false;
+  return rewardCodeCheckChar(code.slice(0, -1)) === code.slice(-1);
+}
+
+// Helper: Scannable QR image of a reward code for emails, rendered by this API (GET /api/rewards/:code/qr.png)
+// so codes are never sent to a third-party QR service
+function rewardQrImageUrl(code) {
+  return `${API_BASE_URL}/api/rewards/${encodeURIComponent(code)}/qr.png`;
+}
+
+// Helper: Reward code prefix from course settings (2-4 letters, default CP)
+function rewardCodePrefix(settings) {
+  const prefix = String((settings && settings.reward_code_prefix) || '').toUpperCase();
+  return REWARD_CODE_PREFIX_PATTERN.test(prefix) ? prefix : DEFAULT_REWARD_CODE_PREFIX;
+}
+
+// Helper: Deterministically assign a weighted A/B/n variant (same test + key always lands in the same bucket)
+function assignAbVariant(testId, key, variants) {
+  const hash = crypto.createHash('sha256').update(`${testId}:${key}`).digest();
+  const totalWeight = variants.reduce((sum, v) => sum + v.weight, 0);
+  let point = (hash.readUInt32BE(0) / 0x100000000) * totalWeight;
+  for (const variant of variants) {
+    if (point < variant.weight) return variant;
+    point -= variant.weight;
   }
-  return code;
+  return variants[variants.length - 1];
+}
+
+// Helper: Reward choices offered at a location (falls back to the course's full active catalog)
+async function getRewardChoices(client, courseId, locationId) {
+  if (locationId) {
+    const offered = await client.query(`
+      SELECT rc.*
+      FROM location_reward_options lro
+      JOIN reward_catalog rc ON lro.reward_id = rc.id
+      WHERE lro.location_id = $1 AND rc.course_id = $2 AND rc.is_active = true
+      ORDER BY lro.position, rc.position
+    `, [locationId, courseId]);
+    if (offered.rows.length > 0) return offered.rows;
+  }
+
+  const all = await client.query(
+    'SELECT * FROM reward_catalog WHERE course_id = $1 AND is_active = true ORDER BY position, label',
+    [courseId]
+  );
+  return all.rows;
+}
+
+// Helper: Look up a catalog reward by type (inactive rewards still resolve for codes already issued)
+async function getCatalogReward(client, courseId, rewardType) {
+  const result = await client.query(
+    'SELECT * FROM reward_catalog WHERE course_id = $1 AND type = $2',
+    [courseId, rewardType]
+  );
+  return result.rows[0] || null;
+}
+
+// Helper: Validity window for a newly issued reward, computed in the course timezone.
+// Rewards without a catalog entry default to same-day.
+async function computeRewardValidity(client, courseId, rewardType) {
+  const result = await client.query(`
+    SELECT
+      c.timezone,
+      CASE WHEN rc.validity_type = 'date_range' AND rc.valid_from IS NOT NULL
+        THEN rc.valid_from::timestamp AT TIME ZONE c.timezone
+      END AS valid_from,
+      CASE COALESCE(rc.validity_type, 'same_day')
+        WHEN 'date_range' THEN (rc.valid_until + 1)::timestamp AT TIME ZONE c.timezone
+        WHEN 'days' THEN (date_trunc('day', NOW() AT TIME ZONE c.timezone)
+          + COALESCE(rc.validity_days, 1) * INTERVAL '1 day') AT TIME ZONE c.timezone
+        ELSE (date_trunc('day', NOW() AT TIME ZONE c.timezone) + INTERVAL '1 day') AT TIME ZONE c.timezone
+      END AS expires_at
+    FROM courses c
+    LEFT JOIN reward_catalog rc ON rc.course_id = c.id AND rc.type = $2
+    WHERE c.id = $1
+  `, [courseId, rewardType]);
+
+  const row = result.rows[0] || {};
+  return {
+    timezone: row.timezone || 'America/New_York',
+    validFrom: row.valid_from || null,
+    expiresAt: row.expires_at || null
+  };
+}
+
+// Helper: Human-readable validity line for reward emails
+function formatRewardValidity(validity) {
+  if (!validity.expiresAt) return 'No expiration';
+
+  // expires_at is the exclusive midnight boundary; the last valid day is the one before it
+  const lastDay = new Date(new Date(validity.expiresAt).getTime() - 1);
+  const dayFormat = { timeZone: validity.timezone, month: 'short', day: 'numeric', year: 'numeric' };
+  const today = new Date().toLocaleDateString('en-US', dayFormat);
+  const last = lastDay.toLocaleDateString('en-US', dayFormat);
+
+  if (last === today && !validity.validFrom) return 'Valid today only';
+  if (validity.validFrom) {
+    const first = new Date(validity.validFrom).toLocaleDateString('en-US', dayFormat);
+    return `Valid ${first} – ${last}`;
+  }
+  return `Valid through ${last}`;
+}
+
+// Helper: Expiry status of an issued reward code
+function rewardExpiryStatus(capture, now = new Date()) {
+  if (capture.reward_redeemed) return 'redeemed';
+  if (capture.valid_from && new Date(capture.valid_from) > now) return 'not_yet_valid';
+  if (capture.expires_at && new Date(capture.expires_at) <= now) return 'expired';
+  return 'valid';
+}
+
+// Helper: Validate a reward validity rule from a request body
+function validateRewardValidity(body) {
+  const { validity_type, validity_days, valid_from, valid_until } = body;
+  const isDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value || '');
+
+  if (!['same_day', 'days', 'date_range'].includes(validity_type)) {
+    return 'validity_type must be same_day, days, or date_range';
+  }
+  if (validity_type === 'days' && !(parseInt(validity_days) > 0)) {
+    return 'validity_days must be a positive number';
+  }
+  if (validity_type === 'date_range') {
+    if (!isDate(valid_until)) return 'valid_until must be a date (YYYY-MM-DD)';
+    if (valid_from && !isDate(valid_from)) return 'valid_from must be a date (YYYY-MM-DD)';
+    if (valid_from && valid_from > valid_until) return 'valid_from must be on or before valid_until';
+  }
+  return null;
+}
+
+// Helper: Check an IANA timezone name (e.g. America/New_York)
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+// Helper: Public, non-sensitive view of a course for the capture form
+function publicCourse(course) {
+  return {
+    slug: course.slug,
+    name: course.name,
+    displayName: course.from_name || course.name,
+    city: course.city,
+    state: course.state,
+    timezone: course.timezone,
+    branding: (course.settings && course.settings.branding) || {}
+  };
 }
 
 // Helper: Normalize phone number
@@ -133,55 +386,344 @@ function calculateMembershipScore(customer) {
   return Math.min(score, 100);
 }
 
-// Helper: Render email template with placeholders
-function renderTemplate(template, data) {
-  let html = template.body_html;
-  let subject = template.subject;
-  const replacements = {
-    '{{first_name}}': data.first_name || '',
-    '{{last_name}}': data.last_name || '',
-    '{{reward_code}}': data.reward_code || '',
-    '{{visit_count}}': String(data.visit_count || 1)
-  };
-  for (const [key, value] of Object.entries(replacements)) {
-    html = html.split(key).join(value);
-    subject = subject.split(key).join(value);
+// Helper: Validate a template's send window ("HH:MM" local times, both or neither) and quiet days (0 = Sunday)
+function checkSendWindow({ send_window_start, send_window_end, quiet_days }) {
+  if (send_window_start !== undefined || send_window_end !== undefined) {
+    const start = send_window_start || null;
+    const end = send_window_end || null;
+    const timePattern = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/;
+    if (Boolean(start) !== Boolean(end)) return 'Send window needs both a start and an end time';
+    if (start && (!timePattern.test(start) || !timePattern.test(end))) return 'Send window times must be HH:MM';
+    if (start && start.slice(0, 5) >= end.slice(0, 5)) return 'Send window must start before it ends';
   }
-  return { subject, body_html: html };
+  if (quiet_days !== undefined) {
+    if (!Array.isArray(quiet_days) || !quiet_days.every(day => Number.isInteger(day) && day >= 0 && day <= 6)) {
+      return 'Quiet days must be weekday numbers from 0 (Sunday) to 6 (Saturday)';
+    }
+    if (new Set(quiet_days).size === 7) return 'At least one day must allow sending';
+  }
+  return null;
 }
 
-// Helper: Queue an email for a customer
-async function queueEmail(client, courseId, customerId, templateType, extraData = {}) {
+// Helper: Verify SendGrid's signed event webhook (ECDSA over timestamp + raw body)
+// SENDGRID_WEBHOOK_PUBLIC_KEY is the base64 verification key from SendGrid's Mail Settings
+function verifySendGridSignature(req) {
+  const publicKey = process.env.SENDGRID_WEBHOOK_PUBLIC_KEY;
+  const signature = req.get('X-Twilio-Email-Event-Webhook-Signature');
+  const timestamp = req.get('X-Twilio-Email-Event-Webhook-Timestamp');
+  if (!publicKey || !signature || !timestamp || !req.rawBody) return false;
+
   try {
-    // Check opt-out
-    const custResult = await client.query(
-      'SELECT first_name, last_name, email, visit_count, opted_out_email FROM customers WHERE id = $1',
-      [customerId]
-    );
-    if (custResult.rows.length === 0 || !custResult.rows[0].email || custResult.rows[0].opted_out_email) return;
-    const customer = custResult.rows[0];
+    const key = crypto.createPublicKey({ key: Buffer.from(publicKey, 'base64'), format: 'der', type: 'spki' });
+    return crypto.createVerify('sha256')
+      .update(timestamp)
+      .update(req.rawBody)
+      .verify(key, signature, 'base64');
+  } catch (err) {
+    console.error('SendGrid signature check failed:', err.message);
+    return false;
+  }
+}
+
+// Helper: Stop emailing a customer — opt out and cancel anything still queued
+async function optOutCustomerEmail(client, customerId) {
+  await client.query('UPDATE customers SET opted_out_email = true WHERE id = $1', [customerId]);
+  await client.query(
+    "UPDATE email_queue SET status = 'cancelled' WHERE customer_id = $1 AND status = 'pending'",
+    [customerId]
+  );
+}
+
+// Helper: Line diff between two texts (LCS) for template version history
+function diffLines(before, after) {
+  const a = (before || '').split('\n');
+  const b = (after || '').split('\n');
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) { lines.push({ type: 'same', line: a[i] }); i++; j++; }
+    else if (lcs[i + 1][j] >= lcs[i][j + 1]) { lines.push({ type: 'removed', line: a[i] }); i++; }
+    else { lines.push({ type: 'added', line: b[j] }); j++; }
+  }
+  while (i < a.length) lines.push({ type: 'removed', line: a[i++] });
+  while (j < b.length) lines.push({ type: 'added', line: b[j++] });
+  return lines;
+}
 
-    // Get template
-    const tmplResult = await client.query(
-      'SELECT * FROM email_templates WHERE course_id = $1 AND type = $2 AND is_active = true LIMIT 1',
-      [courseId, templateType]
+// Helper: Snapshot a template's current content as its version row
+async function saveTemplateVersion(client, template, userId, restoredFromVersion = null) {
+  await client.query(`
+    INSERT INTO email_template_versions
+      (template_id, version, name, subject, body_html, body_text, delay_hours, restored_from_version, created_by)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+  `, [
+    template.id, template.version, template.name, template.subject, template.body_html,
+    template.body_text, template.delay_hours, restoredFromVersion, userId
+  ]);
+}
+
+// Helper: Render the course's reward_code template and send it right away (not queued)
+async function sendRewardCodeEmail(client, course, customer, reward) {
+  const tmplResult = await client.query(
+    "SELECT * FROM email_templates WHERE course_id = $1 AND type = 'reward_code' AND deleted_at IS NULL ORDER BY updated_at DESC LIMIT 1",
+    [course.id]
+  );
+  if (tmplResult.rows.length === 0) {
+    console.error(`No reward_code template for course ${course.slug}`);
+    return false;
+  }
+
+  const rendered = renderTemplate(tmplResult.rows[0], {
+    ...courseTemplateData(course),
+    ...customer,
+    location: customer.id ? await customerTemplateLocation(client, customer.id) : {},
+    unsubscribe_url: customer.id ? emailPreferenceLinks(customer.id).unsubscribe_url : undefined,
+    reward_code: reward.code,
+    reward_qr_url: rewardQrImageUrl(reward.code),
+    reward_emoji: reward.emoji || '🎁',
+    reward_description: reward.description,
+    reward_validity: formatRewardValidity(reward.validity)
+  });
+
+  await emailTransport.send({
+    to: customer.email,
+    from: courseSender(course),
+    subject: rendered.subject,
+    text: rendered.body_text,
+    html: rendered.body_html,
+    headers: customer.id ? listUnsubscribeHeaders(customer.id) : undefined,
+    customArgs: { course_id: course.id }
+  });
+  return true;
+}
+
+// Helper: Template data for previews and test sends — a real customer when one is chosen,
+// otherwise a sample guest. Reward fields are sample values so reward_code previews render.
+async function templatePreviewData(client, course, customerId) {
+  let customer = {
+    first_name: 'Alex',
+    last_name: 'Sample',
+    email: 'alex@example.com',
+    visit_count: 1,
+    is_local: true,
+    booking_source: 'website',
+    play_frequency: 'monthly',
+    member_elsewhere: false,
+    membership_score: 65
+  };
+  let location;
+
+  if (customerId) {
+    const custResult = await client.query(`
+      SELECT id, first_name, last_name, email, visit_count, is_local, booking_source, play_frequency,
+        member_elsewhere, membership_score
+      FROM customers WHERE id = $1 AND course_id = $2
+    `, [customerId, course.id]);
+    if (custResult.rows.length === 0) return null;
+    customer = custResult.rows[0];
+    location = await customerTemplateLocation(client, customer.id);
+  } else {
+    const locResult = await client.query(
+      'SELECT name, description, placement_type FROM locations WHERE course_id = $1 AND is_active = true ORDER BY created_at LIMIT 1',
+      [course.id]
     );
-    if (tmplResult.rows.length === 0) return;
-    const template = tmplResult.rows[0];
+    location = locResult.rows[0] || { name: 'Clubhouse', description: '', placement_type: 'check_in' };
+  }
 
-    const data = { ...customer, ...extraData };
-    const rendered = renderTemplate(template, data);
+  const rewardResult = await client.query(
+    'SELECT type, description, emoji FROM reward_catalog WHERE course_id = $1 AND is_active = true ORDER BY position LIMIT 1',
+    [course.id]
+  );
+  const reward = rewardResult.rows[0] || { description: 'Free beer after your round', emoji: '🍺' };
+  const sampleCode = generateRewardCode(rewardCodePrefix(course.settings));
+
+  return {
+    ...courseTemplateData(course),
+    ...customer,
+    location,
+    unsubscribe_url: emailPreferenceLinks(customer.id || '00000000-0000-0000-0000-000000000000').unsubscribe_url,
+    reward_code: sampleCode,
+    reward_qr_url: rewardQrImageUrl(sampleCode),
+    reward_emoji: reward.emoji || '🎁',
+    reward_description: reward.description,
+    reward_validity: 'Valid today only'
+  };
+}
 
-    const scheduledFor = template.delay_hours > 0
-      ? new Date(Date.now() + template.delay_hours * 3600000).toISOString()
-      : new Date().toISOString();
+// Helper: Render a saved template, or unsaved edits to it, for preview/test send
+// Returns { error, status } when the template, customer or syntax is bad
+async function renderTemplatePreview(client, courseId, templateId, { subject, body_html, body_text, customerId } = {}) {
+  const tmplResult = await client.query(
+    'SELECT * FROM email_templates WHERE id = $1 AND course_id = $2 AND deleted_at IS NULL',
+    [templateId, courseId]
+  );
+  if (tmplResult.rows.length === 0) return { error: 'Template not found', status: 404 };
+  const template = { ...tmplResult.rows[0] };
+  if (subject !== undefined) template.subject = subject;
+  if (body_html !== undefined) template.body_html = body_html;
+  if (body_text !== undefined) template.body_text = body_text;
+
+  const check = checkTemplateFields({ subject: template.subject, body_html: template.body_html, body_text: template.body_text });
+  if (check.error) return { error: check.error, status: 400 };
+
+  const courseResult = await client.query('SELECT * FROM courses WHERE id = $1', [courseId]);
+  const course = courseResult.rows[0];
+  const data = await templatePreviewData(client, course, customerId);
+  if (!data) return { error: 'Customer not found', status: 404 };
+
+  return { template, course, rendered: renderTemplate(template, data) };
+}
 
-    await client.query(`
-      INSERT INTO email_queue (course_id, customer_id, template_id, to_email, subject, body_html, scheduled_for)
-      VALUES ($1, $2, $3, $4, $5, $6, $7)
-    `, [courseId, customerId, template.id, customer.email, rendered.subject, rendered.body_html, scheduledFor]);
+// Drip sequence settings (see 028_email_sequences.sql)
+const SEQUENCE_ENROLL_ON = ['capture', 'new_customer'];
+const SEQUENCE_EXIT_CONDITIONS = ['opted_out', 'joined_pipeline', 'redeemed_reward'];
+// Customer fields a step can branch on, with the type their value must have
+const SEQUENCE_CONDITION_FIELDS = {
+  is_local: 'boolean',
+  member_elsewhere: 'boolean',
+  booking_source: 'string',
+  play_frequency: 'string',
+  visit_count: 'number',
+  membership_score: 'number'
+};
+const SEQUENCE_CONDITION_OPS = ['eq', 'neq', 'gte', 'lte'];
+
+// Helper: Validate a step condition ({ field, op, value }); null/undefined means "always send"
+function checkSequenceCondition(condition) {
+  if (condition === null || condition === undefined) return null;
+  const type = SEQUENCE_CONDITION_FIELDS[condition.field];
+  if (!type) return `Condition field must be one of: ${Object.keys(SEQUENCE_CONDITION_FIELDS).join(', ')}`;
+  if (!SEQUENCE_CONDITION_OPS.includes(condition.op)) return `Condition operator must be one of: ${SEQUENCE_CONDITION_OPS.join(', ')}`;
+  if (typeof condition.value !== type) return `Condition value for ${condition.field} must be a ${type}`;
+  if ((condition.op === 'gte' || condition.op === 'lte') && type !== 'number') return `${condition.field} can only use eq or neq`;
+  return null;
+}
+
+// Helper: Enroll a customer in the course's active sequences for a capture. Restarts finished or
+// exited enrollments; a customer already part-way through a sequence stays where they are.
+async function enrollInSequences(client, courseId, customerId, { isNewCustomer, context = {} }) {
+  const enrollOn = isNewCustomer ? ['capture', 'new_customer'] : ['capture'];
+  await client.query(`
+    INSERT INTO email_sequence_enrollments (sequence_id, course_id, customer_id, context, current_step, next_run_at)
+    SELECT s.id, s.course_id, $2, $3, 0, NOW() + first_step.delay_hours * INTERVAL '1 hour'
+    FROM email_sequences s
+    JOIN LATERAL (
+      SELECT delay_hours FROM email_sequence_steps WHERE sequence_id = s.id ORDER BY position LIMIT 1
+    ) first_step ON true
+    WHERE s.course_id = $1 AND s.is_active = true AND s.enroll_on = ANY($4)
+    ON CONFLICT (sequence_id, customer_id) DO UPDATE
+    SET status = 'active', current_step = 0, next_run_at = EXCLUDED.next_run_at, context = EXCLUDED.context,
+      exit_reason = NULL, enrolled_at = NOW(), completed_at = NULL, updated_at = NOW()
+    WHERE email_sequence_enrollments.status <> 'active'
+  `, [courseId, customerId, JSON.stringify(context), enrollOn]);
+}
+
+// Events an email trigger can listen for. value: null (the event has none), 'optional' (one of
+// options, blank = any), or 'count' (a required whole number, e.g. visit_milestone's N)
+const PIPELINE_STATUSES = ['new', 'contacted', 'tour_scheduled', 'joined', 'passed'];
+const REVENUE_EVENT_TYPES = ['membership', 'green_fee', 'pro_shop', 'food_bev'];
+const EMAIL_TRIGGER_EVENTS = {
+  capture_created: { value: null },
+  reward_redeemed: { value: null },
+  pipeline_status_changed: { value: 'optional', options: PIPELINE_STATUSES },
+  revenue_recorded: { value: 'optional', options: REVENUE_EVENT_TYPES },
+  visit_milestone: { value: 'count' }
+};
+
+// Helper: Queue the templates a course maps to an event (email_triggers). Never throws: a trigger
+// problem must not fail the capture, redemption, etc. that raised the event.
+async function fireEmailTrigger(client, courseId, customerId, event, { value = null, data = {} } = {}) {
+  if (!customerId) return;
+  try {
+    const triggers = await client.query(`
+      SELECT template_type, delay_hours FROM email_triggers
+      WHERE course_id = $1 AND event = $2 AND is_active = true AND (event_value IS NULL OR event_value = $3)
+    `, [courseId, event, value === null ? null : String(value)]);
+
+    for (const trigger of triggers.rows) {
+      const options = trigger.delay_hours === null ? {} : { sendAt: Date.now() + trigger.delay_hours * 3600000 };
+      await queueEmail(client, courseId, customerId, trigger.template_type, data, options);
+    }
   } catch (err) {
-    console.error('Queue email error:', err.message);
+    console.error(`Email trigger ${event} error:`, err.message);
+  }
+}
+
+// Helper: Validate an email trigger; returns an error message or null.
+// event_value is normalized in place (blank -> null, counts -> "3")
+async function checkTriggerFields(client, courseId, fields) {
+  const spec = EMAIL_TRIGGER_EVENTS[fields.event];
+  if (!spec) return `Event must be one of: ${Object.keys(EMAIL_TRIGGER_EVENTS).join(', ')}`;
+
+  const value = fields.event_value === undefined || fields.event_value === '' ? null : fields.event_value;
+  if (spec.value === null && value !== null) return `${fields.event} doesn't take a value`;
+  if (spec.value === 'optional' && value !== null && !spec.options.includes(value)) {
+    return `Value for ${fields.event} must be one of: ${spec.options.join(', ')}`;
+  }
+  if (spec.value === 'count' && !(Number.isInteger(Number(value)) && Number(value) > 0)) {
+    return `${fields.event} needs a visit count of at least 1`;
+  }
+  fields.event_value = spec.value === 'count' ? String(Number(value)) : value;
+
+  if (fields.delay_hours !== undefined && fields.delay_hours !== null && fields.delay_hours !== ''
+    && (!Number.isInteger(Number(fields.delay_hours)) || Number(fields.delay_hours) < 0)) {
+    return 'Delay must be a whole number of hours';
+  }
+  const template = await client.query(
+    'SELECT id FROM email_templates WHERE course_id = $1 AND type = $2 AND deleted_at IS NULL',
+    [courseId, fields.template_type]
+  );
+  if (template.rows.length === 0) return 'Template not found';
+  return null;
+}
+
+// Helper: Validate a sequence body; steps are [{ template_id, delay_hours, condition }] in send order
+async function checkSequenceFields(client, courseId, { name, enroll_on, exit_conditions, steps }) {
+  if (name !== undefined && !String(name).trim()) return 'Name is required';
+  if (enroll_on !== undefined && !SEQUENCE_ENROLL_ON.includes(enroll_on)) {
+    return `enroll_on must be one of: ${SEQUENCE_ENROLL_ON.join(', ')}`;
+  }
+  if (exit_conditions !== undefined && (
+    !Array.isArray(exit_conditions) || !exit_conditions.every(c => SEQUENCE_EXIT_CONDITIONS.includes(c))
+  )) {
+    return `Exit conditions must be any of: ${SEQUENCE_EXIT_CONDITIONS.join(', ')}`;
+  }
+  if (steps === undefined) return null;
+  if (!Array.isArray(steps) || steps.length === 0) return 'A sequence needs at least one step';
+
+  for (const [index, step] of steps.entries()) {
+    if (!Number.isInteger(Number(step.delay_hours)) || Number(step.delay_hours) < 0) {
+      return `Step ${index + 1}: delay must be a whole number of hours`;
+    }
+    const conditionError = checkSequenceCondition(step.condition);
+    if (conditionError) return `Step ${index + 1}: ${conditionError}`;
+  }
+  const templateIds = steps.map(step => step.template_id);
+  if (!templateIds.every(id => uuidValidate(String(id || '')))) return 'Every step needs a template';
+  const templates = await client.query(
+    'SELECT id FROM email_templates WHERE id = ANY($1) AND course_id = $2 AND deleted_at IS NULL',
+    [templateIds, courseId]
+  );
+  if (templates.rows.length !== new Set(templateIds).size) return 'Every step needs a template from this course';
+  return null;
+}
+
+// Helper: Replace a sequence's steps (positions follow array order)
+async function saveSequenceSteps(client, sequenceId, steps) {
+  await client.query('DELETE FROM email_sequence_steps WHERE sequence_id = $1', [sequenceId]);
+  for (const [position, step] of steps.entries()) {
+    await client.query(`
+      INSERT INTO email_sequence_steps (sequence_id, position, template_id, delay_hours, condition)
+      VALUES ($1, $2, $3, $4, $5)
+    `, [sequenceId, position, step.template_id, Number(step.delay_hours), step.condition ? JSON.stringify(step.condition) : null]);
   }
 }
 
@@ -229,6 +771,207 @@ function buildSegmentFilterSQL(filters, params, startIndex) {
   return { conditions, params, nextIndex: idx };
 }
 
+// Helper: Standard normal CDF (Abramowitz-Stegun erf approximation)
+function normalCdf(z) {
+  const t = 1 / (1 + 0.3275911 * Math.abs(z) / Math.SQRT2);
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const erf = 1 - poly * Math.exp(-(z * z) / 2);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+// Helper: Inverse standard normal CDF (Acklam's rational approximation)
+function normalQuantile(p) {
+  const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.3577518672690, -30.66479806614716, 2.506628277459239];
+  const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572];
+  const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+  const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+  const pLow = 0.02425;
+
+  if (p < pLow) {
+    const q = Math.sqrt(-2 * Math.log(p));
+    return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+      ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  }
+  if (p > 1 - pLow) {
+    return -normalQuantile(1 - p);
+  }
+  const q = p - 0.5;
+  const r = q * q;
+  return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+    (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+}
+
+// Helper: Two-proportion z-test between two variants
+function twoProportionTest(a, b) {
+  if (a.total === 0 || b.total === 0) return { zScore: null, pValue: null };
+  const pooled = (a.redeemed + b.redeemed) / (a.total + b.total);
+  const se = Math.sqrt(pooled * (1 - pooled) * (1 / a.total + 1 / b.total));
+  if (se === 0) return { zScore: null, pValue: null };
+  const zScore = (a.rate - b.rate) / se;
+  return { zScore, pValue: 2 * (1 - normalCdf(Math.abs(zScore))) };
+}
+
+// Helper: Compare redemption rates across A/B/n variants
+// Returns per-variant rates with Wilson intervals, leader-vs-rest z-tests
+// (Bonferroni-corrected), and the per-variant sample size needed to separate
+// the leader from the runner-up
+function computeAbTestStats(variantStats, confidence = 0.95, minSampleSize = 30) {
+  const labels = Object.keys(variantStats);
+  const comparisonsCount = Math.max(labels.length - 1, 1);
+  const alpha = (1 - confidence) / comparisonsCount;
+  const zCi = normalQuantile(1 - (1 - confidence) / 2);
+  const z = normalQuantile(1 - alpha / 2);
+  const zPower = normalQuantile(0.8);
+
+  const variants = {};
+  for (const label of labels) {
+    const { total, redeemed } = variantStats[label];
+    const rate = total > 0 ? redeemed / total : 0;
+    let ciLow = 0;
+    let ciHigh = 0;
+    if (total > 0) {
+      const denom = 1 + (zCi * zCi) / total;
+      const center = (rate + (zCi * zCi) / (2 * total)) / denom;
+      const margin = (zCi * Math.sqrt((rate * (1 - rate)) / total + (zCi * zCi) / (4 * total * total))) / denom;
+      ciLow = Math.max(0, center - margin);
+      ciHigh = Math.min(1, center + margin);
+    }
+    variants[label] = { total, redeemed, rate, ciLow, ciHigh };
+  }
+
+  const ranked = [...labels].sort((x, y) => variants[y].rate - variants[x].rate);
+  const leader = ranked.length > 1 && variants[ranked[0]].rate > variants[ranked[1]].rate ? ranked[0] : null;
+
+  const comparisons = [];
+  let pValue = null;
+  if (leader) {
+    for (const label of ranked.slice(1)) {
+      const result = twoProportionTest(variants[leader], variants[label]);
+      comparisons.push({ against: label, ...result });
+    }
+    if (comparisons.every(c => c.pValue !== null)) {
+      pValue = Math.max(...comparisons.map(c => c.pValue));
+    }
+  }
+
+  let samplesNeeded = null;
+  if (ranked.length > 1) {
+    const a = variants[ranked[0]];
+    const b = variants[ranked[1]];
+    const diff = Math.abs(a.rate - b.rate);
+    if (diff > 0) {
+      const pBar = (a.rate + b.rate) / 2;
+      const n = Math.pow(
+        z * Math.sqrt(2 * pBar * (1 - pBar)) +
+        zPower * Math.sqrt(a.rate * (1 - a.rate) + b.rate * (1 - b.rate)),
+        2
+      ) / (diff * diff);
+      const required = Math.max(Math.ceil(n), minSampleSize);
+      samplesNeeded = Math.max(0, required - Math.min(...labels.map(l => variants[l].total)));
+    }
+  }
+
+  const isSignificant = pValue !== null &&
+    pValue < alpha &&
+    Math.min(...labels.map(l => variants[l].total)) >= minSampleSize;
+
+  return {
+    variants,
+    comparisons,
+    pValue,
+    alpha,
+    confidence,
+    samplesNeeded,
+    isSignificant,
+    leader,
+    winner: isSignificant ? leader : null
+  };
+}
+
+// Helper: Redemption stats and significance for an A/B test (read-only)
+async function loadAbTestStats(client, test) {
+  const stats = await client.query(`
+    SELECT
+      v.*,
+      COUNT(r.id) as total,
+      COUNT(r.id) FILTER (WHERE r.redeemed = true) as redeemed
+    FROM ab_test_variants v
+    LEFT JOIN ab_test_results r ON r.variant_id = v.id
+    WHERE v.ab_test_id = $1
+    GROUP BY v.id
+    ORDER BY v.position
+  `, [test.id]);
+
+  const variantStats = {};
+  for (const row of stats.rows) {
+    variantStats[row.label] = {
+      total: parseInt(row.total),
+      redeemed: parseInt(row.redeemed)
+    };
+  }
+
+  const significance = computeAbTestStats(
+    variantStats,
+    parseFloat(test.significance_threshold) || 0.95,
+    test.min_sample_size || 30
+  );
+
+  const variants = stats.rows.map(v => ({
+    id: v.id,
+    label: v.label,
+    reward_type: v.reward_type,
+    description: v.description,
+    emoji: v.emoji,
+    weight: v.weight,
+    ...significance.variants[v.label]
+  }));
+
+  return { variants, significance };
+}
+
+// Helper: Catalog entry for a reward type, created inactive if the course doesn't have one yet.
+// Inactive rewards aren't offered anywhere but still resolve for codes, lookups and validity.
+async function ensureCatalogReward(client, courseId, { type, description, emoji }) {
+  const result = await client.query(`
+    INSERT INTO reward_catalog (course_id, type, label, description, emoji, is_active, position)
+    VALUES ($1, $2, LEFT($3, 100), LEFT($3, 255), $4, false,
+      (SELECT COALESCE(MAX(position) + 1, 0) FROM reward_catalog WHERE course_id = $1))
+    ON CONFLICT (course_id, type) DO UPDATE SET updated_at = reward_catalog.updated_at
+    RETURNING *
+  `, [courseId, type, description, emoji || '🎁']);
+  return result.rows[0];
+}
+
+// Helper: Re-check an A/B test after a redemption. If the test opts in and has a significant
+// winner, end it and make the winning reward the one its location offers.
+async function evaluateAbTest(client, test) {
+  const { variants, significance } = await loadAbTestStats(client, test);
+  if (!test.auto_promote || !test.is_active || !significance.winner) return test;
+
+  const winner = variants.find(v => v.label === significance.winner);
+  const ended = await client.query(`
+    UPDATE ab_tests
+    SET is_active = false, ended_at = NOW(), winner_variant = $2, promoted_at = NOW()
+    WHERE id = $1 AND is_active = true
+    RETURNING *
+  `, [test.id, significance.winner]);
+  if (ended.rows.length === 0) return test;
+
+  const reward = await ensureCatalogReward(client, test.course_id, {
+    type: winner.reward_type,
+    description: winner.description,
+    emoji: winner.emoji
+  });
+  await client.query('UPDATE reward_catalog SET is_active = true, updated_at = NOW() WHERE id = $1', [reward.id]);
+  await client.query('DELETE FROM location_reward_options WHERE location_id = $1', [test.location_id]);
+  await client.query(
+    'INSERT INTO location_reward_options (location_id, reward_id, position) VALUES ($1, $2, 0)',
+    [test.location_id, reward.id]
+  );
+  console.log(`A/B test ${test.id}: promoted variant ${significance.winner} to location ${test.location_id}`);
+  return ended.rows[0];
+}
+
 // ============================================
 // CAPTURE ROUTES
 // ============================================
@@ -258,15 +1001,16 @@ app.post('/api/capture', captureLimiter, async (req, res) => {
     
     // Get course
     const courseResult = await client.query(
-      'SELECT id FROM courses WHERE slug = $1',
-      [courseSlug || 'crescent-pointe']
+      'SELECT * FROM courses WHERE slug = $1 AND is_active = true',
+      [courseSlug || DEFAULT_COURSE_SLUG]
     );
     
     if (courseResult.rows.length === 0) {
       throw new Error('Course not found');
     }
     
-    const courseId = courseResult.rows[0].id;
+    const course = courseResult.rows[0];
+    const courseId = course.id;
     const normalizedPhone = normalizePhone(phone);
     const normalizedEmail = email?.toLowerCase().trim();
     
@@ -367,48 +1111,103 @@ app.post('/api/capture', captureLimiter, async (req, res) => {
       UPDATE customers SET membership_score = $1, is_membership_prospect = $2 WHERE id = $3
     `, [score, isProspect, customerId]);
     
-    // Generate reward code
-    const rewardCode = generateRewardCode();
-
-    // Resolve reward based on customer choice
-    const rewardMap = {
-      free_beer: { type: 'free_beer', description: 'Free beer after your round', emoji: '🍺' },
-      free_soft_drink: { type: 'free_soft_drink', description: 'Free soft drink or water', emoji: '🥤' },
-      pro_shop_5: { type: 'pro_shop_5', description: '$5 Pro Shop credit', emoji: '🏌️' },
-      food_bev_5: { type: 'food_bev_5', description: '$5 Food & Bev credit', emoji: '🍔' }
-    };
-
-    const chosenRewardInfo = rewardMap[chosenReward] || rewardMap.free_beer;
+    // Resolve reward from the choices this location offers
+    const rewardChoices = await getRewardChoices(client, courseId, locationId);
+    const chosenRewardInfo = rewardChoices.find(r => r.type === chosenReward) || rewardChoices[0] || {};
     let rewardType = chosenRewardInfo.type;
     let rewardDescription = chosenRewardInfo.description;
     let rewardEmoji = chosenRewardInfo.emoji;
 
-    // Create capture record
-    const captureResult = await client.query(`
-      INSERT INTO captures (
-        course_id, customer_id, location_id, form_data, reward_code, reward_type,
-        ip_address, user_agent
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
-      RETURNING id
-    `, [
-      courseId,
-      customerId,
-      locationId || null,
-      JSON.stringify(req.body),
-      rewardCode,
-      rewardType,
-      req.ip,
-      req.get('User-Agent')
-    ]);
-    const captureId = captureResult.rows[0].id;
+    // An active A/B test on this location overrides the chosen reward
+    let abTest = null;
+    let abVariant = null;
+    if (locationId) {
+      const abResult = await client.query(`
+        SELECT * FROM ab_tests
+        WHERE course_id = $1 AND location_id = $2 AND is_active = true
+        ORDER BY started_at DESC
+        LIMIT 1
+      `, [courseId, locationId]);
+
+      if (abResult.rows.length > 0) {
+        const variantsResult = await client.query(
+          'SELECT * FROM ab_test_variants WHERE ab_test_id = $1 ORDER BY position',
+          [abResult.rows[0].id]
+        );
+        if (variantsResult.rows.length > 0) {
+          abTest = abResult.rows[0];
+          abVariant = assignAbVariant(abTest.id, normalizedEmail || customerId, variantsResult.rows);
+          rewardType = abVariant.reward_type;
+          rewardDescription = abVariant.description;
+          rewardEmoji = abVariant.emoji || '🎁';
+        }
+      }
+    }
+
+    if (!rewardType) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        success: false,
+        error: 'no_rewards',
+        message: 'No rewards are available here right now. Please ask a staff member.'
+      });
+    }
+
+    const validity = await computeRewardValidity(client, courseId, rewardType);
+
+    // Create capture record with a fresh reward code, retrying on the (rare) unique collision
+    const codePrefix = rewardCodePrefix(course.settings);
+    let rewardCode;
+    let captureId;
+    for (let attempt = 1; !captureId; attempt++) {
+      rewardCode = generateRewardCode(codePrefix);
+      await client.query('SAVEPOINT reward_code');
+      try {
+        const captureResult = await client.query(`
+          INSERT INTO captures (
+            course_id, customer_id, location_id, form_data, reward_code, reward_type,
+            valid_from, expires_at, ip_address, user_agent
+          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+          RETURNING id
+        `, [
+          courseId,
+          customerId,
+          locationId || null,
+          JSON.stringify(req.body),
+          rewardCode,
+          rewardType,
+          validity.validFrom,
+          validity.expiresAt,
+          req.ip,
+          req.get('User-Agent')
+        ]);
+        captureId = captureResult.rows[0].id;
+        await client.query('RELEASE SAVEPOINT reward_code');
+      } catch (insertErr) {
+        if (insertErr.code !== '23505' || insertErr.constraint !== 'idx_captures_reward_code_unique' || attempt >= 5) {
+          throw insertErr;
+        }
+        await client.query('ROLLBACK TO SAVEPOINT reward_code');
+      }
+    }
+
+    // Record A/B assignment so redemptions can be attributed to the variant
+    if (abTest) {
+      await client.query(`
+        INSERT INTO ab_test_results (ab_test_id, variant_id, variant, capture_id)
+        VALUES ($1, $2, $3, $4)
+      `, [abTest.id, abVariant.id, abVariant.label, captureId]);
+    }
 
     // Auto-add to pipeline if prospect (score >= 60 + local)
+    let addedToPipeline = false;
     if (isProspect) {
-      await client.query(`
+      const pipelineResult = await client.query(`
         INSERT INTO prospect_pipeline (course_id, customer_id, status)
         VALUES ($1, $2, 'new')
         ON CONFLICT (customer_id) DO NOTHING
       `, [courseId, customerId]);
+      addedToPipeline = pipelineResult.rowCount > 0;
     }
 
     await client.query('COMMIT');
@@ -416,42 +1215,18 @@ app.post('/api/capture', captureLimiter, async (req, res) => {
     // Send reward code email immediately (not queued — must arrive now)
     let emailSent = false;
     try {
-      if (process.env.SENDGRID_API_KEY) {
-        const rewardEmail = {
-          to: normalizedEmail,
-          from: FROM_EMAIL,
-          subject: `Your Crescent Pointe Reward Code: ${rewardCode}`,
-          html: `
-            <div style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; max-width: 480px; margin: 0 auto; padding: 20px;">
-              <div style="background: linear-gradient(135deg, #166534, #15803d); padding: 24px; border-radius: 16px 16px 0 0; text-align: center;">
-                <h1 style="color: white; margin: 0; font-size: 22px;">Crescent Pointe Golf Club</h1>
-                <p style="color: #bbf7d0; margin: 8px 0 0; font-size: 14px;">Thanks for joining our list!</p>
-              </div>
-              <div style="background: #ffffff; padding: 24px; border: 1px solid #e5e7eb; border-top: none;">
-                <p style="color: #374151; font-size: 16px; margin: 0 0 8px;">Hi ${firstName},</p>
-                <p style="color: #6b7280; font-size: 14px; margin: 0 0 20px;">Here's your reward code. Show it to any staff member to redeem:</p>
-                <div style="background: #f3f4f6; border-radius: 12px; padding: 20px; text-align: center; margin-bottom: 16px;">
-                  <p style="font-size: 32px; font-weight: bold; font-family: monospace; color: #166534; margin: 0; letter-spacing: 4px;">${rewardCode}</p>
-                </div>
-                <div style="background: #fffbeb; border: 1px solid #fde68a; border-radius: 8px; padding: 12px; text-align: center; margin-bottom: 16px;">
-                  <p style="margin: 0; font-size: 18px;">${rewardEmoji} ${rewardDescription}</p>
-                  <p style="margin: 4px 0 0; color: #92400e; font-size: 13px;">Valid today only</p>
-                </div>
-                <p style="color: #9ca3af; font-size: 12px; text-align: center; margin: 16px 0 0;">Take a screenshot of this email to save your code.</p>
-              </div>
-              <div style="background: #f9fafb; padding: 16px; border-radius: 0 0 16px 16px; border: 1px solid #e5e7eb; border-top: none; text-align: center;">
-                <p style="color: #9ca3af; font-size: 11px; margin: 0;">Crescent Pointe Golf Club &bull; Myrtle Beach, SC</p>
-              </div>
-            </div>
-          `
-        };
-        await sgMail.send(rewardEmail);
-        emailSent = true;
-      } else {
-        // Dev mode - log and allow
-        console.log(`[DEV] Reward email for ${normalizedEmail}: code ${rewardCode}`);
-        emailSent = true;
-      }
+      emailSent = await sendRewardCodeEmail(pool, course, {
+        ...customerData.rows[0],
+        email: normalizedEmail,
+        first_name: firstName,
+        last_name: lastName,
+        membership_score: score
+      }, {
+        code: rewardCode,
+        emoji: rewardEmoji,
+        description: rewardDescription,
+        validity
+      });
     } catch (emailErr) {
       console.error('Reward email send error:', emailErr.message);
     }
@@ -462,16 +1237,18 @@ app.post('/api/capture', captureLimiter, async (req, res) => {
       const updatedCustomer = await emailClient.query('SELECT * FROM customers WHERE id = $1', [customerId]);
       const cust = updatedCustomer.rows[0];
 
-      // Follow-up based on local/visitor (72h delay built into template)
-      if (cust.is_local) {
-        await queueEmail(emailClient, courseId, customerId, 'followup_local', { reward_code: rewardCode });
-      } else {
-        await queueEmail(emailClient, courseId, customerId, 'followup_visitor', { reward_code: rewardCode });
-      }
-
-      // Repeat visitor milestone
-      if (cust.visit_count === 3) {
-        await queueEmail(emailClient, courseId, customerId, 'repeat_visitor_3', { reward_code: rewardCode });
+      // Follow-ups (post-visit, nurture, ...) are drip sequences the email worker advances
+      await enrollInSequences(emailClient, courseId, customerId, { isNewCustomer, context: { reward_code: rewardCode } });
+
+      // One-off emails the course maps to these events (same-day thanks, repeat visitor, ...)
+      const eventData = { reward_code: rewardCode };
+      await fireEmailTrigger(emailClient, courseId, customerId, 'capture_created', { data: eventData });
+      await fireEmailTrigger(emailClient, courseId, customerId, 'visit_milestone', { value: cust.visit_count, data: eventData });
+      if (addedToPipeline) {
+        await fireEmailTrigger(emailClient, courseId, customerId, 'pipeline_status_changed', {
+          value: 'new',
+          data: { ...eventData, pipeline_status: 'new' }
+        });
       }
     } catch (emailErr) {
       console.error('Email queueing error (non-fatal):', emailErr.message);
@@ -486,6 +1263,7 @@ app.post('/api/capture', captureLimiter, async (req, res) => {
       maskedEmail: normalizedEmail.replace(/(.{2})(.*)(@.*)/, '$1***$3'),
       rewardDescription,
       rewardEmoji,
+      abVariant: abVariant ? abVariant.label : null,
       isNewCustomer,
       customerId
     });
@@ -499,15 +1277,42 @@ app.post('/api/capture', captureLimiter, async (req, res) => {
   }
 });
 
+// GET /api/capture/rewards - Reward choices for the capture form
+app.get('/api/capture/rewards', async (req, res) => {
+  try {
+    const { courseSlug = DEFAULT_COURSE_SLUG, location } = req.query;
+
+    const courseResult = await pool.query('SELECT id FROM courses WHERE slug = $1 AND is_active = true', [courseSlug]);
+    if (courseResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Course not found' });
+    }
+
+    const locationId = location && uuidValidate(location) ? location : null;
+    const choices = await getRewardChoices(pool, courseResult.rows[0].id, locationId);
+
+    res.json({
+      rewards: choices.map(r => ({
+        type: r.type,
+        label: r.label,
+        description: r.description,
+        emoji: r.emoji
+      }))
+    });
+
+  } catch (error) {
+    console.error('Reward choices error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // ============================================
 // CUSTOMER ROUTES
 // ============================================
 
 // GET /api/customers - List customers with filters
-app.get('/api/customers', async (req, res) => {
+app.get('/api/customers', authenticateToken, requirePermission('customers:read'), async (req, res) => {
   try {
     const {
-      courseSlug = 'crescent-pointe',
       search,
       source,
       bookingSource,
@@ -523,10 +1328,9 @@ app.get('/api/customers', async (req, res) => {
         (SELECT COUNT(*) FROM captures WHERE customer_id = c.id) as capture_count,
         (SELECT MAX(created_at) FROM captures WHERE customer_id = c.id) as last_capture_at
       FROM customers c
-      JOIN courses co ON c.course_id = co.id
-      WHERE co.slug = $1
+      WHERE c.course_id = $1
     `;
-    const params = [courseSlug];
+    const params = [req.user.courseId];
     let paramIndex = 2;
     
     if (search) {
@@ -577,10 +1381,9 @@ app.get('/api/customers', async (req, res) => {
     // Get total count
     let countQuery = `
       SELECT COUNT(*) FROM customers c
-      JOIN courses co ON c.course_id = co.id
-      WHERE co.slug = $1
+      WHERE c.course_id = $1
     `;
-    const countResult = await pool.query(countQuery, [courseSlug]);
+    const countResult = await pool.query(countQuery, [req.user.courseId]);
     
     res.json({
       customers: result.rows,
@@ -596,7 +1399,7 @@ app.get('/api/customers', async (req, res) => {
 });
 
 // GET /api/customers/:id - Get single customer
-app.get('/api/customers/:id', async (req, res) => {
+app.get('/api/customers/:id', authenticateToken, requirePermission('customers:read'), async (req, res) => {
   try {
     const { id } = req.params;
     
@@ -604,8 +1407,8 @@ app.get('/api/customers/:id', async (req, res) => {
       SELECT c.*, co.name as course_name
       FROM customers c
       JOIN courses co ON c.course_id = co.id
-      WHERE c.id = $1
-    `, [id]);
+      WHERE c.id = $1 AND c.course_id = $2
+    `, [id, req.user.courseId]);
     
     if (customerResult.rows.length === 0) {
       return res.status(404).json({ error: 'Customer not found' });
@@ -640,16 +1443,31 @@ app.get('/api/customers/:id', async (req, res) => {
 });
 
 // POST /api/customers/:id/tags - Add tag to customer
-app.post('/api/customers/:id/tags', async (req, res) => {
+app.post('/api/customers/:id/tags', authenticateToken, requirePermission('customers:write'), async (req, res) => {
   try {
     const { id } = req.params;
     const { tagId } = req.body;
     
-    await pool.query(`
-      INSERT INTO customer_tags (customer_id, tag_id)
-      VALUES ($1, $2)
+    // Customer and tag must both belong to the caller's course
+    const result = await pool.query(`
+      INSERT INTO customer_tags (customer_id, tag_id, created_by)
+      SELECT c.id, t.id, $3
+      FROM customers c
+      JOIN tags t ON t.course_id = c.course_id
+      WHERE c.id = $1 AND t.id = $2 AND c.course_id = $4
       ON CONFLICT DO NOTHING
-    `, [id, tagId]);
+      RETURNING customer_id
+    `, [id, tagId, req.user.name, req.user.courseId]);
+
+    if (result.rows.length === 0) {
+      const exists = await pool.query(`
+        SELECT 1 FROM customers c JOIN tags t ON t.course_id = c.course_id
+        WHERE c.id = $1 AND t.id = $2 AND c.course_id = $3
+      `, [id, tagId, req.user.courseId]);
+      if (exists.rows.length === 0) {
+        return res.status(404).json({ error: 'Customer or tag not found' });
+      }
+    }
     
     res.json({ success: true });
     
@@ -660,13 +1478,15 @@ app.post('/api/customers/:id/tags', async (req, res) => {
 });
 
 // DELETE /api/customers/:id/tags/:tagId - Remove tag from customer
-app.delete('/api/customers/:id/tags/:tagId', async (req, res) => {
+app.delete('/api/customers/:id/tags/:tagId', authenticateToken, requirePermission('customers:write'), async (req, res) => {
   try {
     const { id, tagId } = req.params;
     
     await pool.query(`
-      DELETE FROM customer_tags WHERE customer_id = $1 AND tag_id = $2
-    `, [id, tagId]);
+      DELETE FROM customer_tags ct
+      USING customers c
+      WHERE ct.customer_id = c.id AND ct.customer_id = $1 AND ct.tag_id = $2 AND c.course_id = $3
+    `, [id, tagId, req.user.courseId]);
     
     res.json({ success: true });
     
@@ -681,21 +1501,20 @@ app.delete('/api/customers/:id/tags/:tagId', async (req, res) => {
 // ============================================
 
 // GET /api/prospects - Get membership prospects
-app.get('/api/prospects', async (req, res) => {
+app.get('/api/prospects', authenticateToken, requirePermission('customers:read'), async (req, res) => {
   try {
-    const { courseSlug = 'crescent-pointe', limit = 20 } = req.query;
+    const { limit = 20 } = req.query;
     
     const result = await pool.query(`
       SELECT c.*,
         (SELECT COUNT(*) FROM captures WHERE customer_id = c.id) as capture_count
       FROM customers c
-      JOIN courses co ON c.course_id = co.id
-      WHERE co.slug = $1
+      WHERE c.course_id = $1
         AND c.is_local = true
         AND c.membership_score >= 50
       ORDER BY c.membership_score DESC, c.visit_count DESC
       LIMIT $2
-    `, [courseSlug, parseInt(limit)]);
+    `, [req.user.courseId, parseInt(limit)]);
     
     res.json({ prospects: result.rows });
     
@@ -710,19 +1529,17 @@ app.get('/api/prospects', async (req, res) => {
 // ============================================
 
 // GET /api/locations - List locations
-app.get('/api/locations', async (req, res) => {
+app.get('/api/locations', authenticateToken, requirePermission('locations:read'), async (req, res) => {
   try {
-    const { courseSlug = 'crescent-pointe' } = req.query;
-    
     const result = await pool.query(`
       SELECT l.*,
         (SELECT COUNT(*) FROM captures WHERE location_id = l.id) as capture_count,
-        (SELECT COUNT(*) FROM captures WHERE location_id = l.id AND created_at > NOW() - INTERVAL '7 days') as captures_this_week
+        (SELECT COUNT(*) FROM captures WHERE location_id = l.id AND created_at > NOW() - INTERVAL '7 days') as captures_this_week,
+        (SELECT COALESCE(array_agg(reward_id ORDER BY position), '{}') FROM location_reward_options WHERE location_id = l.id) as reward_ids
       FROM locations l
-      JOIN courses co ON l.course_id = co.id
-      WHERE co.slug = $1
+      WHERE l.course_id = $1
       ORDER BY l.name
-    `, [courseSlug]);
+    `, [req.user.courseId]);
     
     res.json({ locations: result.rows });
     
@@ -733,20 +1550,15 @@ app.get('/api/locations', async (req, res) => {
 });
 
 // POST /api/locations - Create location
-app.post('/api/locations', async (req, res) => {
+app.post('/api/locations', authenticateToken, requirePermission('locations:manage'), async (req, res) => {
   try {
-    const { courseSlug = 'crescent-pointe', name, placementType, description } = req.body;
-    
-    const courseResult = await pool.query('SELECT id FROM courses WHERE slug = $1', [courseSlug]);
-    if (courseResult.rows.length === 0) {
-      return res.status(404).json({ error: 'Course not found' });
-    }
+    const { name, placementType, description } = req.body;
     
     const result = await pool.query(`
       INSERT INTO locations (course_id, name, placement_type, description)
       VALUES ($1, $2, $3, $4)
       RETURNING *
-    `, [courseResult.rows[0].id, name, placementType, description]);
+    `, [req.user.courseId, name, placementType, description]);
     
     res.json({ location: result.rows[0] });
     
@@ -757,12 +1569,23 @@ app.post('/api/locations', async (req, res) => {
 });
 
 // GET /api/locations/:id/qr - Get QR code URL for location
-app.get('/api/locations/:id/qr', async (req, res) => {
+app.get('/api/locations/:id/qr', authenticateToken, requirePermission('locations:read'), async (req, res) => {
   try {
     const { id } = req.params;
+
+    const location = await pool.query(`
+      SELECT l.id, co.slug AS course_slug
+      FROM locations l
+      JOIN courses co ON l.course_id = co.id
+      WHERE l.id = $1 AND l.course_id = $2
+    `, [id, req.user.courseId]);
+    if (location.rows.length === 0) {
+      return res.status(404).json({ error: 'Location not found' });
+    }
+
     const baseUrl = process.env.FRONTEND_URL || 'https://your-app.vercel.app';
     
-    const qrUrl = `${baseUrl}/capture?location=${id}`;
+    const qrUrl = `${baseUrl}/c/${location.rows[0].course_slug}?location=${id}`;
     
     // Using QR code API service
     const qrImageUrl = `https://api.qrserver.com/v1/create-qr-code/?size=1000x1000&data=${encodeURIComponent(qrUrl)}`;
@@ -783,31 +1606,80 @@ app.get('/api/locations/:id/qr', async (req, res) => {
 // REWARD ROUTES
 // ============================================
 
-// POST /api/rewards/:code/redeem - Redeem a reward
-app.post('/api/rewards/:code/redeem', async (req, res) => {
+// POST /api/rewards/:code/redeem - Redeem a reward (records the signed-in staff member)
+app.post('/api/rewards/:code/redeem', authenticateToken, requirePermission('rewards:redeem'), async (req, res) => {
   try {
-    const { code } = req.params;
-    const { redeemedBy } = req.body;
+    const code = normalizeRewardCode(req.params.code);
+
+    if (!isValidRewardCode(code)) {
+      return res.status(400).json({ error: 'invalid_code', message: 'That code doesn\'t look right — check for a typo' });
+    }
     
     const result = await pool.query(`
       UPDATE captures 
-      SET reward_redeemed = true, reward_redeemed_at = NOW(), reward_redeemed_by = $2
-      WHERE reward_code = $1 AND reward_redeemed = false
-      RETURNING *
-    `, [code.toUpperCase(), redeemedBy]);
+      SET reward_redeemed = true, reward_redeemed_at = NOW(),
+        reward_redeemed_by = $2, reward_redeemed_by_user_id = $3
+      WHERE reward_code = $1 AND course_id = $4 AND reward_redeemed = false
+        AND (valid_from IS NULL OR valid_from <= NOW())
+        AND (expires_at IS NULL OR expires_at > NOW())
+      RETURNING id, course_id, customer_id, reward_code, reward_type, reward_redeemed_at, reward_redeemed_by
+    `, [code, req.user.name, req.user.id, req.user.courseId]);
     
     if (result.rows.length === 0) {
+      // Tell staff why: expired and not-yet-valid codes get their own errors
+      const existing = await pool.query(
+        'SELECT reward_redeemed, valid_from, expires_at FROM captures WHERE reward_code = $1 AND course_id = $2',
+        [code, req.user.courseId]
+      );
+      const status = existing.rows.length > 0 ? rewardExpiryStatus(existing.rows[0]) : null;
+
+      if (status === 'expired') {
+        return res.status(410).json({
+          error: 'reward_expired',
+          message: 'This reward code has expired',
+          expiresAt: existing.rows[0].expires_at
+        });
+      }
+      if (status === 'not_yet_valid') {
+        return res.status(409).json({
+          error: 'reward_not_yet_valid',
+          message: 'This reward code is not valid yet',
+          validFrom: existing.rows[0].valid_from
+        });
+      }
       return res.status(404).json({ error: 'Code not found or already redeemed' });
     }
 
     // Update A/B test result if this capture was part of a test
     const capture = result.rows[0];
-    await pool.query(
-      'UPDATE ab_test_results SET redeemed = true WHERE capture_id = $1',
+    const abResult = await pool.query(
+      'UPDATE ab_test_results SET redeemed = true WHERE capture_id = $1 RETURNING ab_test_id',
       [capture.id]
     );
 
-    res.json({ success: true, capture });
+    // A new redemption may push an auto-promote test past its threshold
+    if (abResult.rows.length > 0) {
+      try {
+        const test = await pool.query('SELECT * FROM ab_tests WHERE id = $1', [abResult.rows[0].ab_test_id]);
+        if (test.rows.length > 0) await evaluateAbTest(pool, test.rows[0]);
+      } catch (abErr) {
+        console.error('A/B evaluation error (non-fatal):', abErr.message);
+      }
+    }
+
+    await fireEmailTrigger(pool, capture.course_id, capture.customer_id, 'reward_redeemed', {
+      data: { reward_code: capture.reward_code }
+    });
+
+    res.json({
+      success: true,
+      capture: {
+        reward_code: capture.reward_code,
+        reward_type: capture.reward_type,
+        reward_redeemed_at: capture.reward_redeemed_at,
+        reward_redeemed_by: capture.reward_redeemed_by
+      }
+    });
 
   } catch (error) {
     console.error('Redeem error:', error);
@@ -815,23 +1687,63 @@ app.post('/api/rewards/:code/redeem', async (req, res) => {
   }
 });
 
-// GET /api/rewards/:code - Check reward status
-app.get('/api/rewards/:code', async (req, res) => {
+// GET /api/rewards/:code/qr.png - QR image of a reward code (public: email clients load it without auth).
+// Only renders well-formed codes and never touches the database, so it reveals nothing about the reward.
+app.get('/api/rewards/:code/qr.png', async (req, res) => {
+  try {
+    const code = normalizeRewardCode(req.params.code);
+    if (!isValidRewardCode(code)) return res.status(404).end();
+
+    const png = await QRCode.toBuffer(code, { width: 240, margin: 2 });
+    res.set({
+      'Content-Type': 'image/png',
+      'Cache-Control': 'public, max-age=31536000, immutable',
+      'Cross-Origin-Resource-Policy': 'cross-origin' // helmet's same-origin default would block web mail and previews
+    });
+    res.send(png);
+  } catch (error) {
+    console.error('Reward QR error:', error);
+    res.status(500).end();
+  }
+});
+
+// GET /api/rewards/:code - Look up a reward for staff to confirm before redeeming
+app.get('/api/rewards/:code', authenticateToken, requirePermission('rewards:redeem'), async (req, res) => {
   try {
-    const { code } = req.params;
+    const code = normalizeRewardCode(req.params.code);
+
+    if (!isValidRewardCode(code)) {
+      return res.status(400).json({ error: 'invalid_code', message: 'That code doesn\'t look right — check for a typo' });
+    }
     
+    // Only what the redeem screen shows; bartenders don't get contact details, IPs or raw form data
     const result = await pool.query(`
-      SELECT cap.*, c.first_name, c.last_name
+      SELECT cap.reward_code, cap.reward_type, cap.valid_from, cap.expires_at,
+        cap.reward_redeemed, cap.reward_redeemed_at, cap.reward_redeemed_by,
+        c.first_name, c.last_name, c.visit_count,
+        rc.label AS reward_label, rc.description AS reward_description, rc.emoji AS reward_emoji,
+        l.name AS location_name, au.name AS redeemed_by_name
       FROM captures cap
       LEFT JOIN customers c ON cap.customer_id = c.id
-      WHERE cap.reward_code = $1
-    `, [code.toUpperCase()]);
+      LEFT JOIN reward_catalog rc ON rc.course_id = cap.course_id AND rc.type = cap.reward_type
+      LEFT JOIN locations l ON cap.location_id = l.id
+      LEFT JOIN admin_users au ON cap.reward_redeemed_by_user_id = au.id
+      WHERE cap.reward_code = $1 AND cap.course_id = $2
+    `, [code, req.user.courseId]);
     
     if (result.rows.length === 0) {
       return res.status(404).json({ error: 'Code not found' });
     }
-    
-    res.json({ reward: result.rows[0] });
+
+    const reward = result.rows[0];
+    const status = rewardExpiryStatus(reward);
+    res.json({
+      reward: {
+        ...reward,
+        status,
+        is_expired: status === 'expired'
+      }
+    });
     
   } catch (error) {
     console.error('Check reward error:', error);
@@ -842,61 +1754,49 @@ app.get('/api/rewards/:code', async (req, res) => {
 // POST /api/rewards/resend - Resend reward code email
 app.post('/api/rewards/resend', captureLimiter, async (req, res) => {
   try {
-    const { email } = req.body;
+    const { email, courseSlug = DEFAULT_COURSE_SLUG } = req.body;
     if (!email) return res.status(400).json({ error: 'Email required' });
 
     const normalizedEmail = email.toLowerCase().trim();
 
     const result = await pool.query(`
-      SELECT cap.reward_code, cap.reward_type, c.first_name
+      SELECT cap.course_id, cap.customer_id, cap.reward_code, cap.reward_type, cap.valid_from, cap.expires_at,
+        c.first_name, c.last_name, c.visit_count, c.is_local, c.booking_source, c.play_frequency,
+        c.member_elsewhere, c.membership_score, co.timezone
       FROM captures cap
+      JOIN courses co ON cap.course_id = co.id
       JOIN customers c ON cap.customer_id = c.id
-      WHERE c.email = $1
+      WHERE c.email = $1 AND co.slug = $2
       ORDER BY cap.created_at DESC
       LIMIT 1
-    `, [normalizedEmail]);
+    `, [normalizedEmail, courseSlug]);
 
     if (result.rows.length === 0) {
       return res.status(404).json({ error: 'No reward found for this email' });
     }
 
-    const { reward_code, reward_type, first_name } = result.rows[0];
-    const rewardMap = {
-      free_beer: { description: 'Free beer after your round', emoji: '🍺' },
-      free_soft_drink: { description: 'Free soft drink or water', emoji: '🥤' },
-      pro_shop_5: { description: '$5 Pro Shop credit', emoji: '🏌️' },
-      food_bev_5: { description: '$5 Food & Bev credit', emoji: '🍔' }
-    };
-    const reward = rewardMap[reward_type] || rewardMap.free_beer;
-
-    if (process.env.SENDGRID_API_KEY) {
-      await sgMail.send({
-        to: normalizedEmail,
-        from: FROM_EMAIL,
-        subject: `Your Crescent Pointe Reward Code: ${reward_code}`,
-        html: `
-          <div style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; max-width: 480px; margin: 0 auto; padding: 20px;">
-            <div style="background: linear-gradient(135deg, #166534, #15803d); padding: 24px; border-radius: 16px 16px 0 0; text-align: center;">
-              <h1 style="color: white; margin: 0; font-size: 22px;">Crescent Pointe Golf Club</h1>
-              <p style="color: #bbf7d0; margin: 8px 0 0; font-size: 14px;">Here's your reward code again!</p>
-            </div>
-            <div style="background: #ffffff; padding: 24px; border: 1px solid #e5e7eb; border-top: none;">
-              <p style="color: #374151; font-size: 16px; margin: 0 0 8px;">Hi ${first_name || 'there'},</p>
-              <p style="color: #6b7280; font-size: 14px; margin: 0 0 20px;">Show this code to any staff member to redeem:</p>
-              <div style="background: #f3f4f6; border-radius: 12px; padding: 20px; text-align: center; margin-bottom: 16px;">
-                <p style="font-size: 32px; font-weight: bold; font-family: monospace; color: #166534; margin: 0; letter-spacing: 4px;">${reward_code}</p>
-              </div>
-              <div style="background: #fffbeb; border: 1px solid #fde68a; border-radius: 8px; padding: 12px; text-align: center;">
-                <p style="margin: 0; font-size: 18px;">${reward.emoji} ${reward.description}</p>
-              </div>
-            </div>
-            <div style="background: #f9fafb; padding: 16px; border-radius: 0 0 16px 16px; border: 1px solid #e5e7eb; border-top: none; text-align: center;">
-              <p style="color: #9ca3af; font-size: 11px; margin: 0;">Crescent Pointe Golf Club &bull; Myrtle Beach, SC</p>
-            </div>
-          </div>
-        `
-      });
-    }
+    const row = result.rows[0];
+    const reward = await getCatalogReward(pool, row.course_id, row.reward_type) ||
+      { description: row.reward_type, emoji: '🎁' };
+    const course = await pool.query('SELECT * FROM courses WHERE id = $1', [row.course_id]);
+
+    await sendRewardCodeEmail(pool, course.rows[0], {
+      id: row.customer_id,
+      email: normalizedEmail,
+      first_name: row.first_name,
+      last_name: row.last_name,
+      visit_count: row.visit_count,
+      is_local: row.is_local,
+      booking_source: row.booking_source,
+      play_frequency: row.play_frequency,
+      member_elsewhere: row.member_elsewhere,
+      membership_score: row.membership_score
+    }, {
+      code: row.reward_code,
+      emoji: reward.emoji,
+      description: reward.description,
+      validity: { timezone: row.timezone, validFrom: row.valid_from, expiresAt: row.expires_at }
+    });
 
     res.json({ success: true });
   } catch (error) {
@@ -910,25 +1810,20 @@ app.post('/api/rewards/resend', captureLimiter, async (req, res) => {
 // ============================================
 
 // POST /api/import - Upload and process CSV
-app.post('/api/import', upload.single('file'), async (req, res) => {
+app.post('/api/import', authenticateToken, requirePermission('import'), upload.single('file'), async (req, res) => {
   const client = await pool.connect();
   
   try {
     await client.query('BEGIN');
     
-    const { courseSlug = 'crescent-pointe', source } = req.body;
+    const { source } = req.body;
     const file = req.file;
     
     if (!file) {
       throw new Error('No file uploaded');
     }
     
-    // Get course
-    const courseResult = await client.query('SELECT id FROM courses WHERE slug = $1', [courseSlug]);
-    if (courseResult.rows.length === 0) {
-      throw new Error('Course not found');
-    }
-    const courseId = courseResult.rows[0].id;
+    const courseId = req.user.courseId;
     
     // Create import record
     const importResult = await client.query(`
@@ -1125,16 +2020,13 @@ app.post('/api/import', upload.single('file'), async (req, res) => {
 });
 
 // GET /api/imports - List imports
-app.get('/api/imports', async (req, res) => {
+app.get('/api/imports', authenticateToken, requirePermission('import'), async (req, res) => {
   try {
-    const { courseSlug = 'crescent-pointe' } = req.query;
-    
     const result = await pool.query(`
       SELECT i.* FROM imports i
-      JOIN courses co ON i.course_id = co.id
-      WHERE co.slug = $1
+      WHERE i.course_id = $1
       ORDER BY i.created_at DESC
-    `, [courseSlug]);
+    `, [req.user.courseId]);
     
     res.json({ imports: result.rows });
     
@@ -1149,16 +2041,9 @@ app.get('/api/imports', async (req, res) => {
 // ============================================
 
 // GET /api/analytics - Dashboard stats
-app.get('/api/analytics', async (req, res) => {
+app.get('/api/analytics', authenticateToken, requirePermission('analytics:read'), async (req, res) => {
   try {
-    const { courseSlug = 'crescent-pointe' } = req.query;
-    
-    // Get course ID
-    const courseResult = await pool.query('SELECT id FROM courses WHERE slug = $1', [courseSlug]);
-    if (courseResult.rows.length === 0) {
-      return res.status(404).json({ error: 'Course not found' });
-    }
-    const courseId = courseResult.rows[0].id;
+    const courseId = req.user.courseId;
     
     // Total customers
     const totalCustomers = await pool.query(
@@ -1264,18 +2149,15 @@ app.get('/api/analytics', async (req, res) => {
 // ============================================
 
 // GET /api/tags - List tags
-app.get('/api/tags', async (req, res) => {
+app.get('/api/tags', authenticateToken, requirePermission('customers:read'), async (req, res) => {
   try {
-    const { courseSlug = 'crescent-pointe' } = req.query;
-    
     const result = await pool.query(`
       SELECT t.*, 
         (SELECT COUNT(*) FROM customer_tags WHERE tag_id = t.id) as customer_count
       FROM tags t
-      JOIN courses co ON t.course_id = co.id
-      WHERE co.slug = $1
+      WHERE t.course_id = $1
       ORDER BY t.name
-    `, [courseSlug]);
+    `, [req.user.courseId]);
     
     res.json({ tags: result.rows });
     
@@ -1290,9 +2172,9 @@ app.get('/api/tags', async (req, res) => {
 // ============================================
 
 // GET /api/export/customers - Export customers as CSV
-app.get('/api/export/customers', async (req, res) => {
+app.get('/api/export/customers', authenticateToken, requirePermission('export'), async (req, res) => {
   try {
-    const { courseSlug = 'crescent-pointe', isProspect, isLocal } = req.query;
+    const { isProspect, isLocal } = req.query;
     
     let query = `
       SELECT 
@@ -1300,10 +2182,9 @@ app.get('/api/export/customers', async (req, res) => {
         c.booking_source, c.is_local, c.play_frequency, c.member_elsewhere,
         c.visit_count, c.membership_score, c.created_at
       FROM customers c
-      JOIN courses co ON c.course_id = co.id
-      WHERE co.slug = $1
+      WHERE c.course_id = $1
     `;
-    const params = [courseSlug];
+    const params = [req.user.courseId];
     let paramIndex = 2;
     
     if (isProspect === 'true') {
@@ -1352,21 +2233,21 @@ app.get('/api/export/customers', async (req, res) => {
 // AUTHENTICATION ROUTES
 // ============================================
 
-// POST /api/auth/register - Create admin user (admin only)
-app.post('/api/auth/register', authenticateToken, requireAdmin, async (req, res) => {
+// POST /api/auth/register - Create dashboard user (team permission)
+app.post('/api/auth/register', authenticateToken, requirePermission('team'), async (req, res) => {
   try {
-    const { email, password, name, role = 'staff', courseSlug = 'crescent-pointe' } = req.body;
+    const { email, password, name, role = 'staff' } = req.body;
 
     if (!email || !password || !name) {
       return res.status(400).json({ error: 'Email, password, and name are required' });
     }
 
-    // Get course ID
-    const course = await pool.query('SELECT id FROM courses WHERE slug = $1', [courseSlug]);
-    if (course.rows.length === 0) {
-      return res.status(404).json({ error: 'Course not found' });
+    if (!ROLE_PERMISSIONS[role]) {
+      return res.status(400).json({ error: `Role must be one of: ${Object.keys(ROLE_PERMISSIONS).join(', ')}` });
     }
-    const courseId = course.rows[0].id;
+
+    // New users always join the inviting admin's course
+    const courseId = req.user.courseId;
 
     // Check if user already exists
     const existingUser = await pool.query('SELECT id FROM admin_users WHERE email = $1', [email.toLowerCase()]);
@@ -1449,7 +2330,8 @@ app.post('/api/auth/login', async (req, res) => {
         email: user.email,
         name: user.name,
         role: user.role,
-        courseSlug: user.course_slug
+        courseSlug: user.course_slug,
+        permissions: permissionsForRole(user.role)
       }
     });
 
@@ -1463,17 +2345,18 @@ app.post('/api/auth/login', async (req, res) => {
 app.get('/api/auth/me', authenticateToken, async (req, res) => {
   try {
     const result = await pool.query(`
-      SELECT au.id, au.email, au.name, au.role, au.last_login, c.slug as course_slug
+      SELECT au.id, au.email, au.name, au.role, au.last_login, c.slug as course_slug, c.name as course_name
       FROM admin_users au
       JOIN courses c ON au.course_id = c.id
-      WHERE au.id = $1
+      WHERE au.id = $1 AND au.is_active = true
     `, [req.user.id]);
 
     if (result.rows.length === 0) {
       return res.status(404).json({ error: 'User not found' });
     }
 
-    res.json({ user: result.rows[0] });
+    const user = result.rows[0];
+    res.json({ user: { ...user, permissions: permissionsForRole(user.role) } });
 
   } catch (error) {
     console.error('Get user error:', error);
@@ -1482,18 +2365,19 @@ app.get('/api/auth/me', authenticateToken, async (req, res) => {
 });
 
 // ============================================
-// TEAM MANAGEMENT ROUTES (admin only)
+// TEAM MANAGEMENT ROUTES (team permission)
 // ============================================
 
-// GET /api/admin/users - List all admin users
-app.get('/api/admin/users', authenticateToken, requireAdmin, async (req, res) => {
+// GET /api/admin/users - List the course's dashboard users and the assignable roles
+app.get('/api/admin/users', authenticateToken, requirePermission('team'), async (req, res) => {
   try {
     const result = await pool.query(`
       SELECT id, email, name, role, is_active, last_login, created_at
       FROM admin_users
+      WHERE course_id = $1
       ORDER BY created_at ASC
-    `);
-    res.json({ users: result.rows });
+    `, [req.user.courseId]);
+    res.json({ users: result.rows, roles: ROLE_PERMISSIONS });
   } catch (error) {
     console.error('List users error:', error);
     res.status(500).json({ error: error.message });
@@ -1501,7 +2385,7 @@ app.get('/api/admin/users', authenticateToken, requireAdmin, async (req, res) =>
 });
 
 // PUT /api/admin/users/:id - Update user role/name/is_active
-app.put('/api/admin/users/:id', authenticateToken, requireAdmin, async (req, res) => {
+app.put('/api/admin/users/:id', authenticateToken, requirePermission('team'), async (req, res) => {
   try {
     const { id } = req.params;
     const { name, role, is_active } = req.body;
@@ -1512,10 +2396,14 @@ app.put('/api/admin/users/:id', authenticateToken, requireAdmin, async (req, res
     }
 
     // Prevent demoting yourself
-    if (String(id) === String(req.user.id) && role && role !== 'admin') {
+    if (String(id) === String(req.user.id) && role && role !== req.user.role) {
       return res.status(400).json({ error: 'You cannot change your own role.' });
     }
 
+    if (role !== undefined && !ROLE_PERMISSIONS[role]) {
+      return res.status(400).json({ error: `Role must be one of: ${Object.keys(ROLE_PERMISSIONS).join(', ')}` });
+    }
+
     const fields = [];
     const params = [];
     let idx = 1;
@@ -1528,9 +2416,9 @@ app.put('/api/admin/users/:id', authenticateToken, requireAdmin, async (req, res
       return res.status(400).json({ error: 'No fields to update.' });
     }
 
-    params.push(id);
+    params.push(id, req.user.courseId);
     const result = await pool.query(
-      `UPDATE admin_users SET ${fields.join(', ')} WHERE id = $${idx} RETURNING id, email, name, role, is_active`,
+      `UPDATE admin_users SET ${fields.join(', ')} WHERE id = $${idx} AND course_id = $${idx + 1} RETURNING id, email, name, role, is_active`,
       params
     );
 
@@ -1546,7 +2434,7 @@ app.put('/api/admin/users/:id', authenticateToken, requireAdmin, async (req, res
 });
 
 // DELETE /api/admin/users/:id - Remove user
-app.delete('/api/admin/users/:id', authenticateToken, requireAdmin, async (req, res) => {
+app.delete('/api/admin/users/:id', authenticateToken, requirePermission('team'), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -1555,15 +2443,22 @@ app.delete('/api/admin/users/:id', authenticateToken, requireAdmin, async (req,
       return res.status(400).json({ error: 'You cannot delete your own account.' });
     }
 
-    // Prevent deleting the last admin
-    const adminCount = await pool.query("SELECT COUNT(*) FROM admin_users WHERE role = 'admin' AND is_active = true");
-    const targetUser = await pool.query('SELECT role FROM admin_users WHERE id = $1', [id]);
+    // Prevent deleting the last user who can manage the team
+    const teamRoles = Object.keys(ROLE_PERMISSIONS).filter(r => ROLE_PERMISSIONS[r].includes('team'));
+    const adminCount = await pool.query(
+      'SELECT COUNT(*) FROM admin_users WHERE course_id = $1 AND role = ANY($2) AND is_active = true',
+      [req.user.courseId, teamRoles]
+    );
+    const targetUser = await pool.query(
+      'SELECT role FROM admin_users WHERE id = $1 AND course_id = $2',
+      [id, req.user.courseId]
+    );
 
     if (targetUser.rows.length === 0) {
       return res.status(404).json({ error: 'User not found.' });
     }
 
-    if (targetUser.rows[0].role === 'admin' && parseInt(adminCount.rows[0].count) <= 1) {
+    if (teamRoles.includes(targetUser.rows[0].role) && parseInt(adminCount.rows[0].count) <= 1) {
       return res.status(400).json({ error: 'Cannot delete the last admin user.' });
     }
 
@@ -1613,8 +2508,283 @@ app.put('/api/auth/password', authenticateToken, async (req, res) => {
 // EMAIL ROUTES
 // ============================================
 
+// 1x1 transparent GIF for open tracking
+const TRACKING_PIXEL = Buffer.from('R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7', 'base64');
+
+// GET /api/email/open/:queueId.gif - Open-tracking pixel (public; always returns the image)
+app.get('/api/email/open/:queueId.gif', async (req, res) => {
+  const { queueId } = req.params;
+  try {
+    if (uuidValidate(queueId) && isValidTrackingSignature(req.query.sig, 'open', queueId)) {
+      await pool.query(`
+        UPDATE email_logs
+        SET opened_at = COALESCE(opened_at, NOW()), open_count = open_count + 1
+        WHERE queue_id = $1
+      `, [queueId]);
+    }
+  } catch (error) {
+    console.error('Open tracking error:', error);
+  }
+
+  res.set({
+    'Content-Type': 'image/gif',
+    'Cache-Control': 'no-store, no-cache, must-revalidate, private',
+    'Cross-Origin-Resource-Policy': 'cross-origin'
+  });
+  res.send(TRACKING_PIXEL);
+});
+
+// GET /api/email/click/:queueId - Record a link click and redirect to the original URL (public)
+app.get('/api/email/click/:queueId', async (req, res) => {
+  const { queueId } = req.params;
+  const url = String(req.query.url || '');
+  if (!uuidValidate(queueId) || !/^https?:\/\//i.test(url) || !isValidTrackingSignature(req.query.sig, 'click', queueId, url)) {
+    return res.status(400).json({ error: 'Invalid link' });
+  }
+
+  try {
+    // A click implies the email was opened, even when images were blocked
+    await pool.query(`
+      UPDATE email_logs
+      SET clicked_at = COALESCE(clicked_at, NOW()), click_count = click_count + 1, last_clicked_url = $2,
+        opened_at = COALESCE(opened_at, NOW())
+      WHERE queue_id = $1
+    `, [queueId, url]);
+  } catch (error) {
+    console.error('Click tracking error:', error);
+  }
+  res.redirect(302, url);
+});
+
+// Helper: Load a customer for the public preference page after checking the signed link
+async function loadPreferenceCustomer(req, res) {
+  const { customerId } = req.params;
+  if (!uuidValidate(customerId) || !isValidTrackingSignature(req.query.sig, 'preferences', customerId)) {
+    res.status(400).json({ error: 'Invalid or expired link' });
+    return null;
+  }
+  const result = await pool.query(
+    'SELECT id, course_id, first_name, email, opted_out_email, email_preferences FROM customers WHERE id = $1',
+    [customerId]
+  );
+  if (result.rows.length === 0) {
+    res.status(404).json({ error: 'Subscriber not found' });
+    return null;
+  }
+  return result.rows[0];
+}
+
+// GET /api/email/preferences/:customerId - Current email preferences for a signed link (public)
+app.get('/api/email/preferences/:customerId', async (req, res) => {
+  try {
+    const customer = await loadPreferenceCustomer(req, res);
+    if (!customer) return;
+
+    const courseResult = await pool.query('SELECT * FROM courses WHERE id = $1', [customer.course_id]);
+    const course = courseTemplateData(courseResult.rows[0]);
+    const stored = customer.email_preferences || {};
+
+    res.json({
+      firstName: customer.first_name,
+      email: (customer.email || '').replace(/(.{2})(.*)(@.*)/, '$1***$3'),
+      course: { name: course.course_name, logoUrl: course.logo_url, primaryColor: course.brand_primary_color },
+      categories: EMAIL_CATEGORIES,
+      preferences: Object.fromEntries(EMAIL_CATEGORIES.map(category => [category, stored[category] !== false])),
+      optedOut: customer.opted_out_email
+    });
+  } catch (error) {
+    console.error('Get email preferences error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// PUT /api/email/preferences/:customerId - Save category choices or unsubscribe from everything (public)
+app.put('/api/email/preferences/:customerId', async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const customer = await loadPreferenceCustomer(req, res);
+    if (!customer) return;
+
+    const { preferences = {}, optedOut = false } = req.body;
+    const next = { ...(customer.email_preferences || {}) };
+    for (const category of EMAIL_CATEGORIES) {
+      if (typeof preferences[category] === 'boolean') next[category] = preferences[category];
+    }
+
+    await client.query('BEGIN');
+    await client.query('UPDATE customers SET email_preferences = $2 WHERE id = $1', [customer.id, JSON.stringify(next)]);
+    if (optedOut) {
+      await optOutCustomerEmail(client, customer.id);
+    } else {
+      await client.query('UPDATE customers SET opted_out_email = false WHERE id = $1', [customer.id]);
+      const disabled = EMAIL_CATEGORIES.filter(category => next[category] === false);
+      if (disabled.length > 0) {
+        await client.query(`
+          UPDATE email_queue q SET status = 'cancelled'
+          FROM email_templates t
+          WHERE q.template_id = t.id AND q.customer_id = $1 AND q.status = 'pending' AND t.category = ANY($2)
+        `, [customer.id, disabled]);
+      }
+    }
+    await client.query('COMMIT');
+
+    res.json({
+      success: true,
+      preferences: Object.fromEntries(EMAIL_CATEGORIES.map(category => [category, next[category] !== false])),
+      optedOut: Boolean(optedOut)
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Update email preferences error:', error);
+    res.status(500).json({ error: error.message });
+  } finally {
+    client.release();
+  }
+});
+
+// POST /api/email/unsubscribe/:customerId - One-click unsubscribe from the List-Unsubscribe header (public)
+app.post('/api/email/unsubscribe/:customerId', async (req, res) => {
+  try {
+    const customer = await loadPreferenceCustomer(req, res);
+    if (!customer) return;
+
+    await optOutCustomerEmail(pool, customer.id);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('One-click unsubscribe error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Email log column stamped by each SendGrid event type
+const SENDGRID_EVENT_COLUMNS = {
+  delivered: 'delivered_at',
+  bounce: 'bounced_at',
+  dropped: 'dropped_at',
+  spamreport: 'spam_reported_at',
+  unsubscribe: 'unsubscribed_at',
+  group_unsubscribe: 'unsubscribed_at',
+  open: 'opened_at',
+  click: 'clicked_at'
+};
+
+// POST /api/webhooks/sendgrid - SendGrid event webhook (signed; see SENDGRID_WEBHOOK_PUBLIC_KEY)
+app.post('/api/webhooks/sendgrid', async (req, res) => {
+  if (!process.env.SENDGRID_WEBHOOK_PUBLIC_KEY) {
+    return res.status(503).json({ error: 'Webhook verification key is not configured' });
+  }
+  if (!verifySendGridSignature(req)) {
+    return res.status(401).json({ error: 'Invalid signature' });
+  }
+
+  const events = Array.isArray(req.body) ? req.body : [];
+  let processed = 0;
+
+  try {
+    for (const event of events) {
+      const column = SENDGRID_EVENT_COLUMNS[event.event];
+      if (!column) continue;
+
+      const queueId = uuidValidate(String(event.queue_id || '')) ? event.queue_id : null;
+      // sg_message_id is "<x-message-id>.<filter suffix>"; we stored the x-message-id
+      const messageId = event.sg_message_id ? String(event.sg_message_id).split('.')[0] : null;
+      const at = event.timestamp ? new Date(event.timestamp * 1000) : new Date();
+      const reason = event.reason || event.response || event.type || null;
+
+      const logResult = await pool.query(`
+        UPDATE email_logs el
+        SET ${column} = COALESCE(el.${column}, $3),
+          open_count = el.open_count + CASE WHEN $4 = 'open' THEN 1 ELSE 0 END,
+          click_count = el.click_count + CASE WHEN $4 = 'click' THEN 1 ELSE 0 END,
+          last_clicked_url = CASE WHEN $4 = 'click' THEN $5 ELSE el.last_clicked_url END,
+          last_event = $4, last_event_reason = $6
+        FROM email_queue eq
+        WHERE eq.id = el.queue_id
+          AND ((($1)::uuid IS NOT NULL AND el.queue_id = $1) OR (($2)::text IS NOT NULL AND el.sendgrid_message_id = $2))
+        RETURNING eq.customer_id
+      `, [queueId, messageId, at, event.event, event.url || null, reason]);
+
+      let customerId = logResult.rows[0]?.customer_id || null;
+      if (!customerId && event.email && uuidValidate(String(event.course_id || ''))) {
+        // Not a queued email (e.g. the reward code email) — find the customer by address within the course
+        const cust = await pool.query(
+          'SELECT id FROM customers WHERE course_id = $1 AND LOWER(email) = LOWER($2)',
+          [event.course_id, event.email]
+        );
+        customerId = cust.rows[0]?.id || null;
+      }
+
+      const hardBounce = (event.event === 'bounce' && event.type !== 'blocked')
+        || (event.event === 'dropped' && /bounce|invalid/i.test(event.reason || ''));
+      const optOut = ['spamreport', 'unsubscribe', 'group_unsubscribe'].includes(event.event)
+        || (event.event === 'dropped' && /unsubscribe|spam/i.test(event.reason || ''));
+
+      if (hardBounce && event.email) {
+        // An address that bounces is bad for every course that has it
+        const bounced = await pool.query(`
+          UPDATE customers SET email_bounced = true, email_bounced_at = COALESCE(email_bounced_at, $2)
+          WHERE LOWER(email) = LOWER($1)
+          RETURNING id
+        `, [event.email, at]);
+        await pool.query(
+          "UPDATE email_queue SET status = 'cancelled' WHERE customer_id = ANY($1) AND status = 'pending'",
+          [bounced.rows.map(row => row.id)]
+        );
+      }
+      if (optOut && customerId) {
+        await optOutCustomerEmail(pool, customerId);
+      }
+      processed++;
+    }
+
+    res.json({ received: events.length, processed });
+  } catch (error) {
+    console.error('SendGrid webhook error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /api/admin/emails/template-stats - Sent, open and click rates per template
+app.get('/api/admin/emails/template-stats', authenticateToken, requirePermission('email'), async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT et.id as template_id, et.name, et.type,
+        COUNT(eq.id) as sent,
+        COUNT(el.opened_at) as opened,
+        COUNT(el.clicked_at) as clicked
+      FROM email_templates et
+      LEFT JOIN email_queue eq ON eq.template_id = et.id AND eq.status = 'sent'
+      LEFT JOIN email_logs el ON el.queue_id = eq.id
+      WHERE et.course_id = $1 AND et.deleted_at IS NULL
+      GROUP BY et.id, et.name, et.type
+    `, [req.user.courseId]);
+
+    const rate = (count, total) => (total > 0 ? Math.round((count / total) * 1000) / 10 : 0);
+    res.json({
+      stats: result.rows.map(row => {
+        const sent = parseInt(row.sent);
+        const opened = parseInt(row.opened);
+        const clicked = parseInt(row.clicked);
+        return {
+          templateId: row.template_id,
+          name: row.name,
+          type: row.type,
+          sent,
+          opened,
+          clicked,
+          openRate: rate(opened, sent),
+          clickRate: rate(clicked, sent)
+        };
+      })
+    });
+  } catch (error) {
+    console.error('Template stats error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // GET /api/admin/process-emails - Manual trigger to process email queue
-app.get('/api/admin/process-emails', authenticateToken, requireAdmin, async (req, res) => {
+app.get('/api/admin/process-emails', authenticateToken, requirePermission('email'), async (req, res) => {
   try {
     const result = await processEmailQueue();
     res.json({ success: true, ...result });
@@ -1625,15 +2795,19 @@ app.get('/api/admin/process-emails', authenticateToken, requireAdmin, async (req
 });
 
 // GET /api/admin/emails - List email activity with summary counts
-app.get('/api/admin/emails', authenticateToken, requireAdmin, async (req, res) => {
+app.get('/api/admin/emails', authenticateToken, requirePermission('email'), async (req, res) => {
   try {
     const courseId = req.user.courseId;
 
     const summary = await pool.query(`
       SELECT
         COUNT(*) FILTER (WHERE status = 'pending') as pending,
+        COUNT(*) FILTER (WHERE status = 'pending' AND attempts > 0) as retrying,
         COUNT(*) FILTER (WHERE status = 'sent') as sent,
-        COUNT(*) FILTER (WHERE status = 'failed') as failed
+        COUNT(*) FILTER (WHERE status = 'failed') as failed,
+        COUNT(*) FILTER (WHERE status = 'dead') as dead,
+        COUNT(*) FILTER (WHERE status = 'pending' AND status_reason IS NOT NULL) as deferred,
+        COUNT(*) FILTER (WHERE status = 'skipped') as skipped
       FROM email_queue WHERE course_id = $1
     `, [courseId]);
 
@@ -1657,12 +2831,45 @@ app.get('/api/admin/emails', authenticateToken, requireAdmin, async (req, res) =
   }
 });
 
+// POST /api/admin/emails/:id/requeue - Send a failed or dead email again (attempts reset)
+app.post('/api/admin/emails/:id/requeue', authenticateToken, requirePermission('email'), async (req, res) => {
+  try {
+    const result = await pool.query(`
+      UPDATE email_queue
+      SET status = 'pending', attempts = 0, scheduled_for = NOW(), error_message = NULL, failure_type = NULL
+      WHERE id = $1 AND course_id = $2 AND status IN ('failed', 'dead')
+      RETURNING id
+    `, [req.params.id, req.user.courseId]);
+    if (result.rows.length === 0) return res.status(404).json({ error: 'No failed email with that id' });
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Requeue email error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /api/admin/emails/retry-failed - Bulk requeue dead emails (and permanent failures with includePermanent)
+app.post('/api/admin/emails/retry-failed', authenticateToken, requirePermission('email'), async (req, res) => {
+  try {
+    const statuses = req.body.includePermanent ? ['dead', 'failed'] : ['dead'];
+    const result = await pool.query(`
+      UPDATE email_queue
+      SET status = 'pending', attempts = 0, scheduled_for = NOW(), error_message = NULL, failure_type = NULL
+      WHERE course_id = $1 AND status = ANY($2)
+    `, [req.user.courseId, statuses]);
+    res.json({ success: true, requeued: result.rowCount });
+  } catch (error) {
+    console.error('Retry failed emails error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // GET /api/admin/email-templates - List templates
-app.get('/api/admin/email-templates', authenticateToken, requireAdmin, async (req, res) => {
+app.get('/api/admin/email-templates', authenticateToken, requirePermission('email'), async (req, res) => {
   try {
     const courseId = req.user.courseId;
     const result = await pool.query(
-      'SELECT * FROM email_templates WHERE course_id = $1 ORDER BY delay_hours ASC',
+      'SELECT * FROM email_templates WHERE course_id = $1 AND deleted_at IS NULL ORDER BY delay_hours ASC',
       [courseId]
     );
     res.json({ templates: result.rows });
@@ -1672,113 +2879,687 @@ app.get('/api/admin/email-templates', authenticateToken, requireAdmin, async (re
   }
 });
 
-// PUT /api/admin/email-templates/:id - Toggle active, edit subject/body
-app.put('/api/admin/email-templates/:id', authenticateToken, requireAdmin, async (req, res) => {
+// POST /api/admin/email-templates - Create a custom template (season opener, member-guest invite, ...)
+app.post('/api/admin/email-templates', authenticateToken, requirePermission('email'), async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    const {
+      type, name, subject, body_html, body_text, delay_hours, is_active, category = 'rewards',
+      send_window_start, send_window_end, quiet_days
+    } = req.body;
+
+    if (!type || !/^[a-z][a-z0-9_]{1,49}$/.test(type)) {
+      return res.status(400).json({ error: 'Type must be 2-50 lowercase letters, numbers or underscores' });
+    }
+    if (!name || !subject || !body_html) {
+      return res.status(400).json({ error: 'Name, subject and body are required' });
+    }
+    if (delay_hours !== undefined && (!Number.isInteger(Number(delay_hours)) || Number(delay_hours) < 0)) {
+      return res.status(400).json({ error: 'Delay must be a whole number of hours' });
+    }
+    if (!TEMPLATE_CATEGORIES.includes(category)) {
+      return res.status(400).json({ error: `Category must be one of: ${TEMPLATE_CATEGORIES.join(', ')}` });
+    }
+    const windowError = checkSendWindow({ send_window_start, send_window_end, quiet_days });
+    if (windowError) return res.status(400).json({ error: windowError });
+
+    const check = checkTemplateFields({ subject, body_html, body_text });
+    if (check.error) return res.status(400).json({ error: check.error, field: check.field });
+
+    await client.query('BEGIN');
+    const result = await client.query(`
+      INSERT INTO email_templates
+        (course_id, type, name, subject, body_html, body_text, delay_hours, is_active, category,
+         send_window_start, send_window_end, quiet_days)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+      RETURNING *
+    `, [
+      req.user.courseId, type, name, subject, body_html, body_text || null, Number(delay_hours) || 0, is_active !== false, category,
+      send_window_start || null, send_window_end || null, quiet_days || []
+    ]);
+    const template = result.rows[0];
+    await saveTemplateVersion(client, template, req.user.id);
+    await client.query('COMMIT');
+
+    res.json({ template, unknownVariables: check.unknownVariables });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'A template of this type already exists' });
+    }
+    console.error('Create template error:', error);
+    res.status(500).json({ error: error.message });
+  } finally {
+    client.release();
+  }
+});
+
+// PUT /api/admin/email-templates/:id - Toggle active, edit content incl. body_text (validated; content edits create a new version)
+app.put('/api/admin/email-templates/:id', authenticateToken, requirePermission('email'), async (req, res) => {
+  const client = await pool.connect();
+
   try {
     const { id } = req.params;
-    const { is_active, subject, body_html } = req.body;
+    const {
+      is_active, name, subject, body_html, body_text, delay_hours, category,
+      send_window_start, send_window_end, quiet_days
+    } = req.body;
+
+    if (is_active === false) {
+      const existing = await client.query(
+        'SELECT type FROM email_templates WHERE id = $1 AND course_id = $2 AND deleted_at IS NULL',
+        [id, req.user.courseId]
+      );
+      if (existing.rows[0]?.type === 'reward_code') {
+        return res.status(400).json({ error: 'The reward code email cannot be paused.' });
+      }
+    }
+    if (delay_hours !== undefined && (!Number.isInteger(Number(delay_hours)) || Number(delay_hours) < 0)) {
+      return res.status(400).json({ error: 'Delay must be a whole number of hours' });
+    }
+    if (category !== undefined && !TEMPLATE_CATEGORIES.includes(category)) {
+      return res.status(400).json({ error: `Category must be one of: ${TEMPLATE_CATEGORIES.join(', ')}` });
+    }
+    const windowError = checkSendWindow({ send_window_start, send_window_end, quiet_days });
+    if (windowError) return res.status(400).json({ error: windowError });
+
+    // Reject templates that won't parse; unknown variables are saved but reported back
+    const check = checkTemplateFields({ subject, body_html, body_text });
+    if (check.error) return res.status(400).json({ error: check.error, field: check.field });
 
     const fields = [];
     const params = [];
     let idx = 1;
 
     if (is_active !== undefined) { fields.push(`is_active = $${idx++}`); params.push(is_active); }
+    if (name !== undefined) { fields.push(`name = $${idx++}`); params.push(name); }
     if (subject !== undefined) { fields.push(`subject = $${idx++}`); params.push(subject); }
     if (body_html !== undefined) { fields.push(`body_html = $${idx++}`); params.push(body_html); }
-    fields.push(`updated_at = NOW()`);
+    // An empty text body means "generate it from the HTML"
+    if (body_text !== undefined) { fields.push(`body_text = $${idx++}`); params.push(body_text || null); }
+    if (delay_hours !== undefined) { fields.push(`delay_hours = $${idx++}`); params.push(Number(delay_hours)); }
+    if (category !== undefined) { fields.push(`category = $${idx++}`); params.push(category); }
+    // Start and end are set together (checkSendWindow); null/empty clears the window
+    if (send_window_start !== undefined || send_window_end !== undefined) {
+      fields.push(`send_window_start = $${idx++}`, `send_window_end = $${idx++}`);
+      params.push(send_window_start || null, send_window_end || null);
+    }
+    if (quiet_days !== undefined) { fields.push(`quiet_days = $${idx++}`); params.push(quiet_days); }
 
-    if (fields.length <= 1) {
+    if (fields.length === 0) {
       return res.status(400).json({ error: 'No fields to update.' });
     }
 
-    params.push(id);
-    const result = await pool.query(
-      `UPDATE email_templates SET ${fields.join(', ')} WHERE id = $${idx} RETURNING *`,
+    const contentChanged = [name, subject, body_html, body_text, delay_hours].some(value => value !== undefined);
+    if (contentChanged) fields.push('version = version + 1');
+    fields.push(`updated_at = NOW()`);
+
+    await client.query('BEGIN');
+    params.push(id, req.user.courseId);
+    const result = await client.query(
+      `UPDATE email_templates SET ${fields.join(', ')}
+       WHERE id = $${idx} AND course_id = $${idx + 1} AND deleted_at IS NULL RETURNING *`,
       params
     );
 
-    if (result.rows.length === 0) return res.status(404).json({ error: 'Template not found' });
-    res.json({ template: result.rows[0] });
+    if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Template not found' });
+    }
+    if (contentChanged) await saveTemplateVersion(client, result.rows[0], req.user.id);
+    await client.query('COMMIT');
+
+    res.json({ template: result.rows[0], unknownVariables: check.unknownVariables });
   } catch (error) {
+    await client.query('ROLLBACK');
     console.error('Update template error:', error);
     res.status(500).json({ error: error.message });
+  } finally {
+    client.release();
   }
 });
 
-// PUT /api/customers/:id/unsubscribe - Opt out + cancel pending emails
-app.put('/api/customers/:id/unsubscribe', authenticateToken, async (req, res) => {
+// DELETE /api/admin/email-templates/:id - Soft delete (history is kept) and cancel its pending emails
+app.delete('/api/admin/email-templates/:id', authenticateToken, requirePermission('email'), async (req, res) => {
   try {
     const { id } = req.params;
-    await pool.query('UPDATE customers SET opted_out_email = true WHERE id = $1', [id]);
+    const existing = await pool.query(
+      'SELECT type FROM email_templates WHERE id = $1 AND course_id = $2 AND deleted_at IS NULL',
+      [id, req.user.courseId]
+    );
+    if (existing.rows.length === 0) return res.status(404).json({ error: 'Template not found' });
+    if (existing.rows[0].type === 'reward_code') {
+      return res.status(400).json({ error: 'The reward code email cannot be deleted.' });
+    }
+    const usedBy = await pool.query(`
+      SELECT DISTINCT s.name FROM email_sequence_steps st
+      JOIN email_sequences s ON st.sequence_id = s.id
+      WHERE st.template_id = $1
+    `, [id]);
+    if (usedBy.rows.length > 0) {
+      return res.status(400).json({
+        error: `Remove this template from these sequences first: ${usedBy.rows.map(row => row.name).join(', ')}`
+      });
+    }
+    const triggeredBy = await pool.query(
+      'SELECT event, event_value FROM email_triggers WHERE course_id = $1 AND template_type = $2',
+      [req.user.courseId, existing.rows[0].type]
+    );
+    if (triggeredBy.rows.length > 0) {
+      const events = triggeredBy.rows.map(row => row.event_value ? `${row.event} (${row.event_value})` : row.event);
+      return res.status(400).json({ error: `Remove the triggers that send this template first: ${events.join(', ')}` });
+    }
+
     await pool.query(
-      "UPDATE email_queue SET status = 'cancelled' WHERE customer_id = $1 AND status = 'pending'",
+      'UPDATE email_templates SET deleted_at = NOW(), is_active = false, updated_at = NOW() WHERE id = $1',
       [id]
     );
-    res.json({ success: true });
+    const cancelled = await pool.query(
+      "UPDATE email_queue SET status = 'cancelled' WHERE template_id = $1 AND status = 'pending'",
+      [id]
+    );
+    res.json({ success: true, cancelled: cancelled.rowCount });
   } catch (error) {
-    console.error('Unsubscribe error:', error);
+    console.error('Delete template error:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// ============================================
-// SEGMENT ROUTES
-// ============================================
-
-// GET /api/admin/segments - List segments with customer counts
-app.get('/api/admin/segments', authenticateToken, requireAdmin, async (req, res) => {
+// GET /api/admin/email-templates/:id/versions - Version history, newest first
+app.get('/api/admin/email-templates/:id/versions', authenticateToken, requirePermission('email'), async (req, res) => {
   try {
-    const courseId = req.user.courseId;
-    const result = await pool.query(
-      'SELECT * FROM customer_segments WHERE course_id = $1 ORDER BY created_at DESC',
-      [courseId]
-    );
-
-    // Get counts for each segment
-    const segments = [];
-    for (const seg of result.rows) {
-      const filters = seg.filters || {};
-      const params = [courseId];
-      const { conditions } = buildSegmentFilterSQL(filters, params, 2);
-      let where = 'c.course_id = $1';
-      if (conditions.length > 0) where += ' AND ' + conditions.join(' AND ');
-      const countResult = await pool.query(
-        `SELECT COUNT(*) FROM customers c WHERE ${where}`, params
-      );
-      segments.push({ ...seg, customer_count: parseInt(countResult.rows[0].count) });
-    }
-
-    res.json({ segments });
+    const result = await pool.query(`
+      SELECT v.id, v.version, v.name, v.subject, v.delay_hours, v.restored_from_version, v.created_at,
+        u.name as created_by_name
+      FROM email_template_versions v
+      JOIN email_templates et ON v.template_id = et.id
+      LEFT JOIN admin_users u ON v.created_by = u.id
+      WHERE v.template_id = $1 AND et.course_id = $2
+      ORDER BY v.version DESC
+    `, [req.params.id, req.user.courseId]);
+    res.json({ versions: result.rows });
   } catch (error) {
-    console.error('List segments error:', error);
+    console.error('List template versions error:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// POST /api/admin/segments - Create segment
-app.post('/api/admin/segments', authenticateToken, requireAdmin, async (req, res) => {
+// GET /api/admin/email-templates/:id/versions/:version/diff?against=N - Line diff (default: against the current version)
+app.get('/api/admin/email-templates/:id/versions/:version/diff', authenticateToken, requirePermission('email'), async (req, res) => {
   try {
-    const courseId = req.user.courseId;
-    const { name, description, filters } = req.body;
+    const current = await pool.query(
+      'SELECT version FROM email_templates WHERE id = $1 AND course_id = $2',
+      [req.params.id, req.user.courseId]
+    );
+    if (current.rows.length === 0) return res.status(404).json({ error: 'Template not found' });
 
-    const result = await pool.query(`
-      INSERT INTO customer_segments (course_id, name, description, filters, created_by)
-      VALUES ($1, $2, $3, $4, $5)
-      RETURNING *
-    `, [courseId, name, description || '', JSON.stringify(filters || {}), req.user.id]);
+    const from = parseInt(req.params.version);
+    const to = req.query.against ? parseInt(req.query.against) : current.rows[0].version;
+    const versions = await pool.query(
+      'SELECT * FROM email_template_versions WHERE template_id = $1 AND version = ANY($2)',
+      [req.params.id, [from, to]]
+    );
+    const before = versions.rows.find(v => v.version === from);
+    const after = versions.rows.find(v => v.version === to);
+    if (!before || !after) return res.status(404).json({ error: 'Version not found' });
 
-    res.json({ segment: result.rows[0] });
+    res.json({
+      from,
+      to,
+      changes: ['name', 'subject', 'body_html', 'body_text', 'delay_hours'].reduce((acc, field) => {
+        const a = before[field] === null ? '' : String(before[field]);
+        const b = after[field] === null ? '' : String(after[field]);
+        if (a !== b) acc[field] = diffLines(a, b);
+        return acc;
+      }, {})
+    });
   } catch (error) {
-    console.error('Create segment error:', error);
+    console.error('Diff template versions error:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// GET /api/admin/segments/:id/customers - Get customers matching segment
-app.get('/api/admin/segments/:id/customers', authenticateToken, requireAdmin, async (req, res) => {
+// POST /api/admin/email-templates/:id/versions/:version/rollback - Restore an old version as a new version
+app.post('/api/admin/email-templates/:id/versions/:version/rollback', authenticateToken, requirePermission('email'), async (req, res) => {
+  const client = await pool.connect();
+
   try {
-    const { id } = req.params;
-    const segResult = await pool.query('SELECT * FROM customer_segments WHERE id = $1', [id]);
+    const version = parseInt(req.params.version);
+    const old = await client.query(`
+      SELECT v.* FROM email_template_versions v
+      JOIN email_templates et ON v.template_id = et.id
+      WHERE v.template_id = $1 AND v.version = $2 AND et.course_id = $3 AND et.deleted_at IS NULL
+    `, [req.params.id, version, req.user.courseId]);
+    if (old.rows.length === 0) return res.status(404).json({ error: 'Version not found' });
+    const v = old.rows[0];
+
+    await client.query('BEGIN');
+    const result = await client.query(`
+      UPDATE email_templates
+      SET name = $1, subject = $2, body_html = $3, body_text = $4, delay_hours = $5,
+        version = version + 1, updated_at = NOW()
+      WHERE id = $6
+      RETURNING *
+    `, [v.name, v.subject, v.body_html, v.body_text, v.delay_hours, req.params.id]);
+    await saveTemplateVersion(client, result.rows[0], req.user.id, version);
+    await client.query('COMMIT');
+
+    res.json({ template: result.rows[0] });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Rollback template error:', error);
+    res.status(500).json({ error: error.message });
+  } finally {
+    client.release();
+  }
+});
+
+// POST /api/admin/email-templates/:id/preview - Render (optionally unsaved) template for a sample or chosen customer
+app.post('/api/admin/email-templates/:id/preview', authenticateToken, requirePermission('email'), async (req, res) => {
+  try {
+    const preview = await renderTemplatePreview(pool, req.user.courseId, req.params.id, req.body);
+    if (preview.error) return res.status(preview.status).json({ error: preview.error });
+
+    res.json({
+      subject: preview.rendered.subject,
+      html: preview.rendered.body_html,
+      text: preview.rendered.body_text
+    });
+  } catch (error) {
+    console.error('Preview template error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /api/admin/email-templates/:id/test-send - Send the rendered template to the logged-in user
+app.post('/api/admin/email-templates/:id/test-send', authenticateToken, requirePermission('email'), async (req, res) => {
+  try {
+    const preview = await renderTemplatePreview(pool, req.user.courseId, req.params.id, req.body);
+    if (preview.error) return res.status(preview.status).json({ error: preview.error });
+
+    const { rendered, course } = preview;
+    const subject = `[TEST] ${rendered.subject}`;
+
+    await emailTransport.send({
+      to: req.user.email,
+      from: courseSender(course),
+      subject,
+      text: rendered.body_text,
+      html: rendered.body_html
+    });
+    res.json({ success: true, sentTo: req.user.email });
+  } catch (error) {
+    console.error('Test send template error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// PUT /api/customers/:id/unsubscribe - Opt out + cancel pending emails
+app.put('/api/customers/:id/unsubscribe', authenticateToken, requirePermission('customers:write'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const result = await pool.query(
+      'SELECT id FROM customers WHERE id = $1 AND course_id = $2',
+      [id, req.user.courseId]
+    );
+    if (result.rows.length === 0) return res.status(404).json({ error: 'Customer not found' });
+    await optOutCustomerEmail(pool, id);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Unsubscribe error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================
+// EMAIL SEQUENCE ROUTES
+// ============================================
+
+// GET /api/admin/sequences - Sequences with their steps and enrollment counts
+app.get('/api/admin/sequences', authenticateToken, requirePermission('email'), async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT s.*,
+        COALESCE((
+          SELECT json_agg(json_build_object(
+            'id', st.id, 'position', st.position, 'template_id', st.template_id, 'template_name', t.name,
+            'delay_hours', st.delay_hours, 'condition', st.condition
+          ) ORDER BY st.position)
+          FROM email_sequence_steps st
+          JOIN email_templates t ON st.template_id = t.id
+          WHERE st.sequence_id = s.id
+        ), '[]') AS steps,
+        (SELECT COUNT(*) FROM email_sequence_enrollments e WHERE e.sequence_id = s.id AND e.status = 'active') AS active_count,
+        (SELECT COUNT(*) FROM email_sequence_enrollments e WHERE e.sequence_id = s.id AND e.status = 'completed') AS completed_count,
+        (SELECT COUNT(*) FROM email_sequence_enrollments e WHERE e.sequence_id = s.id AND e.status = 'exited') AS exited_count
+      FROM email_sequences s
+      WHERE s.course_id = $1
+      ORDER BY s.created_at ASC
+    `, [req.user.courseId]);
+    res.json({
+      sequences: result.rows,
+      options: {
+        enrollOn: SEQUENCE_ENROLL_ON,
+        exitConditions: SEQUENCE_EXIT_CONDITIONS,
+        conditionFields: SEQUENCE_CONDITION_FIELDS,
+        conditionOps: SEQUENCE_CONDITION_OPS
+      }
+    });
+  } catch (error) {
+    console.error('List sequences error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /api/admin/sequences - Create a sequence with its steps
+app.post('/api/admin/sequences', authenticateToken, requirePermission('email'), async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    const { name, enroll_on = 'capture', exit_conditions = [], steps, is_active } = req.body;
+    if (name === undefined) return res.status(400).json({ error: 'Name is required' });
+    const fieldError = await checkSequenceFields(client, req.user.courseId, { name, enroll_on, exit_conditions, steps: steps || [] });
+    if (fieldError) return res.status(400).json({ error: fieldError });
+
+    await client.query('BEGIN');
+    const result = await client.query(`
+      INSERT INTO email_sequences (course_id, name, enroll_on, exit_conditions, is_active)
+      VALUES ($1, $2, $3, $4, $5)
+      RETURNING *
+    `, [req.user.courseId, name.trim(), enroll_on, exit_conditions, is_active !== false]);
+    await saveSequenceSteps(client, result.rows[0].id, steps);
+    await client.query('COMMIT');
+
+    res.json({ sequence: result.rows[0] });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'A sequence with this name already exists' });
+    }
+    console.error('Create sequence error:', error);
+    res.status(500).json({ error: error.message });
+  } finally {
+    client.release();
+  }
+});
+
+// PUT /api/admin/sequences/:id - Update settings and/or replace the steps
+// Customers part-way through keep their step number, so reordering steps affects what they get next.
+app.put('/api/admin/sequences/:id', authenticateToken, requirePermission('email'), async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    const { id } = req.params;
+    const { name, enroll_on, exit_conditions, steps, is_active } = req.body;
+    const fieldError = await checkSequenceFields(client, req.user.courseId, { name, enroll_on, exit_conditions, steps });
+    if (fieldError) return res.status(400).json({ error: fieldError });
+
+    const fields = [];
+    const params = [];
+    let idx = 1;
+
+    if (name !== undefined) { fields.push(`name = $${idx++}`); params.push(name.trim()); }
+    if (enroll_on !== undefined) { fields.push(`enroll_on = $${idx++}`); params.push(enroll_on); }
+    if (exit_conditions !== undefined) { fields.push(`exit_conditions = $${idx++}`); params.push(exit_conditions); }
+    if (is_active !== undefined) { fields.push(`is_active = $${idx++}`); params.push(is_active); }
+    fields.push('updated_at = NOW()');
+
+    await client.query('BEGIN');
+    params.push(id, req.user.courseId);
+    const result = await client.query(
+      `UPDATE email_sequences SET ${fields.join(', ')} WHERE id = $${idx} AND course_id = $${idx + 1} RETURNING *`,
+      params
+    );
+    if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Sequence not found' });
+    }
+    if (steps !== undefined) await saveSequenceSteps(client, id, steps);
+    await client.query('COMMIT');
+
+    res.json({ sequence: result.rows[0] });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'A sequence with this name already exists' });
+    }
+    console.error('Update sequence error:', error);
+    res.status(500).json({ error: error.message });
+  } finally {
+    client.release();
+  }
+});
+
+// DELETE /api/admin/sequences/:id - Delete a sequence; its enrollments end and their unsent emails are cancelled
+app.delete('/api/admin/sequences/:id', authenticateToken, requirePermission('email'), async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    const { id } = req.params;
+    await client.query('BEGIN');
+    const cancelled = await client.query(`
+      UPDATE email_queue q SET status = 'cancelled', status_reason = 'Sequence deleted'
+      FROM email_sequence_enrollments e, email_sequences s
+      WHERE q.enrollment_id = e.id AND e.sequence_id = s.id AND s.id = $1 AND s.course_id = $2 AND q.status = 'pending'
+    `, [id, req.user.courseId]);
+    const result = await client.query(
+      'DELETE FROM email_sequences WHERE id = $1 AND course_id = $2 RETURNING id',
+      [id, req.user.courseId]
+    );
+    if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Sequence not found' });
+    }
+    await client.query('COMMIT');
+
+    res.json({ success: true, cancelledEmails: cancelled.rowCount });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Delete sequence error:', error);
+    res.status(500).json({ error: error.message });
+  } finally {
+    client.release();
+  }
+});
+
+// GET /api/admin/sequences/:id/enrollments - Most recent enrollments with each customer's progress
+app.get('/api/admin/sequences/:id/enrollments', authenticateToken, requirePermission('email'), async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT e.id, e.status, e.current_step, e.next_run_at, e.exit_reason, e.enrolled_at, e.completed_at,
+        c.id AS customer_id, c.first_name, c.last_name, c.email
+      FROM email_sequence_enrollments e
+      JOIN customers c ON e.customer_id = c.id
+      WHERE e.sequence_id = $1 AND e.course_id = $2
+      ORDER BY e.enrolled_at DESC
+      LIMIT 100
+    `, [req.params.id, req.user.courseId]);
+    res.json({ enrollments: result.rows });
+  } catch (error) {
+    console.error('List sequence enrollments error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /api/admin/sequences/:id/enrollments/:enrollmentId/cancel - Take one customer out of a sequence
+app.post('/api/admin/sequences/:id/enrollments/:enrollmentId/cancel', authenticateToken, requirePermission('email'), async (req, res) => {
+  try {
+    const result = await pool.query(`
+      UPDATE email_sequence_enrollments
+      SET status = 'cancelled', exit_reason = 'cancelled_by_staff', completed_at = NOW(), updated_at = NOW()
+      WHERE id = $1 AND sequence_id = $2 AND course_id = $3 AND status = 'active'
+      RETURNING id
+    `, [req.params.enrollmentId, req.params.id, req.user.courseId]);
+    if (result.rows.length === 0) return res.status(404).json({ error: 'No active enrollment with that id' });
+    await pool.query(
+      "UPDATE email_queue SET status = 'cancelled', status_reason = 'Left the sequence' WHERE enrollment_id = $1 AND status = 'pending'",
+      [req.params.enrollmentId]
+    );
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Cancel enrollment error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================
+// EMAIL TRIGGER ROUTES
+// ============================================
+
+// GET /api/admin/email-triggers - List the course's event -> template mappings
+app.get('/api/admin/email-triggers', authenticateToken, requirePermission('email'), async (req, res) => {
+  try {
+    const result = await pool.query(
+      'SELECT * FROM email_triggers WHERE course_id = $1 ORDER BY event, event_value NULLS FIRST, template_type',
+      [req.user.courseId]
+    );
+    res.json({ triggers: result.rows, events: EMAIL_TRIGGER_EVENTS });
+  } catch (error) {
+    console.error('List email triggers error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /api/admin/email-triggers - Send a template when an event happens
+app.post('/api/admin/email-triggers', authenticateToken, requirePermission('email'), async (req, res) => {
+  try {
+    const fields = { ...req.body };
+    const fieldError = await checkTriggerFields(pool, req.user.courseId, fields);
+    if (fieldError) return res.status(400).json({ error: fieldError });
+
+    const delayHours = fields.delay_hours === undefined || fields.delay_hours === '' ? null : fields.delay_hours;
+    const result = await pool.query(`
+      INSERT INTO email_triggers (course_id, event, event_value, template_type, delay_hours, is_active)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING *
+    `, [req.user.courseId, fields.event, fields.event_value, fields.template_type, delayHours, fields.is_active !== false]);
+    res.json({ trigger: result.rows[0] });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'This event already sends that template' });
+    }
+    console.error('Create email trigger error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// PUT /api/admin/email-triggers/:id - Change a trigger's value, template, delay or active flag
+app.put('/api/admin/email-triggers/:id', authenticateToken, requirePermission('email'), async (req, res) => {
+  try {
+    const existing = await pool.query(
+      'SELECT * FROM email_triggers WHERE id = $1 AND course_id = $2',
+      [req.params.id, req.user.courseId]
+    );
+    if (existing.rows.length === 0) return res.status(404).json({ error: 'Trigger not found' });
+
+    const current = existing.rows[0];
+    const fields = {
+      event: current.event,
+      event_value: req.body.event_value !== undefined ? req.body.event_value : current.event_value,
+      template_type: req.body.template_type !== undefined ? req.body.template_type : current.template_type,
+      delay_hours: req.body.delay_hours !== undefined ? req.body.delay_hours : current.delay_hours
+    };
+    const fieldError = await checkTriggerFields(pool, req.user.courseId, fields);
+    if (fieldError) return res.status(400).json({ error: fieldError });
+
+    const result = await pool.query(`
+      UPDATE email_triggers
+      SET event_value = $1, template_type = $2, delay_hours = $3, is_active = COALESCE($4, is_active), updated_at = NOW()
+      WHERE id = $5
+      RETURNING *
+    `, [
+      fields.event_value, fields.template_type,
+      fields.delay_hours === '' ? null : fields.delay_hours,
+      req.body.is_active === undefined ? null : req.body.is_active,
+      current.id
+    ]);
+    res.json({ trigger: result.rows[0] });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'This event already sends that template' });
+    }
+    console.error('Update email trigger error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// DELETE /api/admin/email-triggers/:id - Stop sending on this event (already-queued emails still go out)
+app.delete('/api/admin/email-triggers/:id', authenticateToken, requirePermission('email'), async (req, res) => {
+  try {
+    const result = await pool.query(
+      'DELETE FROM email_triggers WHERE id = $1 AND course_id = $2 RETURNING id',
+      [req.params.id, req.user.courseId]
+    );
+    if (result.rows.length === 0) return res.status(404).json({ error: 'Trigger not found' });
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Delete email trigger error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================
+// SEGMENT ROUTES
+// ============================================
+
+// GET /api/admin/segments - List segments with customer counts
+app.get('/api/admin/segments', authenticateToken, requirePermission('segments'), async (req, res) => {
+  try {
+    const courseId = req.user.courseId;
+    const result = await pool.query(
+      'SELECT * FROM customer_segments WHERE course_id = $1 ORDER BY created_at DESC',
+      [courseId]
+    );
+
+    // Get counts for each segment
+    const segments = [];
+    for (const seg of result.rows) {
+      const filters = seg.filters || {};
+      const params = [courseId];
+      const { conditions } = buildSegmentFilterSQL(filters, params, 2);
+      let where = 'c.course_id = $1';
+      if (conditions.length > 0) where += ' AND ' + conditions.join(' AND ');
+      const countResult = await pool.query(
+        `SELECT COUNT(*) FROM customers c WHERE ${where}`, params
+      );
+      segments.push({ ...seg, customer_count: parseInt(countResult.rows[0].count) });
+    }
+
+    res.json({ segments });
+  } catch (error) {
+    console.error('List segments error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /api/admin/segments - Create segment
+app.post('/api/admin/segments', authenticateToken, requirePermission('segments'), async (req, res) => {
+  try {
+    const courseId = req.user.courseId;
+    const { name, description, filters } = req.body;
+
+    const result = await pool.query(`
+      INSERT INTO customer_segments (course_id, name, description, filters, created_by)
+      VALUES ($1, $2, $3, $4, $5)
+      RETURNING *
+    `, [courseId, name, description || '', JSON.stringify(filters || {}), req.user.id]);
+
+    res.json({ segment: result.rows[0] });
+  } catch (error) {
+    console.error('Create segment error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /api/admin/segments/:id/customers - Get customers matching segment
+app.get('/api/admin/segments/:id/customers', authenticateToken, requirePermission('segments'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const segResult = await pool.query(
+      'SELECT * FROM customer_segments WHERE id = $1 AND course_id = $2',
+      [id, req.user.courseId]
+    );
     if (segResult.rows.length === 0) return res.status(404).json({ error: 'Segment not found' });
 
     const seg = segResult.rows[0];
@@ -1801,10 +3582,13 @@ app.get('/api/admin/segments/:id/customers', authenticateToken, requireAdmin, as
 });
 
 // POST /api/admin/segments/:id/export - Export segment as CSV
-app.post('/api/admin/segments/:id/export', authenticateToken, requireAdmin, async (req, res) => {
+app.post('/api/admin/segments/:id/export', authenticateToken, requirePermission('segments'), async (req, res) => {
   try {
     const { id } = req.params;
-    const segResult = await pool.query('SELECT * FROM customer_segments WHERE id = $1', [id]);
+    const segResult = await pool.query(
+      'SELECT * FROM customer_segments WHERE id = $1 AND course_id = $2',
+      [id, req.user.courseId]
+    );
     if (segResult.rows.length === 0) return res.status(404).json({ error: 'Segment not found' });
 
     const seg = segResult.rows[0];
@@ -1843,39 +3627,71 @@ app.post('/api/admin/segments/:id/export', authenticateToken, requireAdmin, asyn
 });
 
 // POST /api/admin/segments/:id/email - Send email to entire segment
-app.post('/api/admin/segments/:id/email', authenticateToken, requireAdmin, async (req, res) => {
+app.post('/api/admin/segments/:id/email', authenticateToken, requirePermission('segments'), async (req, res) => {
   try {
     const { id } = req.params;
     const { templateId } = req.body;
 
-    const segResult = await pool.query('SELECT * FROM customer_segments WHERE id = $1', [id]);
+    const segResult = await pool.query(
+      'SELECT * FROM customer_segments WHERE id = $1 AND course_id = $2',
+      [id, req.user.courseId]
+    );
     if (segResult.rows.length === 0) return res.status(404).json({ error: 'Segment not found' });
 
     const seg = segResult.rows[0];
     const filters = seg.filters || {};
     const params = [seg.course_id];
     const { conditions } = buildSegmentFilterSQL(filters, params, 2);
-    let where = 'c.course_id = $1 AND c.opted_out_email = false AND c.email IS NOT NULL';
+    let where = 'c.course_id = $1 AND c.opted_out_email = false AND c.email_bounced = false AND c.email IS NOT NULL';
     if (conditions.length > 0) where += ' AND ' + conditions.join(' AND ');
 
     const customers = await pool.query(`SELECT c.* FROM customers c WHERE ${where}`, params);
 
-    const template = await pool.query('SELECT * FROM email_templates WHERE id = $1', [templateId]);
+    const template = await pool.query(
+      'SELECT * FROM email_templates WHERE id = $1 AND course_id = $2 AND deleted_at IS NULL',
+      [templateId, seg.course_id]
+    );
     if (template.rows.length === 0) return res.status(404).json({ error: 'Template not found' });
 
+    // Templates saved before the engine was strict may not parse; fail before anything is queued
     const tmpl = template.rows[0];
+    const syntax = checkTemplateFields({ subject: tmpl.subject, body_html: tmpl.body_html, body_text: tmpl.body_text || '' });
+    if (syntax.error) return res.status(400).json({ error: `${syntax.error}. Fix the template before sending.` });
+
+    const courseResult = await pool.query('SELECT * FROM courses WHERE id = $1', [seg.course_id]);
+    const course = courseResult.rows[0];
+    const courseData = courseTemplateData(course);
+    const timezone = course.timezone || 'America/New_York';
     let queued = 0;
+    let deferred = 0;
+    let skipped = 0;
+    const now = new Date().toISOString();
 
     for (const cust of customers.rows) {
-      const rendered = renderTemplate(tmpl, cust);
+      if (!wantsEmailCategory(cust, tmpl.category)) continue;
+      const rendered = renderTemplate(tmpl, {
+        ...courseData,
+        ...cust,
+        location: await customerTemplateLocation(pool, cust.id),
+        unsubscribe_url: emailPreferenceLinks(cust.id).unsubscribe_url
+      });
+      const capped = await checkFrequencyCap(pool, course, cust.id, tmpl.category, now);
       await pool.query(`
-        INSERT INTO email_queue (course_id, customer_id, template_id, to_email, subject, body_html, scheduled_for)
-        VALUES ($1, $2, $3, $4, $5, $6, NOW())
-      `, [seg.course_id, cust.id, tmpl.id, cust.email, rendered.subject, rendered.body_html]);
-      queued++;
+        INSERT INTO email_queue
+          (course_id, customer_id, template_id, template_version, to_email, subject, body_html, body_text,
+           scheduled_for, status, status_reason)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, email_send_time($9, $10, $11, $12, $13), $14, $15)
+      `, [
+        seg.course_id, cust.id, tmpl.id, tmpl.version, cust.email, rendered.subject, rendered.body_html, rendered.body_text,
+        capped ? capped.scheduledFor : now, timezone, tmpl.send_window_start, tmpl.send_window_end, tmpl.quiet_days,
+        capped ? capped.status : 'pending', capped ? capped.reason : null
+      ]);
+      if (capped?.status === 'skipped') skipped++;
+      else if (capped) deferred++;
+      else queued++;
     }
 
-    res.json({ success: true, queued });
+    res.json({ success: true, queued, deferred, skipped });
   } catch (error) {
     console.error('Email segment error:', error);
     res.status(500).json({ error: error.message });
@@ -1883,7 +3699,7 @@ app.post('/api/admin/segments/:id/email', authenticateToken, requireAdmin, async
 });
 
 // POST /api/admin/segments/preview-count - Live count preview without saving
-app.post('/api/admin/segments/preview-count', authenticateToken, requireAdmin, async (req, res) => {
+app.post('/api/admin/segments/preview-count', authenticateToken, requirePermission('segments'), async (req, res) => {
   try {
     const courseId = req.user.courseId;
     const { filters } = req.body;
@@ -1901,10 +3717,14 @@ app.post('/api/admin/segments/preview-count', authenticateToken, requireAdmin, a
 });
 
 // DELETE /api/admin/segments/:id - Delete segment
-app.delete('/api/admin/segments/:id', authenticateToken, requireAdmin, async (req, res) => {
+app.delete('/api/admin/segments/:id', authenticateToken, requirePermission('segments'), async (req, res) => {
   try {
     const { id } = req.params;
-    await pool.query('DELETE FROM customer_segments WHERE id = $1', [id]);
+    const result = await pool.query(
+      'DELETE FROM customer_segments WHERE id = $1 AND course_id = $2 RETURNING id',
+      [id, req.user.courseId]
+    );
+    if (result.rows.length === 0) return res.status(404).json({ error: 'Segment not found' });
     res.json({ success: true });
   } catch (error) {
     console.error('Delete segment error:', error);
@@ -1917,7 +3737,7 @@ app.delete('/api/admin/segments/:id', authenticateToken, requireAdmin, async (re
 // ============================================
 
 // GET /api/admin/pipeline - List prospects with pipeline status + summary stats
-app.get('/api/admin/pipeline', authenticateToken, requireAdmin, async (req, res) => {
+app.get('/api/admin/pipeline', authenticateToken, requirePermission('pipeline'), async (req, res) => {
   try {
     const courseId = req.user.courseId;
     const { status } = req.query;
@@ -1961,11 +3781,17 @@ app.get('/api/admin/pipeline', authenticateToken, requireAdmin, async (req, res)
 });
 
 // PUT /api/admin/pipeline/:customerId - Update status/notes/assigned_to
-app.put('/api/admin/pipeline/:customerId', authenticateToken, requireAdmin, async (req, res) => {
+app.put('/api/admin/pipeline/:customerId', authenticateToken, requirePermission('pipeline'), async (req, res) => {
   try {
     const { customerId } = req.params;
     const { status, notes, assigned_to } = req.body;
 
+    const before = await pool.query(
+      'SELECT status FROM prospect_pipeline WHERE customer_id = $1 AND course_id = $2',
+      [customerId, req.user.courseId]
+    );
+    if (before.rows.length === 0) return res.status(404).json({ error: 'Pipeline entry not found' });
+
     const fields = ['last_activity_at = NOW()', 'updated_at = NOW()'];
     const params = [];
     let idx = 1;
@@ -1974,14 +3800,21 @@ app.put('/api/admin/pipeline/:customerId', authenticateToken, requireAdmin, asyn
     if (notes !== undefined) { fields.push(`notes = $${idx++}`); params.push(notes); }
     if (assigned_to !== undefined) { fields.push(`assigned_to = $${idx++}`); params.push(assigned_to); }
 
-    params.push(customerId);
+    params.push(customerId, req.user.courseId);
     const result = await pool.query(
-      `UPDATE prospect_pipeline SET ${fields.join(', ')} WHERE customer_id = $${idx} RETURNING *`,
+      `UPDATE prospect_pipeline SET ${fields.join(', ')} WHERE customer_id = $${idx} AND course_id = $${idx + 1} RETURNING *`,
       params
     );
 
     if (result.rows.length === 0) return res.status(404).json({ error: 'Pipeline entry not found' });
-    res.json({ pipeline: result.rows[0] });
+    const pipeline = result.rows[0];
+    if (status !== undefined && before.rows[0].status !== pipeline.status) {
+      await fireEmailTrigger(pool, pipeline.course_id, customerId, 'pipeline_status_changed', {
+        value: pipeline.status,
+        data: { pipeline_status: pipeline.status }
+      });
+    }
+    res.json({ pipeline });
   } catch (error) {
     console.error('Pipeline update error:', error);
     res.status(500).json({ error: error.message });
@@ -1989,11 +3822,14 @@ app.put('/api/admin/pipeline/:customerId', authenticateToken, requireAdmin, asyn
 });
 
 // POST /api/admin/pipeline - Manually add customer to pipeline
-app.post('/api/admin/pipeline', authenticateToken, requireAdmin, async (req, res) => {
+app.post('/api/admin/pipeline', authenticateToken, requirePermission('pipeline'), async (req, res) => {
   try {
     const courseId = req.user.courseId;
     const { customerId } = req.body;
 
+    const customer = await pool.query('SELECT id FROM customers WHERE id = $1 AND course_id = $2', [customerId, courseId]);
+    if (customer.rows.length === 0) return res.status(404).json({ error: 'Customer not found' });
+
     const result = await pool.query(`
       INSERT INTO prospect_pipeline (course_id, customer_id, status)
       VALUES ($1, $2, 'new')
@@ -2004,6 +3840,10 @@ app.post('/api/admin/pipeline', authenticateToken, requireAdmin, async (req, res
     if (result.rows.length === 0) {
       return res.status(400).json({ error: 'Customer already in pipeline' });
     }
+    await fireEmailTrigger(pool, courseId, customerId, 'pipeline_status_changed', {
+      value: 'new',
+      data: { pipeline_status: 'new' }
+    });
     res.json({ pipeline: result.rows[0] });
   } catch (error) {
     console.error('Pipeline add error:', error);
@@ -2015,8 +3855,8 @@ app.post('/api/admin/pipeline', authenticateToken, requireAdmin, async (req, res
 // A/B TESTING ROUTES
 // ============================================
 
-// GET /api/admin/ab-tests - List tests with variant counts + redemption rates
-app.get('/api/admin/ab-tests', authenticateToken, requireAdmin, async (req, res) => {
+// GET /api/admin/ab-tests - List tests with variant counts, redemption rates + significance
+app.get('/api/admin/ab-tests', authenticateToken, requirePermission('locations:manage'), async (req, res) => {
   try {
     const courseId = req.user.courseId;
 
@@ -2030,25 +3870,8 @@ app.get('/api/admin/ab-tests', authenticateToken, requireAdmin, async (req, res)
 
     const results = [];
     for (const test of tests.rows) {
-      const stats = await pool.query(`
-        SELECT
-          variant,
-          COUNT(*) as total,
-          COUNT(*) FILTER (WHERE redeemed = true) as redeemed
-        FROM ab_test_results
-        WHERE ab_test_id = $1
-        GROUP BY variant
-      `, [test.id]);
-
-      const variantStats = { A: { total: 0, redeemed: 0 }, B: { total: 0, redeemed: 0 } };
-      for (const row of stats.rows) {
-        variantStats[row.variant] = {
-          total: parseInt(row.total),
-          redeemed: parseInt(row.redeemed)
-        };
-      }
-
-      results.push({ ...test, variants: variantStats });
+      const { variants, significance } = await loadAbTestStats(pool, test);
+      results.push({ ...test, variants, significance });
     }
 
     res.json({ tests: results });
@@ -2058,62 +3881,311 @@ app.get('/api/admin/ab-tests', authenticateToken, requireAdmin, async (req, res)
   }
 });
 
-// POST /api/admin/ab-tests - Create test (auto-deactivates existing test on same location)
-app.post('/api/admin/ab-tests', authenticateToken, requireAdmin, async (req, res) => {
+// POST /api/admin/ab-tests - Create A/B/n test (auto-deactivates existing test on same location)
+app.post('/api/admin/ab-tests', authenticateToken, requirePermission('locations:manage'), async (req, res) => {
+  const client = await pool.connect();
+
   try {
     const courseId = req.user.courseId;
-    const {
-      locationId, name,
-      variantARewardType, variantADescription, variantAEmoji,
-      variantBRewardType, variantBDescription, variantBEmoji
-    } = req.body;
+    const { locationId, name, variants, autoPromote, significanceThreshold, minSampleSize } = req.body;
+
+    if (!locationId) {
+      return res.status(400).json({ error: 'locationId is required' });
+    }
+    if (!Array.isArray(variants) || variants.length < 2) {
+      return res.status(400).json({ error: 'At least two variants are required' });
+    }
+    if (variants.length > 26) {
+      return res.status(400).json({ error: 'A test can have at most 26 variants' });
+    }
+    for (const v of variants) {
+      if (!v.rewardType || !v.description) {
+        return res.status(400).json({ error: 'Each variant needs a reward type and description' });
+      }
+      if (v.weight !== undefined && !(Number.isInteger(Number(v.weight)) && Number(v.weight) > 0)) {
+        return res.status(400).json({ error: 'Variant weights must be positive integers' });
+      }
+    }
+    if (significanceThreshold !== undefined && !(significanceThreshold > 0.5 && significanceThreshold < 1)) {
+      return res.status(400).json({ error: 'significanceThreshold must be between 0.5 and 1' });
+    }
+    if (minSampleSize !== undefined && !(Number.isInteger(Number(minSampleSize)) && Number(minSampleSize) > 0)) {
+      return res.status(400).json({ error: 'minSampleSize must be a positive integer' });
+    }
+
+    const location = await client.query(
+      'SELECT id FROM locations WHERE id = $1 AND course_id = $2',
+      [locationId, courseId]
+    );
+    if (location.rows.length === 0) return res.status(404).json({ error: 'Location not found' });
+
+    await client.query('BEGIN');
 
     // Deactivate existing test on this location
-    await pool.query(
-      'UPDATE ab_tests SET is_active = false, ended_at = NOW() WHERE location_id = $1 AND is_active = true',
-      [locationId]
+    await client.query(
+      'UPDATE ab_tests SET is_active = false, ended_at = NOW() WHERE location_id = $1 AND course_id = $2 AND is_active = true',
+      [locationId, courseId]
     );
 
-    const result = await pool.query(`
-      INSERT INTO ab_tests (
-        course_id, location_id, name,
-        variant_a_reward_type, variant_a_description, variant_a_emoji,
-        variant_b_reward_type, variant_b_description, variant_b_emoji
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+    const result = await client.query(`
+      INSERT INTO ab_tests (course_id, location_id, name, auto_promote, significance_threshold, min_sample_size)
+      VALUES ($1, $2, $3, $4, $5, $6)
       RETURNING *
     `, [
       courseId, locationId, name,
-      variantARewardType, variantADescription, variantAEmoji || '🎁',
-      variantBRewardType, variantBDescription, variantBEmoji || '🎁'
+      autoPromote === true, significanceThreshold || 0.95, parseInt(minSampleSize) || 30
     ]);
+    const test = result.rows[0];
+
+    const createdVariants = [];
+    for (let i = 0; i < variants.length; i++) {
+      const v = variants[i];
+      // Catalog entry gives issued codes a description for lookups/resends and a validity rule
+      await ensureCatalogReward(client, courseId, { type: v.rewardType, description: v.description, emoji: v.emoji });
+      const variantResult = await client.query(`
+        INSERT INTO ab_test_variants (ab_test_id, label, reward_type, description, emoji, weight, position)
+        VALUES ($1, $2, $3, $4, $5, $6, $7)
+        RETURNING *
+      `, [test.id, String.fromCharCode(65 + i), v.rewardType, v.description, v.emoji || '🎁', Number(v.weight) || 1, i]);
+      createdVariants.push(variantResult.rows[0]);
+    }
 
-    res.json({ test: result.rows[0] });
+    await client.query('COMMIT');
+    res.json({ test: { ...test, variants: createdVariants } });
   } catch (error) {
+    await client.query('ROLLBACK');
     console.error('Create AB test error:', error);
     res.status(500).json({ error: error.message });
+  } finally {
+    client.release();
   }
 });
 
-// PUT /api/admin/ab-tests/:id - Toggle active/end test
-app.put('/api/admin/ab-tests/:id', authenticateToken, requireAdmin, async (req, res) => {
+// PUT /api/admin/ab-tests/:id - Toggle active/end test, edit auto-promote rule
+app.put('/api/admin/ab-tests/:id', authenticateToken, requirePermission('locations:manage'), async (req, res) => {
+  const client = await pool.connect();
+
   try {
     const { id } = req.params;
-    const { is_active } = req.body;
+    const { is_active, auto_promote, significance_threshold, min_sample_size } = req.body;
 
-    const updates = is_active
-      ? 'is_active = true, ended_at = NULL'
-      : 'is_active = false, ended_at = NOW()';
+    const fields = [];
+    const params = [];
+    let idx = 1;
 
-    const result = await pool.query(
-      `UPDATE ab_tests SET ${updates} WHERE id = $1 RETURNING *`,
-      [id]
+    if (is_active !== undefined) {
+      // A reactivated test starts over: no winner until it is evaluated again
+      fields.push(is_active
+        ? 'is_active = true, ended_at = NULL, winner_variant = NULL, promoted_at = NULL'
+        : 'is_active = false, ended_at = NOW()');
+    }
+    if (auto_promote !== undefined) { fields.push(`auto_promote = $${idx++}`); params.push(auto_promote); }
+    if (significance_threshold !== undefined) {
+      if (!(significance_threshold > 0.5 && significance_threshold < 1)) {
+        return res.status(400).json({ error: 'significance_threshold must be between 0.5 and 1' });
+      }
+      fields.push(`significance_threshold = $${idx++}`);
+      params.push(significance_threshold);
+    }
+    if (min_sample_size !== undefined) {
+      if (!(Number.isInteger(Number(min_sample_size)) && Number(min_sample_size) > 0)) {
+        return res.status(400).json({ error: 'min_sample_size must be a positive integer' });
+      }
+      fields.push(`min_sample_size = $${idx++}`);
+      params.push(Number(min_sample_size));
+    }
+
+    if (fields.length === 0) {
+      return res.status(400).json({ error: 'No fields to update.' });
+    }
+
+    await client.query('BEGIN');
+
+    // Only one active test per location, the same as when a test is created
+    if (is_active) {
+      await client.query(`
+        UPDATE ab_tests other
+        SET is_active = false, ended_at = NOW()
+        FROM ab_tests t
+        WHERE t.id = $1 AND t.course_id = $2
+          AND other.location_id = t.location_id AND other.course_id = t.course_id
+          AND other.id <> t.id AND other.is_active = true
+      `, [id, req.user.courseId]);
+    }
+
+    params.push(id, req.user.courseId);
+    const result = await client.query(
+      `UPDATE ab_tests SET ${fields.join(', ')} WHERE id = $${idx} AND course_id = $${idx + 1} RETURNING *`,
+      params
     );
 
-    if (result.rows.length === 0) return res.status(404).json({ error: 'Test not found' });
+    if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Test not found' });
+    }
+    await client.query('COMMIT');
     res.json({ test: result.rows[0] });
   } catch (error) {
+    await client.query('ROLLBACK');
     console.error('Update AB test error:', error);
     res.status(500).json({ error: error.message });
+  } finally {
+    client.release();
+  }
+});
+
+// ============================================
+// REWARD CATALOG ROUTES
+// ============================================
+
+// GET /api/admin/rewards - List the course's reward catalog
+app.get('/api/admin/rewards', authenticateToken, requirePermission('locations:read'), async (req, res) => {
+  try {
+    const result = await pool.query(
+      'SELECT * FROM reward_catalog WHERE course_id = $1 ORDER BY position, label',
+      [req.user.courseId]
+    );
+    res.json({ rewards: result.rows });
+  } catch (error) {
+    console.error('List rewards error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /api/admin/rewards - Add a reward to the catalog
+app.post('/api/admin/rewards', authenticateToken, requirePermission('locations:manage'), async (req, res) => {
+  try {
+    const { type, label, description, emoji, position } = req.body;
+    const validityType = req.body.validity_type || 'same_day';
+
+    if (!type || !label || !description) {
+      return res.status(400).json({ error: 'Type, label, and description are required' });
+    }
+    const validityError = validateRewardValidity({ ...req.body, validity_type: validityType });
+    if (validityError) {
+      return res.status(400).json({ error: validityError });
+    }
+    if (!/^[a-z0-9_]+$/.test(type)) {
+      return res.status(400).json({ error: 'Type may only contain lowercase letters, numbers, and underscores' });
+    }
+
+    const result = await pool.query(`
+      INSERT INTO reward_catalog (
+        course_id, type, label, description, emoji, position,
+        validity_type, validity_days, valid_from, valid_until
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+      ON CONFLICT (course_id, type) DO NOTHING
+      RETURNING *
+    `, [
+      req.user.courseId, type, label, description, emoji || '🎁', parseInt(position) || 0,
+      validityType,
+      validityType === 'days' ? parseInt(req.body.validity_days) : null,
+      validityType === 'date_range' ? req.body.valid_from || null : null,
+      validityType === 'date_range' ? req.body.valid_until : null
+    ]);
+
+    if (result.rows.length === 0) {
+      return res.status(400).json({ error: 'A reward with this type already exists' });
+    }
+    res.json({ reward: result.rows[0] });
+  } catch (error) {
+    console.error('Create reward error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// PUT /api/admin/rewards/:id - Edit label/description/emoji/position/validity or retire a reward
+app.put('/api/admin/rewards/:id', authenticateToken, requirePermission('locations:manage'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { label, description, emoji, position, is_active, validity_type } = req.body;
+
+    // Validity fields are replaced as a set so stale days/dates don't linger
+    if (validity_type !== undefined) {
+      const validityError = validateRewardValidity(req.body);
+      if (validityError) {
+        return res.status(400).json({ error: validityError });
+      }
+    }
+
+    const fields = [];
+    const params = [];
+    let idx = 1;
+
+    if (label !== undefined) { fields.push(`label = $${idx++}`); params.push(label); }
+    if (description !== undefined) { fields.push(`description = $${idx++}`); params.push(description); }
+    if (emoji !== undefined) { fields.push(`emoji = $${idx++}`); params.push(emoji); }
+    if (position !== undefined) { fields.push(`position = $${idx++}`); params.push(parseInt(position) || 0); }
+    if (is_active !== undefined) { fields.push(`is_active = $${idx++}`); params.push(is_active); }
+    if (validity_type !== undefined) {
+      fields.push(`validity_type = $${idx++}`); params.push(validity_type);
+      fields.push(`validity_days = $${idx++}`);
+      params.push(validity_type === 'days' ? parseInt(req.body.validity_days) : null);
+      fields.push(`valid_from = $${idx++}`);
+      params.push(validity_type === 'date_range' ? req.body.valid_from || null : null);
+      fields.push(`valid_until = $${idx++}`);
+      params.push(validity_type === 'date_range' ? req.body.valid_until : null);
+    }
+    fields.push('updated_at = NOW()');
+
+    if (fields.length <= 1) {
+      return res.status(400).json({ error: 'No fields to update.' });
+    }
+
+    params.push(id, req.user.courseId);
+    const result = await pool.query(
+      `UPDATE reward_catalog SET ${fields.join(', ')} WHERE id = $${idx} AND course_id = $${idx + 1} RETURNING *`,
+      params
+    );
+
+    if (result.rows.length === 0) return res.status(404).json({ error: 'Reward not found' });
+    res.json({ reward: result.rows[0] });
+  } catch (error) {
+    console.error('Update reward error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// PUT /api/admin/locations/:id/rewards - Set which catalog rewards a location offers (in order)
+app.put('/api/admin/locations/:id/rewards', authenticateToken, requirePermission('locations:manage'), async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    const { id } = req.params;
+    const { rewardIds } = req.body;
+
+    if (!Array.isArray(rewardIds)) {
+      return res.status(400).json({ error: 'rewardIds must be an array' });
+    }
+
+    const location = await client.query(
+      'SELECT id FROM locations WHERE id = $1 AND course_id = $2',
+      [id, req.user.courseId]
+    );
+    if (location.rows.length === 0) {
+      return res.status(404).json({ error: 'Location not found' });
+    }
+
+    await client.query('BEGIN');
+    await client.query('DELETE FROM location_reward_options WHERE location_id = $1', [id]);
+
+    for (let i = 0; i < rewardIds.length; i++) {
+      await client.query(`
+        INSERT INTO location_reward_options (location_id, reward_id, position)
+        SELECT $1, id, $3 FROM reward_catalog WHERE id = $2 AND course_id = $4
+        ON CONFLICT DO NOTHING
+      `, [id, rewardIds[i], i, req.user.courseId]);
+    }
+
+    await client.query('COMMIT');
+    res.json({ success: true, rewardIds });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Set location rewards error:', error);
+    res.status(500).json({ error: error.message });
+  } finally {
+    client.release();
   }
 });
 
@@ -2122,11 +4194,21 @@ app.put('/api/admin/ab-tests/:id', authenticateToken, requireAdmin, async (req,
 // ============================================
 
 // POST /api/admin/revenue - Record revenue event
-app.post('/api/admin/revenue', authenticateToken, requireAdmin, async (req, res) => {
+app.post('/api/admin/revenue', authenticateToken, requirePermission('revenue'), async (req, res) => {
   try {
     const courseId = req.user.courseId;
     const { customerId, eventType, amount, source, locationId, notes, eventDate } = req.body;
 
+    // The customer and location must belong to this course (and the trigger only fires for its customers)
+    if (customerId) {
+      const customer = await pool.query('SELECT id FROM customers WHERE id = $1 AND course_id = $2', [customerId, courseId]);
+      if (customer.rows.length === 0) return res.status(404).json({ error: 'Customer not found' });
+    }
+    if (locationId) {
+      const location = await pool.query('SELECT id FROM locations WHERE id = $1 AND course_id = $2', [locationId, courseId]);
+      if (location.rows.length === 0) return res.status(404).json({ error: 'Location not found' });
+    }
+
     const result = await pool.query(`
       INSERT INTO revenue_events (course_id, customer_id, event_type, amount, source, attributed_location_id, notes, recorded_by, event_date)
       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
@@ -2143,6 +4225,11 @@ app.post('/api/admin/revenue', authenticateToken, requireAdmin, async (req, res)
       eventDate || new Date().toISOString().split('T')[0]
     ]);
 
+    await fireEmailTrigger(pool, courseId, customerId, 'revenue_recorded', {
+      value: eventType,
+      data: { revenue_amount: Number(amount).toFixed(2), revenue_type: eventType }
+    });
+
     res.json({ event: result.rows[0] });
   } catch (error) {
     console.error('Record revenue error:', error);
@@ -2151,7 +4238,7 @@ app.post('/api/admin/revenue', authenticateToken, requireAdmin, async (req, res)
 });
 
 // GET /api/admin/revenue - List events with filters
-app.get('/api/admin/revenue', authenticateToken, requireAdmin, async (req, res) => {
+app.get('/api/admin/revenue', authenticateToken, requirePermission('revenue'), async (req, res) => {
   try {
     const courseId = req.user.courseId;
     const { eventType, startDate, endDate, customerId } = req.query;
@@ -2182,7 +4269,7 @@ app.get('/api/admin/revenue', authenticateToken, requireAdmin, async (req, res)
 });
 
 // GET /api/admin/revenue/summary - Aggregated revenue data
-app.get('/api/admin/revenue/summary', authenticateToken, requireAdmin, async (req, res) => {
+app.get('/api/admin/revenue/summary', authenticateToken, requirePermission('revenue'), async (req, res) => {
   try {
     const courseId = req.user.courseId;
 
@@ -2254,75 +4341,255 @@ app.get('/api/admin/revenue/summary', authenticateToken, requireAdmin, async (re
 });
 
 // ============================================
-// EMAIL PROCESSOR
+// COURSE ROUTES
 // ============================================
 
-async function processEmailQueue() {
-  let sent = 0;
-  let failed = 0;
+// GET /api/courses/:slug - Public course info for the capture form
+app.get('/api/courses/:slug', async (req, res) => {
+  try {
+    const result = await pool.query(
+      'SELECT * FROM courses WHERE slug = $1 AND is_active = true',
+      [req.params.slug]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Course not found' });
+    }
+    res.json({ course: publicCourse(result.rows[0]) });
+  } catch (error) {
+    console.error('Get course error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /api/courses - Onboard a new course and optionally its first owner (gated by SETUP_TOKEN)
+app.post('/api/courses', async (req, res) => {
+  const setupToken = process.env.SETUP_TOKEN;
+  if (!setupToken) {
+    return res.status(404).json({ error: 'Not found' });
+  }
+  if (req.get('X-Setup-Token') !== setupToken) {
+    return res.status(403).json({ error: 'Invalid setup token' });
+  }
+
+  const {
+    slug, name, timezone = 'America/New_York', address, city, state, zip,
+    branding = {}, fromEmail, fromName, rewardCodePrefix: codePrefix, owner
+  } = req.body;
 
+  if (!slug || !name) {
+    return res.status(400).json({ error: 'Slug and name are required' });
+  }
+  if (!/^[a-z0-9]+(-[a-z0-9]+)*$/.test(slug)) {
+    return res.status(400).json({ error: 'Slug may only contain lowercase letters, numbers, and single dashes' });
+  }
+  if (!isValidTimezone(timezone)) {
+    return res.status(400).json({ error: 'Timezone must be an IANA name like America/New_York' });
+  }
+  if (fromEmail && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(fromEmail)) {
+    return res.status(400).json({ error: 'fromEmail must be an email address' });
+  }
+  if (typeof branding !== 'object' || Array.isArray(branding)) {
+    return res.status(400).json({ error: 'branding must be an object' });
+  }
+  if (codePrefix !== undefined && (typeof codePrefix !== 'string' || !REWARD_CODE_PREFIX_PATTERN.test(codePrefix))) {
+    return res.status(400).json({ error: 'rewardCodePrefix must be 2-4 uppercase letters or digits (no 0, O, 1 or I)' });
+  }
+  if (owner && (!owner.email || !owner.password || !owner.name)) {
+    return res.status(400).json({ error: 'Owner email, password, and name are required' });
+  }
+
+  const client = await pool.connect();
   try {
-    const pending = await pool.query(`
-      SELECT eq.*, c.first_name, c.last_name
-      FROM email_queue eq
-      LEFT JOIN customers c ON eq.customer_id = c.id
-      WHERE eq.status = 'pending' AND eq.scheduled_for <= NOW()
-      ORDER BY eq.scheduled_for ASC
-      LIMIT 50
-    `);
-
-    if (!process.env.SENDGRID_API_KEY) {
-      // Mark as sent even without SendGrid (development mode)
-      for (const email of pending.rows) {
-        await pool.query(
-          "UPDATE email_queue SET status = 'sent', sent_at = NOW() WHERE id = $1",
-          [email.id]
-        );
-        await pool.query(
-          'INSERT INTO email_logs (queue_id) VALUES ($1)',
-          [email.id]
-        );
-        sent++;
-      }
-      return { sent, failed, mode: 'dev' };
+    await client.query('BEGIN');
+
+    const courseResult = await client.query(`
+      INSERT INTO courses (slug, name, timezone, address, city, state, zip, settings, from_email, from_name)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+      ON CONFLICT (slug) DO NOTHING
+      RETURNING *
+    `, [
+      slug, name, timezone, address || null, city || null, state || null, zip || null,
+      JSON.stringify(codePrefix ? { branding, reward_code_prefix: codePrefix } : { branding }),
+      fromEmail || null, fromName || null
+    ]);
+
+    if (courseResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: 'A course with this slug already exists' });
     }
+    const course = courseResult.rows[0];
 
-    for (const email of pending.rows) {
-      try {
-        const msg = {
-          to: email.to_email,
-          from: FROM_EMAIL,
-          subject: email.subject,
-          html: email.body_html
-        };
+    // Start from the default course's rewards and email templates so capture works on day one
+    await client.query(`
+      INSERT INTO reward_catalog (course_id, type, label, description, emoji, position, validity_type, validity_days)
+      SELECT $1, rc.type, rc.label, rc.description, rc.emoji, rc.position, rc.validity_type, rc.validity_days
+      FROM reward_catalog rc
+      JOIN courses co ON rc.course_id = co.id
+      WHERE co.slug = $2 AND rc.is_active = true AND rc.validity_type <> 'date_range'
+    `, [course.id, DEFAULT_COURSE_SLUG]);
 
-        const [response] = await sgMail.send(msg);
-        const messageId = response?.headers?.['x-message-id'] || null;
+    await client.query(`
+      INSERT INTO email_templates
+        (course_id, type, name, subject, body_html, body_text, delay_hours, is_active,
+         category, send_window_start, send_window_end, quiet_days)
+      SELECT $1, et.type, et.name, et.subject, et.body_html, et.body_text,
+        et.delay_hours, et.is_active, et.category, et.send_window_start, et.send_window_end, et.quiet_days
+      FROM email_templates et
+      JOIN courses co ON et.course_id = co.id
+      WHERE co.slug = $2 AND et.deleted_at IS NULL
+    `, [course.id, DEFAULT_COURSE_SLUG]);
 
-        await pool.query(
-          "UPDATE email_queue SET status = 'sent', sent_at = NOW() WHERE id = $1",
-          [email.id]
-        );
-        await pool.query(
-          'INSERT INTO email_logs (queue_id, sendgrid_message_id) VALUES ($1, $2)',
-          [email.id, messageId]
-        );
-        sent++;
-      } catch (sendErr) {
-        console.error(`Failed to send email ${email.id}:`, sendErr.message);
-        await pool.query(
-          "UPDATE email_queue SET status = 'failed', error_message = $2 WHERE id = $1",
-          [email.id, sendErr.message]
-        );
-        failed++;
+    await client.query(`
+      INSERT INTO email_template_versions (template_id, version, name, subject, body_html, body_text, delay_hours)
+      SELECT id, version, name, subject, body_html, body_text, delay_hours
+      FROM email_templates WHERE course_id = $1
+    `, [course.id]);
+
+    // Sequences too, with steps pointing at the new course's copy of each template
+    await client.query(`
+      INSERT INTO email_sequences (course_id, name, enroll_on, exit_conditions, is_active)
+      SELECT $1, s.name, s.enroll_on, s.exit_conditions, s.is_active
+      FROM email_sequences s
+      JOIN courses co ON s.course_id = co.id
+      WHERE co.slug = $2
+    `, [course.id, DEFAULT_COURSE_SLUG]);
+
+    await client.query(`
+      INSERT INTO email_sequence_steps (sequence_id, position, template_id, delay_hours, condition)
+      SELECT ns.id, st.position, nt.id, st.delay_hours, st.condition
+      FROM email_sequence_steps st
+      JOIN email_sequences s ON st.sequence_id = s.id
+      JOIN courses co ON s.course_id = co.id AND co.slug = $2
+      JOIN email_templates t ON st.template_id = t.id
+      JOIN email_sequences ns ON ns.course_id = $1 AND ns.name = s.name
+      JOIN email_templates nt ON nt.course_id = $1 AND nt.type = t.type AND nt.deleted_at IS NULL
+    `, [course.id, DEFAULT_COURSE_SLUG]);
+
+    await client.query(`
+      INSERT INTO email_triggers (course_id, event, event_value, template_type, delay_hours, is_active)
+      SELECT $1, tr.event, tr.event_value, tr.template_type, tr.delay_hours, tr.is_active
+      FROM email_triggers tr
+      JOIN courses co ON tr.course_id = co.id
+      WHERE co.slug = $2
+    `, [course.id, DEFAULT_COURSE_SLUG]);
+
+    let ownerUser = null;
+    if (owner) {
+      const existing = await client.query('SELECT id FROM admin_users WHERE email = $1', [owner.email.toLowerCase()]);
+      if (existing.rows.length > 0) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ error: 'User with this email already exists' });
       }
+
+      const salt = await bcrypt.genSalt(10);
+      const hash = await bcrypt.hash(owner.password, salt);
+      const ownerResult = await client.query(`
+        INSERT INTO admin_users (course_id, email, password_hash, name, role)
+        VALUES ($1, $2, $3, $4, 'owner')
+        RETURNING id, email, name, role
+      `, [course.id, owner.email.toLowerCase(), hash, owner.name]);
+      ownerUser = ownerResult.rows[0];
     }
-  } catch (err) {
-    console.error('Email processor error:', err.message);
+
+    await client.query('COMMIT');
+    res.status(201).json({ course, owner: ownerUser });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Create course error:', error);
+    res.status(500).json({ error: error.message });
+  } finally {
+    client.release();
   }
+});
 
-  return { sent, failed };
-}
+// GET /api/admin/course - The signed-in user's course
+app.get('/api/admin/course', authenticateToken, async (req, res) => {
+  try {
+    const result = await pool.query('SELECT * FROM courses WHERE id = $1', [req.user.courseId]);
+    if (result.rows.length === 0) return res.status(404).json({ error: 'Course not found' });
+    res.json({ course: result.rows[0] });
+  } catch (error) {
+    console.error('Get own course error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// PUT /api/admin/course - Update name, timezone, branding, sender address, reward code prefix, and email frequency cap
+app.put('/api/admin/course', authenticateToken, requirePermission('course'), async (req, res) => {
+  try {
+    const {
+      name, timezone, city, state, branding, fromEmail, fromName,
+      rewardCodePrefix: codePrefix, emailFrequencyCap: frequencyCap
+    } = req.body;
+
+    if (timezone !== undefined && !isValidTimezone(timezone)) {
+      return res.status(400).json({ error: 'Timezone must be an IANA name like America/New_York' });
+    }
+    if (fromEmail && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(fromEmail)) {
+      return res.status(400).json({ error: 'fromEmail must be an email address' });
+    }
+    if (branding !== undefined && (typeof branding !== 'object' || branding === null || Array.isArray(branding))) {
+      return res.status(400).json({ error: 'branding must be an object' });
+    }
+    // null goes back to the default prefix; codes already issued keep theirs
+    if (codePrefix !== undefined && codePrefix !== null && (typeof codePrefix !== 'string' || !REWARD_CODE_PREFIX_PATTERN.test(codePrefix))) {
+      return res.status(400).json({ error: 'rewardCodePrefix must be 2-4 uppercase letters or digits (no 0, O, 1 or I)' });
+    }
+    // null turns the cap off
+    if (frequencyCap !== undefined && frequencyCap !== null && (
+      !Number.isInteger(frequencyCap.maxPerWeek) || frequencyCap.maxPerWeek < 1
+      || !['defer', 'skip'].includes(frequencyCap.overCap)
+    )) {
+      return res.status(400).json({ error: 'Frequency cap needs a whole maxPerWeek of at least 1 and overCap of defer or skip' });
+    }
+
+    const fields = [];
+    const params = [];
+    let idx = 1;
+
+    if (name !== undefined) { fields.push(`name = $${idx++}`); params.push(name); }
+    if (timezone !== undefined) { fields.push(`timezone = $${idx++}`); params.push(timezone); }
+    if (city !== undefined) { fields.push(`city = $${idx++}`); params.push(city); }
+    if (state !== undefined) { fields.push(`state = $${idx++}`); params.push(state); }
+    if (fromEmail !== undefined) { fields.push(`from_email = $${idx++}`); params.push(fromEmail || null); }
+    if (fromName !== undefined) { fields.push(`from_name = $${idx++}`); params.push(fromName || null); }
+    // Settings keys are set one inside the other so the column is only assigned once
+    let settings = "COALESCE(settings, '{}'::jsonb)";
+    if (branding !== undefined) {
+      settings = `jsonb_set(${settings}, '{branding}', $${idx++}::jsonb)`;
+      params.push(JSON.stringify(branding));
+    }
+    if (frequencyCap !== undefined) {
+      settings = `jsonb_set(${settings}, '{email_frequency_cap}', $${idx++}::jsonb)`;
+      params.push(JSON.stringify(frequencyCap && { max_per_week: frequencyCap.maxPerWeek, over_cap: frequencyCap.overCap }));
+    }
+    if (codePrefix === null) {
+      settings = `(${settings} - 'reward_code_prefix')`;
+    } else if (codePrefix !== undefined) {
+      settings = `jsonb_set(${settings}, '{reward_code_prefix}', $${idx++}::jsonb)`;
+      params.push(JSON.stringify(codePrefix));
+    }
+    if (branding !== undefined || frequencyCap !== undefined || codePrefix !== undefined) {
+      fields.push(`settings = ${settings}`);
+    }
+
+    if (fields.length === 0) {
+      return res.status(400).json({ error: 'No fields to update.' });
+    }
+    fields.push('updated_at = NOW()');
+
+    params.push(req.user.courseId);
+    const result = await pool.query(
+      `UPDATE courses SET ${fields.join(', ')} WHERE id = $${idx} RETURNING *`,
+      params
+    );
+    res.json({ course: result.rows[0] });
+  } catch (error) {
+    console.error('Update course error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
 // ============================================
 // ADMIN SEED & SETUP
@@ -2340,7 +4607,7 @@ async function seedDefaultAdmin() {
       return;
     }
 
-    const course = await pool.query("SELECT id FROM courses WHERE slug = 'crescent-pointe'");
+    const course = await pool.query('SELECT id FROM courses WHERE slug = $1', [DEFAULT_COURSE_SLUG]);
     if (course.rows.length === 0) {
       console.warn('Course not found — skipping admin seed');
       return;
@@ -2368,7 +4635,7 @@ app.post('/api/setup', async (req, res) => {
       return res.status(404).json({ error: 'Not found' });
     }
 
-    const { token, email, password, name } = req.body;
+    const { token, email, password, name, courseSlug = DEFAULT_COURSE_SLUG } = req.body;
     if (token !== setupToken) {
       return res.status(403).json({ error: 'Invalid setup token' });
     }
@@ -2382,7 +4649,7 @@ app.post('/api/setup', async (req, res) => {
       return res.status(400).json({ error: 'User already exists' });
     }
 
-    const course = await pool.query("SELECT id FROM courses WHERE slug = 'crescent-pointe'");
+    const course = await pool.query('SELECT id FROM courses WHERE slug = $1', [courseSlug]);
     if (course.rows.length === 0) {
       return res.status(404).json({ error: 'Course not found' });
     }
@@ -2409,19 +4676,24 @@ app.get('/health', (req, res) => {
   res.json({ status: 'ok', timestamp: new Date().toISOString() });
 });
 
-// Start server
-const PORT = process.env.PORT || 3001;
-app.listen(PORT, async () => {
-  console.log(`Server running on port ${PORT}`);
-  await seedDefaultAdmin();
-
-  // Email processor - runs every 5 minutes
-  setInterval(async () => {
-    const result = await processEmailQueue();
-    if (result.sent > 0 || result.failed > 0) {
-      console.log(`Email processor: ${result.sent} sent, ${result.failed} failed`);
+// Start server (only when run directly, not when required by tests)
+if (require.main === module) {
+  const PORT = process.env.PORT || 3001;
+  app.listen(PORT, async () => {
+    console.log(`Server running on port ${PORT}`);
+    await seedDefaultAdmin();
+
+    // Email processor - runs every 5 minutes, unless a separate worker process handles the queue
+    if (process.env.EMAIL_WORKER !== 'external') {
+      setInterval(async () => {
+        const result = await processEmailQueue();
+        if (result.sent > 0 || result.failed > 0 || result.retried > 0 || result.deferred > 0 || result.skipped > 0) {
+          console.log(`Email processor: ${result.sent} sent, ${result.failed} failed, ${result.retried} retrying, `
+            + `${result.deferred} deferred and ${result.skipped} skipped by the frequency cap`);
+        }
+      }, 5 * 60 * 1000);
     }
-  }, 5 * 60 * 1000);
-});
+  });
+}
 
 module.exports = app;
@@ -0,0 +1,163 @@
+// processEmailQueue end to end through EMAIL_TRANSPORT=file, with the database faked.
+// Run with `npm test` in backend/.
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const mailDir = fs.mkdtempSync(path.join(os.tmpdir(), 'golf-capture-mail-'));
+process.env.EMAIL_TRANSPORT = 'file';
+process.env.EMAIL_FILE_DIR = mailDir;
+process.env.API_BASE_URL = 'https://api.example.com';
+process.env.FRONTEND_URL = 'https://golf.example.com';
+process.env.TRACKING_SECRET = 'test-tracking-secret';
+
+const pool = require('../db');
+const { processEmailQueue } = require('../email');
+
+const QUEUE_ID = '11111111-1111-4111-8111-111111111111';
+const CUSTOMER_ID = '22222222-2222-4222-8222-222222222222';
+
+const queuedEmail = {
+  id: QUEUE_ID,
+  course_id: '33333333-3333-4333-8333-333333333333',
+  customer_id: CUSTOMER_ID,
+  to_email: 'alex@example.com',
+  subject: 'Thanks for playing, Alex',
+  body_html: '<html><body><p>See you soon.</p><p><a href="https://golf.example.com/book">Book a tee time</a></p></body></html>',
+  body_text: 'See you soon.\n\nBook a tee time: https://golf.example.com/book',
+  attempts: 1,
+  first_name: 'Alex',
+  last_name: 'Sample',
+  course_name: 'Sample Golf Club',
+  from_email: 'hello@samplegolf.example.com',
+  from_name: 'Sample Golf',
+  timezone: 'America/New_York',
+  settings: {},
+  category: 'rewards',
+  send_window_start: null,
+  send_window_end: null,
+  quiet_days: []
+};
+
+// Answers the queries processEmailQueue makes for one claimed row; everything else is a no-op.
+// leaseHeld = false plays a row that another worker re-claimed while this batch was running.
+// sequencesDown = true makes the sequence step's first query fail.
+// dueEnrollment is a sequence enrollment to claim; queueInsertFails makes queueing its step fail.
+let queries = [];
+let leaseHeld = true;
+let sequencesDown = false;
+let dueEnrollment = null;
+let queueInsertFails = false;
+pool.query = async (text, params = []) => {
+  queries.push({ text, params });
+  if (sequencesDown && /UPDATE email_sequence_enrollments e\s+SET status = 'exited'/.test(text)) {
+    throw new Error('relation "email_sequences" does not exist');
+  }
+  if (dueEnrollment) {
+    if (/WITH due AS \(\s*SELECT id, next_run_at FROM email_sequence_enrollments/.test(text)) return { rows: [dueEnrollment], rowCount: 1 };
+    if (/FROM email_sequence_steps/.test(text)) return { rows: [{ template_id: 'template-1', delay_hours: 0, condition: null }], rowCount: 1 };
+    if (/FROM customers WHERE id = \$1/.test(text)) return { rows: [{ id: CUSTOMER_ID, email: 'alex@example.com', first_name: 'Alex' }], rowCount: 1 };
+    if (/FROM email_templates/.test(text)) {
+      return { rows: [{ id: 'template-1', version: 1, category: 'rewards', subject: 'Hi', body_html: '<p>Hi</p>', quiet_days: [] }], rowCount: 1 };
+    }
+    if (/FROM courses WHERE id = \$1/.test(text)) return { rows: [{ id: queuedEmail.course_id, name: 'Sample Golf Club' }], rowCount: 1 };
+    if (queueInsertFails && /INSERT INTO email_queue/.test(text)) throw new Error('connection reset');
+  }
+  if (/WITH due AS \(\s*SELECT id FROM email_queue/.test(text)) return { rows: [{ id: QUEUE_ID }], rowCount: 1 };
+  if (/SET locked_until = NOW\(\)/.test(text)) {
+    return leaseHeld ? { rows: [{ id: QUEUE_ID }], rowCount: 1 } : { rows: [], rowCount: 0 };
+  }
+  if (/FROM email_queue eq\s+LEFT JOIN customers/.test(text)) return { rows: [queuedEmail], rowCount: 1 };
+  return { rows: [], rowCount: 0 };
+};
+
+after(() => {
+  fs.rmSync(mailDir, { recursive: true, force: true });
+});
+
+// Undo quoted-printable soft breaks and escapes so bodies can be searched
+function decodeQuotedPrintable(text) {
+  return text
+    .replace(/=\r?\n/g, '')
+    .replace(/=([0-9A-F]{2})/g, (match, hex) => String.fromCharCode(parseInt(hex, 16)));
+}
+
+test('writes a claimed email as a multipart .eml and marks it sent', async () => {
+  const result = await processEmailQueue();
+  assert.deepStrictEqual(result, { sent: 1, failed: 0, retried: 0, deferred: 0, skipped: 0, transport: 'file' });
+
+  const files = fs.readdirSync(mailDir).filter(name => name.endsWith('.eml'));
+  assert.strictEqual(files.length, 1);
+  const eml = fs.readFileSync(path.join(mailDir, files[0]), 'utf8').replace(/\r\n/g, '\n');
+  // Unfold long header lines (RFC 5322) before matching them
+  const headers = eml.split('\n\n')[0].replace(/\n[ \t]+/g, ' ');
+
+  assert.match(headers, /^From: Sample Golf <hello@samplegolf\.example\.com>$/m);
+  assert.match(headers, /^To: alex@example\.com$/m);
+  assert.match(headers, /^Subject: Thanks for playing, Alex$/m);
+  assert.match(headers, new RegExp(
+    `^List-Unsubscribe: <https://api\\.example\\.com/api/email/unsubscribe/${CUSTOMER_ID}\\?sig=[\\w-]+>$`, 'm'
+  ));
+  assert.match(headers, /^List-Unsubscribe-Post: List-Unsubscribe=One-Click$/m);
+  assert.match(headers, /^Content-Type: multipart\/alternative;/m);
+
+  const body = decodeQuotedPrintable(eml);
+  assert.match(eml, /^Content-Type: text\/plain; charset=utf-8$/m);
+  assert.match(body, /Book a tee time: https:\/\/golf\.example\.com\/book/);
+  assert.match(eml, /^Content-Type: text\/html; charset=utf-8$/m);
+  // Links go through the click redirect and the open pixel is added before </body>
+  assert.match(body, new RegExp(`href="https://api\\.example\\.com/api/email/click/${QUEUE_ID}\\?url=https%3A%2F%2Fgolf\\.example\\.com%2Fbook&amp;sig=[\\w-]+"`));
+  assert.match(body, new RegExp(`<img src="https://api\\.example\\.com/api/email/open/${QUEUE_ID}\\.gif\\?sig=[\\w-]+"[^>]*/></body>`));
+
+  const sentUpdate = queries.find(q => /SET status = 'sent'/.test(q.text));
+  assert.ok(sentUpdate, 'the row is marked sent');
+  assert.strictEqual(sentUpdate.params[0], QUEUE_ID);
+  const log = queries.find(q => /INSERT INTO email_logs/.test(q.text));
+  const messageId = headers.match(/^Message-ID: <([^>]+)>$/m)[1];
+  assert.deepStrictEqual(log.params, [QUEUE_ID, messageId]);
+});
+
+test('still sends the batch when advancing sequences fails', async () => {
+  queries = [];
+  sequencesDown = true;
+  const before = fs.readdirSync(mailDir).length;
+
+  const result = await processEmailQueue();
+  sequencesDown = false;
+  assert.strictEqual(result.sent, 1);
+  assert.strictEqual(fs.readdirSync(mailDir).length, before + 1);
+});
+
+test('skips a row whose lease was lost before it was sent', async () => {
+  queries = [];
+  leaseHeld = false;
+  const before = fs.readdirSync(mailDir).length;
+
+  const result = await processEmailQueue();
+  assert.deepStrictEqual(result, { sent: 0, failed: 0, retried: 0, deferred: 0, skipped: 0, transport: 'file' });
+  assert.strictEqual(fs.readdirSync(mailDir).length, before);
+  assert.ok(!queries.some(q => /SET status = 'sent'/.test(q.text)), 'the row is left to the worker holding it');
+});
+
+test('leaves a sequence enrollment on its step when queueing the step fails', async () => {
+  queries = [];
+  leaseHeld = true;
+  queueInsertFails = true;
+  const dueAt = new Date(Date.now() - 60000).toISOString();
+  dueEnrollment = {
+    id: 'enrollment-1', sequence_id: 'sequence-1', course_id: queuedEmail.course_id, customer_id: CUSTOMER_ID,
+    context: {}, current_step: 0, due_at: dueAt
+  };
+
+  await processEmailQueue();
+  dueEnrollment = null;
+  queueInsertFails = false;
+
+  const progress = queries.find(q => /UPDATE email_sequence_enrollments\s+SET current_step/.test(q.text));
+  assert.ok(progress, 'the enrollment is saved');
+  assert.strictEqual(progress.params[1], 0);
+  assert.strictEqual(progress.params[2], dueAt);
+  assert.strictEqual(progress.params[3], 'active');
+});
@@ -0,0 +1,47 @@
+// Standalone email worker: `npm run worker`
+// Run it next to the API with EMAIL_WORKER=external so the API stops processing the queue itself.
+// Any number of workers can run at once; processEmailQueue claims rows with FOR UPDATE SKIP LOCKED.
+const pool = require('./db');
+const { processEmailQueue } = require('./email');
+
+const INTERVAL_MS = (parseInt(process.env.EMAIL_WORKER_INTERVAL_SECONDS) || 60) * 1000;
+
+let stopping = false;
+let wake = null;
+
+// Finish the current batch, then exit
+function stop() {
+  if (stopping) return;
+  stopping = true;
+  console.log('Email worker stopping...');
+  if (wake) wake();
+}
+process.on('SIGINT', stop);
+process.on('SIGTERM', stop);
+
+async function run() {
+  console.log(`Email worker started (every ${INTERVAL_MS / 1000}s)`);
+
+  while (!stopping) {
+    const result = await processEmailQueue();
+    if (result.sent > 0 || result.failed > 0 || result.retried > 0 || result.deferred > 0 || result.skipped > 0) {
+      console.log(`Email worker: ${result.sent} sent, ${result.failed} failed, ${result.retried} retrying, `
+        + `${result.deferred} deferred and ${result.skipped} skipped by the frequency cap`);
+    }
+    if (stopping) break;
+
+    await new Promise((resolve) => {
+      const timer = setTimeout(resolve, INTERVAL_MS);
+      wake = () => { clearTimeout(timer); resolve(); };
+    });
+    wake = null;
+  }
+
+  await pool.end();
+  console.log('Email worker stopped');
+}
+
+run().catch((err) => {
+  console.error('Email worker crashed:', err);
+  process.exit(1);
+});
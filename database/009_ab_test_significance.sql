@@ -0,0 +1,11 @@
+-- 009_ab_test_significance.sql
+-- Auto-winner rules for reward A/B tests
+
+ALTER TABLE ab_tests ADD COLUMN IF NOT EXISTS auto_promote BOOLEAN DEFAULT false;
+ALTER TABLE ab_tests ADD COLUMN IF NOT EXISTS significance_threshold NUMERIC(4,3) DEFAULT 0.95;
+ALTER TABLE ab_tests ADD COLUMN IF NOT EXISTS min_sample_size INTEGER DEFAULT 30;
+ALTER TABLE ab_tests ADD COLUMN IF NOT EXISTS winner_variant CHAR(1);
+ALTER TABLE ab_tests ADD COLUMN IF NOT EXISTS promoted_at TIMESTAMPTZ;
+
+-- significance_threshold is the confidence level (0.95 = p < 0.05)
+-- min_sample_size is the minimum captures per variant before a winner can be promoted
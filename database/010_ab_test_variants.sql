@@ -0,0 +1,54 @@
+-- 010_ab_test_variants.sql
+-- Multi-variant (A/B/n) reward tests with weighted traffic allocation
+-- Replaces the fixed variant_a_* / variant_b_* columns on ab_tests
+
+CREATE TABLE IF NOT EXISTS ab_test_variants (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  ab_test_id UUID NOT NULL REFERENCES ab_tests(id) ON DELETE CASCADE,
+  label VARCHAR(10) NOT NULL,
+  reward_type VARCHAR(100) NOT NULL,
+  description TEXT NOT NULL,
+  emoji VARCHAR(10) DEFAULT '🎁',
+  weight INTEGER NOT NULL DEFAULT 1 CHECK (weight > 0),
+  position INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE(ab_test_id, label)
+);
+
+CREATE INDEX IF NOT EXISTS idx_ab_test_variants_test ON ab_test_variants(ab_test_id, position);
+
+-- Move existing A/B definitions into the child table (50/50 split).
+-- Skipped on re-runs: the old columns are dropped at the end of this file.
+DO $$ BEGIN
+  IF EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'ab_tests' AND column_name = 'variant_a_reward_type'
+  ) THEN
+    INSERT INTO ab_test_variants (ab_test_id, label, reward_type, description, emoji, weight, position)
+    SELECT id, 'A', variant_a_reward_type, variant_a_description, variant_a_emoji, 1, 0 FROM ab_tests
+    ON CONFLICT (ab_test_id, label) DO NOTHING;
+
+    INSERT INTO ab_test_variants (ab_test_id, label, reward_type, description, emoji, weight, position)
+    SELECT id, 'B', variant_b_reward_type, variant_b_description, variant_b_emoji, 1, 1 FROM ab_tests
+    ON CONFLICT (ab_test_id, label) DO NOTHING;
+  END IF;
+END $$;
+
+-- Results point at a variant row; the label is kept for readable reporting
+ALTER TABLE ab_test_results DROP CONSTRAINT IF EXISTS ab_test_results_variant_check;
+ALTER TABLE ab_test_results ALTER COLUMN variant TYPE VARCHAR(10);
+ALTER TABLE ab_test_results ADD COLUMN IF NOT EXISTS variant_id UUID REFERENCES ab_test_variants(id);
+
+UPDATE ab_test_results r
+SET variant_id = v.id
+FROM ab_test_variants v
+WHERE v.ab_test_id = r.ab_test_id AND v.label = r.variant AND r.variant_id IS NULL;
+
+ALTER TABLE ab_tests ALTER COLUMN winner_variant TYPE VARCHAR(10);
+
+ALTER TABLE ab_tests DROP COLUMN IF EXISTS variant_a_reward_type;
+ALTER TABLE ab_tests DROP COLUMN IF EXISTS variant_a_description;
+ALTER TABLE ab_tests DROP COLUMN IF EXISTS variant_a_emoji;
+ALTER TABLE ab_tests DROP COLUMN IF EXISTS variant_b_reward_type;
+ALTER TABLE ab_tests DROP COLUMN IF EXISTS variant_b_description;
+ALTER TABLE ab_tests DROP COLUMN IF EXISTS variant_b_emoji;
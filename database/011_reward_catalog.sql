@@ -0,0 +1,56 @@
+-- 011_reward_catalog.sql
+-- Course-wide rewards catalog and the subset each location offers
+
+CREATE TABLE IF NOT EXISTS reward_catalog (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  course_id UUID NOT NULL REFERENCES courses(id),
+  type VARCHAR(100) NOT NULL,
+  label VARCHAR(100) NOT NULL,
+  description VARCHAR(255) NOT NULL,
+  emoji VARCHAR(10) DEFAULT '🎁',
+  is_active BOOLEAN DEFAULT true,
+  position INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE(course_id, type)
+);
+
+CREATE TABLE IF NOT EXISTS location_reward_options (
+  location_id UUID NOT NULL REFERENCES locations(id) ON DELETE CASCADE,
+  reward_id UUID NOT NULL REFERENCES reward_catalog(id) ON DELETE CASCADE,
+  position INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  PRIMARY KEY (location_id, reward_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_reward_catalog_course ON reward_catalog(course_id, position);
+CREATE INDEX IF NOT EXISTS idx_location_reward_options_location ON location_reward_options(location_id, position);
+
+-- Seed the four rewards the capture form has offered so far
+INSERT INTO reward_catalog (course_id, type, label, description, emoji, position)
+SELECT c.id, r.type, r.label, r.description, r.emoji, r.position
+FROM courses c
+CROSS JOIN (VALUES
+  ('free_beer', 'Free Beer', 'Free beer after your round', '🍺', 0),
+  ('free_soft_drink', 'Free Soft Drink', 'Free soft drink or water', '🥤', 1),
+  ('pro_shop_5', '$5 Pro Shop Credit', '$5 Pro Shop credit', '🏌️', 2),
+  ('food_bev_5', '$5 Food & Bev Credit', '$5 Food & Bev credit', '🍔', 3)
+) AS r(type, label, description, emoji, position)
+WHERE c.slug = 'crescent-pointe'
+ON CONFLICT (course_id, type) DO NOTHING;
+
+-- Keep any per-location rewards from location_rewards.sql in the catalog (not offered by default)
+INSERT INTO reward_catalog (course_id, type, label, description, emoji, position)
+SELECT DISTINCT ON (l.course_id, l.reward_type)
+  l.course_id, l.reward_type, l.reward_description, l.reward_description, l.reward_emoji, 10
+FROM locations l
+WHERE l.reward_type IS NOT NULL
+ON CONFLICT (course_id, type) DO NOTHING;
+
+-- Every existing location keeps offering the original four choices
+INSERT INTO location_reward_options (location_id, reward_id, position)
+SELECT l.id, rc.id, rc.position
+FROM locations l
+JOIN reward_catalog rc ON rc.course_id = l.course_id
+WHERE rc.type IN ('free_beer', 'free_soft_drink', 'pro_shop_5', 'food_bev_5')
+ON CONFLICT DO NOTHING;
@@ -0,0 +1,16 @@
+-- 012_reward_expiry.sql
+-- Per-reward validity rules and expiry stamped on each issued code
+
+-- validity_type: same_day (ends at midnight, course timezone), days (today plus validity_days - 1),
+-- date_range (valid_from through valid_until, course timezone)
+ALTER TABLE reward_catalog ADD COLUMN IF NOT EXISTS validity_type VARCHAR(20) DEFAULT 'same_day'
+  CHECK (validity_type IN ('same_day', 'days', 'date_range'));
+ALTER TABLE reward_catalog ADD COLUMN IF NOT EXISTS validity_days INTEGER CHECK (validity_days > 0);
+ALTER TABLE reward_catalog ADD COLUMN IF NOT EXISTS valid_from DATE;
+ALTER TABLE reward_catalog ADD COLUMN IF NOT EXISTS valid_until DATE;
+
+ALTER TABLE captures ADD COLUMN IF NOT EXISTS valid_from TIMESTAMPTZ;
+ALTER TABLE captures ADD COLUMN IF NOT EXISTS expires_at TIMESTAMPTZ;
+
+-- Codes issued before this migration have no expiry and stay redeemable
+CREATE INDEX IF NOT EXISTS idx_captures_expires_at ON captures(expires_at) WHERE reward_redeemed = false;
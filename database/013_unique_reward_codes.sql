@@ -0,0 +1,20 @@
+-- 013_unique_reward_codes.sql
+-- Reward codes must be unique so a redemption can only ever match one capture
+
+-- Any pre-existing duplicates keep the earliest capture's code; later ones get a suffix
+-- so the unique index can be built (those customers should be re-sent their code)
+UPDATE captures c
+SET reward_code = c.reward_code || UPPER(LEFT(c.id::text, 4))
+FROM (
+  SELECT id, ROW_NUMBER() OVER (PARTITION BY reward_code ORDER BY created_at, id) AS rn
+  FROM captures
+) d
+WHERE c.id = d.id AND d.rn > 1;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_captures_reward_code_unique ON captures(reward_code);
+DROP INDEX IF EXISTS idx_captures_reward_code;
+
+-- Per-course code prefix (2-4 characters from the reward code alphabet), e.g. {"reward_code_prefix": "CP"}
+UPDATE courses
+SET settings = COALESCE(settings, '{}'::jsonb) || '{"reward_code_prefix": "CP"}'::jsonb
+WHERE slug = 'crescent-pointe' AND NOT (COALESCE(settings, '{}'::jsonb) ? 'reward_code_prefix');
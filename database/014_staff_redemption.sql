@@ -0,0 +1,9 @@
+-- 014_staff_redemption.sql
+-- Redemptions record the signed-in staff user instead of a typed name
+
+ALTER TABLE captures ADD COLUMN IF NOT EXISTS reward_redeemed_by_user_id UUID REFERENCES admin_users(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_captures_redeemed_by_user ON captures(reward_redeemed_by_user_id)
+  WHERE reward_redeemed_by_user_id IS NOT NULL;
+
+-- reward_redeemed_by keeps the staff member's display name at redemption time
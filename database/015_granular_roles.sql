@@ -0,0 +1,10 @@
+-- 015_granular_roles.sql
+-- Dashboard roles beyond admin/staff; permissions per role live in backend/server.js (ROLE_PERMISSIONS)
+
+UPDATE admin_users SET role = 'staff' WHERE role IS NULL;
+
+ALTER TABLE admin_users DROP CONSTRAINT IF EXISTS admin_users_role_check;
+ALTER TABLE admin_users ADD CONSTRAINT admin_users_role_check
+  CHECK (role IN ('bartender', 'pro_shop', 'staff', 'membership_director', 'owner', 'admin'));
+
+ALTER TABLE admin_users ALTER COLUMN role SET NOT NULL;
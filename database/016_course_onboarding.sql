@@ -0,0 +1,14 @@
+-- 016_course_onboarding.sql
+-- Per-course sender address so each course can be onboarded without code changes
+
+ALTER TABLE courses ADD COLUMN IF NOT EXISTS from_email VARCHAR(255);
+ALTER TABLE courses ADD COLUMN IF NOT EXISTS from_name VARCHAR(255);
+ALTER TABLE courses ADD COLUMN IF NOT EXISTS is_active BOOLEAN DEFAULT true;
+
+-- Branding lives in courses.settings.branding, e.g.
+-- {"branding": {"logo_url": "...", "primary_color": "#166534", "tagline": "..."}}
+
+UPDATE courses
+SET from_email = COALESCE(from_email, 'noreply@crescentpointegolf.com'),
+    from_name = COALESCE(from_name, 'Crescent Pointe Golf Club')
+WHERE slug = 'crescent-pointe';
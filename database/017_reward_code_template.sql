@@ -0,0 +1,47 @@
+-- 017_reward_code_template.sql
+-- Transactional reward email as an editable template, branded from courses.settings.branding
+
+-- Branding keys: logo_url, primary_color, accent_color, address, footer
+UPDATE courses
+SET settings = jsonb_set(
+  COALESCE(settings, '{}'::jsonb),
+  '{branding}',
+  '{"primary_color": "#166534", "accent_color": "#15803d", "address": "Myrtle Beach, SC"}'::jsonb || COALESCE(settings->'branding', '{}'::jsonb)
+)
+WHERE slug = 'crescent-pointe';
+
+-- Sent immediately on capture and on "resend my code" (delay_hours is ignored)
+INSERT INTO email_templates (course_id, type, name, subject, body_html, body_text, delay_hours, is_active)
+SELECT
+  c.id,
+  'reward_code',
+  'Reward Code (sent immediately)',
+  'Your {{course_name}} Reward Code: {{reward_code}}',
+  '<div style="font-family: -apple-system, BlinkMacSystemFont, ''Segoe UI'', Roboto, sans-serif; max-width: 480px; margin: 0 auto; padding: 20px;">
+  <div style="background: linear-gradient(135deg, {{brand_primary_color}}, {{brand_accent_color}}); padding: 24px; border-radius: 16px 16px 0 0; text-align: center;">
+    {{logo_html}}
+    <h1 style="color: white; margin: 0; font-size: 22px;">{{course_name}}</h1>
+    <p style="color: #ffffff; opacity: 0.8; margin: 8px 0 0; font-size: 14px;">Thanks for joining our list!</p>
+  </div>
+  <div style="background: #ffffff; padding: 24px; border: 1px solid #e5e7eb; border-top: none;">
+    <p style="color: #374151; font-size: 16px; margin: 0 0 8px;">Hi {{first_name}},</p>
+    <p style="color: #6b7280; font-size: 14px; margin: 0 0 20px;">Here''s your reward code. Show it to any staff member to redeem:</p>
+    <div style="background: #f3f4f6; border-radius: 12px; padding: 20px; text-align: center; margin-bottom: 16px;">
+      <img src="{{reward_qr_url}}" width="160" height="160" alt="Reward QR code" style="display: block; margin: 0 auto 12px;" />
+      <p style="font-size: 32px; font-weight: bold; font-family: monospace; color: {{brand_primary_color}}; margin: 0; letter-spacing: 4px;">{{reward_code}}</p>
+    </div>
+    <div style="background: #fffbeb; border: 1px solid #fde68a; border-radius: 8px; padding: 12px; text-align: center; margin-bottom: 16px;">
+      <p style="margin: 0; font-size: 18px;">{{reward_emoji}} {{reward_description}}</p>
+      <p style="margin: 4px 0 0; color: #92400e; font-size: 13px;">{{reward_validity}}</p>
+    </div>
+    <p style="color: #9ca3af; font-size: 12px; text-align: center; margin: 16px 0 0;">Take a screenshot of this email to save your code.</p>
+  </div>
+  <div style="background: #f9fafb; padding: 16px; border-radius: 0 0 16px 16px; border: 1px solid #e5e7eb; border-top: none; text-align: center;">
+    <p style="color: #9ca3af; font-size: 11px; margin: 0;">{{footer_text}}</p>
+  </div>
+</div>',
+  'Hi {{first_name}}, here''s your {{course_name}} reward code: {{reward_code}}. {{reward_emoji}} {{reward_description}} ({{reward_validity}}). Show it to any staff member to redeem.',
+  0,
+  true
+FROM courses c
+WHERE NOT EXISTS (SELECT 1 FROM email_templates WHERE type = 'reward_code' AND course_id = c.id);
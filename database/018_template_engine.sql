@@ -0,0 +1,16 @@
+-- 018_template_engine.sql
+-- Templates are now rendered with escaping, so the raw logo_html placeholder becomes a conditional <img>
+
+UPDATE email_templates
+SET body_html = REPLACE(
+  body_html,
+  '{{logo_html}}',
+  '{{#if logo_url}}<img src="{{logo_url}}" alt="{{course_name}}" style="max-height: 48px; display: block; margin: 0 auto 8px;" />{{/if}}'
+)
+WHERE body_html LIKE '%{{logo_html}}%';
+
+-- Greet customers who didn't leave a first name
+UPDATE email_templates
+SET body_html = REPLACE(body_html, 'Hi {{first_name}},', 'Hi {{first_name|"there"}},'),
+    body_text = REPLACE(body_text, 'Hi {{first_name}},', 'Hi {{first_name|"there"}},')
+WHERE body_html LIKE '%Hi {{first_name}},%';
@@ -0,0 +1,35 @@
+-- 019_template_versions.sql
+-- Custom email templates, soft delete, and a version history for every edit
+
+ALTER TABLE email_templates ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE email_templates ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ;
+
+CREATE TABLE IF NOT EXISTS email_template_versions (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  template_id UUID NOT NULL REFERENCES email_templates(id) ON DELETE CASCADE,
+  version INTEGER NOT NULL,
+  name VARCHAR(255) NOT NULL,
+  subject VARCHAR(500) NOT NULL,
+  body_html TEXT NOT NULL,
+  body_text TEXT,
+  delay_hours INTEGER DEFAULT 0,
+  restored_from_version INTEGER,
+  created_by UUID REFERENCES admin_users(id),
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE(template_id, version)
+);
+
+CREATE INDEX IF NOT EXISTS idx_email_template_versions_template ON email_template_versions(template_id, version DESC);
+
+-- One live template per type per course (deleted ones keep their history)
+CREATE UNIQUE INDEX IF NOT EXISTS idx_email_templates_course_type
+  ON email_templates(course_id, type) WHERE deleted_at IS NULL;
+
+-- Current content of every existing template becomes version 1
+INSERT INTO email_template_versions (template_id, version, name, subject, body_html, body_text, delay_hours, created_at)
+SELECT id, version, name, subject, body_html, body_text, delay_hours, updated_at
+FROM email_templates
+ON CONFLICT (template_id, version) DO NOTHING;
+
+-- Which template version each queued email was rendered from
+ALTER TABLE email_queue ADD COLUMN IF NOT EXISTS template_version INTEGER;
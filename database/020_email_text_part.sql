@@ -0,0 +1,4 @@
+-- 020_email_text_part.sql
+-- Plain-text part for every queued email (from body_text, or generated from the HTML)
+
+ALTER TABLE email_queue ADD COLUMN IF NOT EXISTS body_text TEXT;
@@ -0,0 +1,13 @@
+-- 021_email_retries.sql
+-- Retry bookkeeping for email_queue
+-- Transient failures go back to 'pending' with a later scheduled_for; 'failed' is a permanent error,
+-- 'dead' means every attempt was used up (both can be requeued from the Email tab)
+
+ALTER TABLE email_queue ADD COLUMN IF NOT EXISTS attempts INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE email_queue ADD COLUMN IF NOT EXISTS last_attempt_at TIMESTAMPTZ;
+ALTER TABLE email_queue ADD COLUMN IF NOT EXISTS failure_type VARCHAR(20); -- 'permanent', 'transient'
+
+-- Rows that failed before retries existed count as one used attempt
+UPDATE email_queue SET attempts = 1 WHERE status = 'failed' AND attempts = 0;
+
+CREATE INDEX IF NOT EXISTS idx_email_queue_course_status ON email_queue(course_id, status);
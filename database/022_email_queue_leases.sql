@@ -0,0 +1,8 @@
+-- 022_email_queue_leases.sql
+-- Workers claim rows by moving them to 'sending' with a lease; an expired lease (crashed worker)
+-- makes the row claimable again
+
+ALTER TABLE email_queue ADD COLUMN IF NOT EXISTS locked_by VARCHAR(100);
+ALTER TABLE email_queue ADD COLUMN IF NOT EXISTS locked_until TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_email_queue_leases ON email_queue(locked_until) WHERE status = 'sending';
@@ -0,0 +1,8 @@
+-- 023_email_tracking.sql
+-- Open/click counts per sent email (opened_at / clicked_at keep the first event)
+
+ALTER TABLE email_logs ADD COLUMN IF NOT EXISTS open_count INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE email_logs ADD COLUMN IF NOT EXISTS click_count INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE email_logs ADD COLUMN IF NOT EXISTS last_clicked_url TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_email_logs_queue ON email_logs(queue_id);
@@ -0,0 +1,15 @@
+-- 024_email_events.sql
+-- Delivery outcomes from the SendGrid event webhook, and a bounced flag that stops further mail
+
+ALTER TABLE customers ADD COLUMN IF NOT EXISTS email_bounced BOOLEAN DEFAULT false;
+ALTER TABLE customers ADD COLUMN IF NOT EXISTS email_bounced_at TIMESTAMPTZ;
+
+ALTER TABLE email_logs ADD COLUMN IF NOT EXISTS delivered_at TIMESTAMPTZ;
+ALTER TABLE email_logs ADD COLUMN IF NOT EXISTS bounced_at TIMESTAMPTZ;
+ALTER TABLE email_logs ADD COLUMN IF NOT EXISTS dropped_at TIMESTAMPTZ;
+ALTER TABLE email_logs ADD COLUMN IF NOT EXISTS spam_reported_at TIMESTAMPTZ;
+ALTER TABLE email_logs ADD COLUMN IF NOT EXISTS unsubscribed_at TIMESTAMPTZ;
+ALTER TABLE email_logs ADD COLUMN IF NOT EXISTS last_event VARCHAR(50);
+ALTER TABLE email_logs ADD COLUMN IF NOT EXISTS last_event_reason TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_email_logs_sendgrid_message ON email_logs(sendgrid_message_id);
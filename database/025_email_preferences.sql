@@ -0,0 +1,14 @@
+-- 025_email_preferences.sql
+-- Email categories golfers can opt in/out of from the public preference page
+-- Transactional mail (the reward code) isn't covered by preferences
+
+-- Missing keys mean subscribed: {"rewards": false} only turns off rewards emails
+ALTER TABLE customers ADD COLUMN IF NOT EXISTS email_preferences JSONB NOT NULL DEFAULT '{}';
+
+ALTER TABLE email_templates ADD COLUMN IF NOT EXISTS category VARCHAR(20) NOT NULL DEFAULT 'rewards';
+ALTER TABLE email_templates DROP CONSTRAINT IF EXISTS email_templates_category_check;
+ALTER TABLE email_templates ADD CONSTRAINT email_templates_category_check
+  CHECK (category IN ('transactional', 'rewards', 'membership', 'events'));
+
+UPDATE email_templates SET category = 'transactional' WHERE type = 'reward_code';
+UPDATE email_templates SET category = 'membership' WHERE type IN ('followup_local', 'repeat_visitor_3');
@@ -0,0 +1,44 @@
+-- 026_email_send_windows.sql
+-- Per-template send windows and quiet days, evaluated in the course timezone
+-- No window (NULL start/end) means any time of day; quiet_days uses 0 = Sunday .. 6 = Saturday
+
+ALTER TABLE email_templates ADD COLUMN IF NOT EXISTS send_window_start TIME;
+ALTER TABLE email_templates ADD COLUMN IF NOT EXISTS send_window_end TIME;
+ALTER TABLE email_templates ADD COLUMN IF NOT EXISTS quiet_days SMALLINT[] NOT NULL DEFAULT '{}';
+
+ALTER TABLE email_templates DROP CONSTRAINT IF EXISTS email_templates_send_window_check;
+ALTER TABLE email_templates ADD CONSTRAINT email_templates_send_window_check CHECK (
+  (send_window_start IS NULL AND send_window_end IS NULL)
+  OR (send_window_start IS NOT NULL AND send_window_end IS NOT NULL AND send_window_start < send_window_end)
+);
+
+-- Follow-ups go out during the day instead of at the hour of the original capture
+UPDATE email_templates
+SET send_window_start = '08:00', send_window_end = '18:00'
+WHERE category <> 'transactional' AND send_window_start IS NULL;
+
+-- Earliest moment at or after `requested` that falls inside the window on a non-quiet day
+CREATE OR REPLACE FUNCTION email_send_time(
+  requested TIMESTAMPTZ, tz TEXT, window_start TIME, window_end TIME, quiet_days SMALLINT[]
+)
+RETURNS TIMESTAMPTZ AS $$
+DECLARE
+  local_ts TIMESTAMP := requested AT TIME ZONE tz;
+  moved BOOLEAN := false;
+BEGIN
+  FOR i IN 0..7 LOOP
+    IF NOT (EXTRACT(DOW FROM local_ts)::SMALLINT = ANY(COALESCE(quiet_days, '{}'))) THEN
+      IF window_start IS NULL OR local_ts::TIME >= window_start AND local_ts::TIME < window_end THEN
+        RETURN CASE WHEN moved THEN local_ts AT TIME ZONE tz ELSE requested END;
+      END IF;
+      IF local_ts::TIME < window_start THEN
+        RETURN (local_ts::DATE + window_start) AT TIME ZONE tz;
+      END IF;
+    END IF;
+    -- Past today's window (or a quiet day): try the start of the next day
+    local_ts := (local_ts::DATE + 1) + COALESCE(window_start, '00:00'::TIME);
+    moved := true;
+  END LOOP;
+  RETURN requested;
+END;
+$$ LANGUAGE plpgsql STABLE;
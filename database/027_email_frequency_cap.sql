@@ -0,0 +1,9 @@
+-- 027_email_frequency_cap.sql
+-- Per-course cap on marketing emails per customer (courses.settings.email_frequency_cap)
+-- e.g. {"max_per_week": 3, "over_cap": "defer"}; no setting means no cap. Transactional templates are exempt.
+-- Over-cap emails are deferred (still 'pending', later scheduled_for) or 'skipped', with the reason in status_reason
+
+ALTER TABLE email_queue ADD COLUMN IF NOT EXISTS status_reason VARCHAR(255);
+
+-- Counting a customer's recent sends
+CREATE INDEX IF NOT EXISTS idx_email_queue_customer_sent ON email_queue(customer_id, sent_at) WHERE status = 'sent';
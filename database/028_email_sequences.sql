@@ -0,0 +1,84 @@
+-- 028_email_sequences.sql
+-- Drip sequences: ordered template steps with delays, per-step conditions on customer fields,
+-- exit conditions, and per-customer enrollment state advanced by the email worker
+-- Replaces the follow-up emails /api/capture used to queue directly
+
+CREATE TABLE IF NOT EXISTS email_sequences (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  course_id UUID NOT NULL REFERENCES courses(id),
+  name VARCHAR(100) NOT NULL,
+  -- capture: every capture (re)starts it; new_customer: only a customer's first capture
+  enroll_on VARCHAR(20) NOT NULL DEFAULT 'capture' CHECK (enroll_on IN ('capture', 'new_customer')),
+  -- Any of: opted_out, joined_pipeline, redeemed_reward
+  exit_conditions TEXT[] NOT NULL DEFAULT '{}',
+  is_active BOOLEAN DEFAULT true,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE(course_id, name)
+);
+
+-- delay_hours counts from the previous step (or from enrollment for the first step).
+-- A step whose condition doesn't match the customer is skipped, e.g. {"field": "is_local", "op": "eq", "value": true}
+CREATE TABLE IF NOT EXISTS email_sequence_steps (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  sequence_id UUID NOT NULL REFERENCES email_sequences(id) ON DELETE CASCADE,
+  position INTEGER NOT NULL,
+  template_id UUID NOT NULL REFERENCES email_templates(id),
+  delay_hours INTEGER NOT NULL DEFAULT 0 CHECK (delay_hours >= 0),
+  condition JSONB,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE(sequence_id, position)
+);
+
+-- current_step indexes the sequence's steps in position order: the next one to run at next_run_at
+CREATE TABLE IF NOT EXISTS email_sequence_enrollments (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  sequence_id UUID NOT NULL REFERENCES email_sequences(id) ON DELETE CASCADE,
+  course_id UUID NOT NULL REFERENCES courses(id),
+  customer_id UUID NOT NULL REFERENCES customers(id),
+  status VARCHAR(20) NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'completed', 'exited', 'cancelled')),
+  current_step INTEGER NOT NULL DEFAULT 0,
+  next_run_at TIMESTAMPTZ,
+  context JSONB NOT NULL DEFAULT '{}', -- extra template data from the enrolling capture, e.g. reward_code
+  exit_reason VARCHAR(50),
+  enrolled_at TIMESTAMPTZ DEFAULT NOW(),
+  completed_at TIMESTAMPTZ,
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE(sequence_id, customer_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_email_sequences_course ON email_sequences(course_id);
+CREATE INDEX IF NOT EXISTS idx_email_sequence_enrollments_due ON email_sequence_enrollments(next_run_at) WHERE status = 'active';
+CREATE INDEX IF NOT EXISTS idx_email_sequence_enrollments_customer ON email_sequence_enrollments(customer_id);
+
+-- Emails sent by a step, so exiting a sequence can cancel ones still waiting to go out
+ALTER TABLE email_queue ADD COLUMN IF NOT EXISTS enrollment_id UUID REFERENCES email_sequence_enrollments(id) ON DELETE SET NULL;
+
+-- The old hardcoded follow-up: local guests get followup_local, everyone else followup_visitor
+INSERT INTO email_sequences (course_id, name, enroll_on, exit_conditions)
+SELECT c.id, 'Post-visit follow-up', 'capture', ARRAY['opted_out']
+FROM courses c
+WHERE EXISTS (
+  SELECT 1 FROM email_templates t
+  WHERE t.course_id = c.id AND t.type IN ('followup_local', 'followup_visitor') AND t.deleted_at IS NULL
+)
+AND NOT EXISTS (SELECT 1 FROM email_sequences s WHERE s.course_id = c.id);
+
+INSERT INTO email_sequence_steps (sequence_id, position, template_id, delay_hours, condition)
+SELECT s.id, 0, t.id, t.delay_hours, '{"field": "is_local", "op": "eq", "value": true}'::jsonb
+FROM email_sequences s
+JOIN email_templates t ON t.course_id = s.course_id AND t.type = 'followup_local' AND t.deleted_at IS NULL
+WHERE s.name = 'Post-visit follow-up'
+ON CONFLICT (sequence_id, position) DO NOTHING;
+
+-- Same moment as the local step: the visitor step waits the visitor template's delay minus the local one's
+INSERT INTO email_sequence_steps (sequence_id, position, template_id, delay_hours, condition)
+SELECT s.id, 1, t.id,
+  GREATEST(t.delay_hours - COALESCE((
+    SELECT st.delay_hours FROM email_sequence_steps st WHERE st.sequence_id = s.id AND st.position = 0
+  ), 0), 0),
+  '{"field": "is_local", "op": "neq", "value": true}'::jsonb
+FROM email_sequences s
+JOIN email_templates t ON t.course_id = s.course_id AND t.type = 'followup_visitor' AND t.deleted_at IS NULL
+WHERE s.name = 'Post-visit follow-up'
+ON CONFLICT (sequence_id, position) DO NOTHING;
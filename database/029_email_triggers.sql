@@ -0,0 +1,36 @@
+-- 029_email_triggers.sql
+-- Per-course trigger registry: which email template types are queued when an event happens
+-- event_value narrows the event: the new status for pipeline_status_changed, the revenue type for
+-- revenue_recorded (blank = any), and the visit count N for visit_milestone (required)
+-- delay_hours overrides the template's own delay (NULL = use the template's)
+
+CREATE TABLE IF NOT EXISTS email_triggers (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  course_id UUID NOT NULL REFERENCES courses(id),
+  event VARCHAR(50) NOT NULL CHECK (event IN (
+    'capture_created', 'reward_redeemed', 'pipeline_status_changed', 'revenue_recorded', 'visit_milestone'
+  )),
+  event_value VARCHAR(50),
+  template_type VARCHAR(100) NOT NULL,
+  delay_hours INTEGER CHECK (delay_hours >= 0),
+  is_active BOOLEAN DEFAULT true,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_email_triggers_unique
+  ON email_triggers(course_id, event, COALESCE(event_value, ''), template_type);
+
+-- same_day_thanks was seeded but never sent: send it a few hours after the capture
+INSERT INTO email_triggers (course_id, event, template_type, delay_hours)
+SELECT t.course_id, 'capture_created', t.type, 4
+FROM email_templates t
+WHERE t.type = 'same_day_thanks' AND t.deleted_at IS NULL
+ON CONFLICT DO NOTHING;
+
+-- The third-visit email /api/capture used to queue directly
+INSERT INTO email_triggers (course_id, event, event_value, template_type)
+SELECT t.course_id, 'visit_milestone', '3', t.type
+FROM email_templates t
+WHERE t.type = 'repeat_visitor_3' AND t.deleted_at IS NULL
+ON CONFLICT DO NOTHING;
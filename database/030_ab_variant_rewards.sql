@@ -0,0 +1,11 @@
+-- 030_ab_variant_rewards.sql
+-- Give every A/B variant reward a catalog entry so issued codes resolve their description and validity
+-- Added inactive: they stay out of the capture form until a test promotes them or an admin offers them
+
+INSERT INTO reward_catalog (course_id, type, label, description, emoji, is_active, position)
+SELECT DISTINCT ON (t.course_id, v.reward_type)
+  t.course_id, v.reward_type, LEFT(v.description, 100), LEFT(v.description, 255), COALESCE(v.emoji, '🎁'), false, 20
+FROM ab_test_variants v
+JOIN ab_tests t ON v.ab_test_id = t.id
+ORDER BY t.course_id, v.reward_type, t.created_at DESC
+ON CONFLICT (course_id, type) DO NOTHING;
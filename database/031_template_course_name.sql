@@ -0,0 +1,21 @@
+-- 031_template_course_name.sql
+-- The original seed templates spell out "Crescent Pointe". Switch them to {{course_name}} so the copies
+-- POST /api/courses makes for a new course name that course instead
+-- Only touches templates that still contain the name, and records the edit as a new version
+
+WITH updated AS (
+  UPDATE email_templates t
+  SET
+    subject = REPLACE(REPLACE(t.subject, 'Crescent Pointe Golf Club', '{{course_name}}'), 'Crescent Pointe', '{{course_name}}'),
+    body_html = REPLACE(REPLACE(t.body_html, 'Crescent Pointe Golf Club', '{{course_name}}'), 'Crescent Pointe', '{{course_name}}'),
+    body_text = REPLACE(REPLACE(t.body_text, 'Crescent Pointe Golf Club', '{{course_name}}'), 'Crescent Pointe', '{{course_name}}'),
+    version = t.version + 1,
+    updated_at = NOW()
+  FROM courses c
+  WHERE t.course_id = c.id AND c.slug = 'crescent-pointe' AND t.deleted_at IS NULL
+    AND (t.subject LIKE '%Crescent Pointe%' OR t.body_html LIKE '%Crescent Pointe%' OR t.body_text LIKE '%Crescent Pointe%')
+  RETURNING t.id, t.version, t.name, t.subject, t.body_html, t.body_text, t.delay_hours
+)
+INSERT INTO email_template_versions (template_id, version, name, subject, body_html, body_text, delay_hours)
+SELECT id, version, name, subject, body_html, body_text, delay_hours FROM updated
+ON CONFLICT (template_id, version) DO NOTHING;
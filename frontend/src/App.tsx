@@ -3,9 +3,11 @@ import { BrowserRouter as Router, Routes, Route } from 'react-router-dom';
 import CaptureForm from './components/CaptureForm';
 import AdminDashboard from './components/AdminDashboard';
 import AdminLogin from './components/AdminLogin';
+import StaffRedeem from './components/StaffRedeem';
+import EmailPreferences from './components/EmailPreferences';
 
-// Protected Route wrapper for admin
-function ProtectedAdmin() {
+// Protected Route wrapper for admin and staff screens
+function ProtectedAdmin({ screen = 'dashboard' }: { screen?: 'dashboard' | 'redeem' }) {
   const [user, setUser] = useState<any>(null);
   const [loading, setLoading] = useState(true);
 
@@ -42,6 +44,10 @@ function ProtectedAdmin() {
     return <AdminLogin onLogin={handleLogin} />;
   }
 
+  if (screen === 'redeem') {
+    return <StaffRedeem user={user} onLogout={handleLogout} />;
+  }
+
   return <AdminDashboard user={user} onLogout={handleLogout} />;
 }
 
@@ -51,7 +57,10 @@ function App() {
       <Routes>
         <Route path="/" element={<CaptureForm />} />
         <Route path="/capture" element={<CaptureForm />} />
+        <Route path="/c/:slug" element={<CaptureForm />} />
         <Route path="/admin" element={<ProtectedAdmin />} />
+        <Route path="/redeem" element={<ProtectedAdmin screen="redeem" />} />
+        <Route path="/preferences/:customerId" element={<EmailPreferences />} />
       </Routes>
     </Router>
   );
@@ -38,8 +38,144 @@ const revenueTypeLabels = {
   food_bev: 'Food & Bev'
 };
 
+const abVariantColors = [
+  { box: 'bg-blue-50', label: 'text-blue-600', value: 'text-blue-700', sub: 'text-blue-500' },
+  { box: 'bg-orange-50', label: 'text-orange-600', value: 'text-orange-700', sub: 'text-orange-500' },
+  { box: 'bg-teal-50', label: 'text-teal-600', value: 'text-teal-700', sub: 'text-teal-500' },
+  { box: 'bg-pink-50', label: 'text-pink-600', value: 'text-pink-700', sub: 'text-pink-500' }
+];
+
+const roleLabels = {
+  bartender: 'Bartender',
+  pro_shop: 'Pro Shop',
+  staff: 'Staff',
+  membership_director: 'Membership Director',
+  owner: 'Owner',
+  admin: 'Admin'
+};
+
+// Permission each dashboard tab needs (permissions come from /api/auth/me)
+const tabPermissions = {
+  customers: 'customers:read',
+  prospects: 'customers:read',
+  locations: 'locations:read',
+  pipeline: 'pipeline',
+  segments: 'segments',
+  email: 'email',
+  revenue: 'revenue',
+  import: 'import',
+  team: 'team'
+};
+
+const emptyRewardForm = () => ({
+  type: '', label: '', description: '', emoji: '',
+  validity_type: 'same_day', validity_days: 7, valid_from: '', valid_until: ''
+});
+
+const emptyTemplateForm = () => ({
+  type: '', name: '', subject: '', body_html: '', delay_hours: 0, category: 'rewards',
+  send_window_start: '08:00', send_window_end: '18:00', quiet_days: []
+});
+
+// Matches the categories golfers can turn off on the public preference page
+const templateCategoryLabels = {
+  transactional: 'Transactional',
+  rewards: 'Rewards',
+  membership: 'Membership offers',
+  events: 'Events'
+};
+
+// Quiet-day toggles, indexed like the API's quiet_days (0 = Sunday)
+const weekdayLabels = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// "Sends 08:00–18:00, not Sun" (times come back from Postgres as HH:MM:SS)
+const sendWindowLabel = (tmpl) => {
+  const parts = [];
+  if (tmpl.send_window_start) parts.push(`Sends ${tmpl.send_window_start.slice(0, 5)}–${tmpl.send_window_end.slice(0, 5)}`);
+  if (tmpl.quiet_days && tmpl.quiet_days.length > 0) {
+    parts.push(`not ${[...tmpl.quiet_days].sort().map(day => weekdayLabels[day]).join('/')}`);
+  }
+  return parts.join(', ');
+};
+
+const emptySequenceForm = () => ({
+  name: '', enroll_on: 'capture', exit_conditions: ['opted_out'], steps: [{ template_id: '', delay_hours: 72, condition: null }]
+});
+
+const sequenceEnrollLabels = {
+  capture: 'Every capture',
+  new_customer: 'First capture only'
+};
+
+const sequenceExitLabels = {
+  opted_out: 'Opted out',
+  joined_pipeline: 'Added to pipeline',
+  redeemed_reward: 'Redeemed reward',
+  cancelled_by_staff: 'Removed by staff'
+};
+
+// Customer fields a step can branch on (mirrors SEQUENCE_CONDITION_FIELDS on the API)
+const sequenceConditionFields = {
+  is_local: { label: 'Local', type: 'boolean' },
+  member_elsewhere: { label: 'Member elsewhere', type: 'boolean' },
+  booking_source: { label: 'Booking source', type: 'string' },
+  play_frequency: { label: 'Play frequency', type: 'string' },
+  visit_count: { label: 'Visit count', type: 'number' },
+  membership_score: { label: 'Membership score', type: 'number' }
+};
+
+const defaultSequenceCondition = (field) => {
+  const { type } = sequenceConditionFields[field];
+  if (type === 'boolean') return { field, op: 'eq', value: true };
+  if (type === 'number') return { field, op: 'gte', value: 1 };
+  return { field, op: 'eq', value: '' };
+};
+
+const emptyTriggerForm = () => ({ event: 'capture_created', event_value: '', template_type: '', delay_hours: '' });
+
+const triggerEventLabels = {
+  capture_created: 'Capture',
+  reward_redeemed: 'Reward redeemed',
+  pipeline_status_changed: 'Pipeline status changes',
+  revenue_recorded: 'Revenue recorded',
+  visit_milestone: 'Visit number'
+};
+
+const triggerLabel = (trigger) => {
+  const label = triggerEventLabels[trigger.event] || trigger.event;
+  if (!trigger.event_value) return label;
+  if (trigger.event === 'visit_milestone') return `${label} ${trigger.event_value}`;
+  return `${label}: ${trigger.event_value.replace(/_/g, ' ')}`;
+};
+
+const diffLineStyles = {
+  added: 'bg-green-50 text-green-800',
+  removed: 'bg-red-50 text-red-800 line-through',
+  same: 'text-gray-500'
+};
+
+const rewardValidityLabel = (reward) => {
+  if (reward.validity_type === 'days') return `${reward.validity_days} days`;
+  if (reward.validity_type === 'date_range') {
+    const until = String(reward.valid_until).slice(0, 10);
+    return reward.valid_from ? `${String(reward.valid_from).slice(0, 10)} – ${until}` : `until ${until}`;
+  }
+  return 'same day';
+};
+
+const emptyAbVariant = () => ({ rewardType: '', description: '', emoji: '', weight: 1 });
+
+const emptyAbTestForm = () => ({
+  name: '',
+  variants: [emptyAbVariant(), emptyAbVariant()],
+  autoPromote: false,
+  significanceThreshold: 0.95
+});
+
 export default function AdminDashboard({ user, onLogout }) {
   const [activeTab, setActiveTab] = useState('customers');
+  const [permissions, setPermissions] = useState(user?.permissions || null);
+  const [courseInfo, setCourseInfo] = useState({ name: '', slug: user?.courseSlug || '' });
   const [customers, setCustomers] = useState([]);
   const [prospects, setProspects] = useState([]);
   const [locations, setLocations] = useState([]);
@@ -64,21 +200,45 @@ export default function AdminDashboard({ user, onLogout }) {
 
   // Email
   const [emailActivity, setEmailActivity] = useState([]);
-  const [emailSummary, setEmailSummary] = useState({ pending: 0, sent: 0, failed: 0 });
+  const [emailSummary, setEmailSummary] = useState({ pending: 0, retrying: 0, sent: 0, failed: 0, dead: 0 });
+  // Marketing emails per customer per rolling 7 days; blank maxPerWeek = no cap
+  const [frequencyCap, setFrequencyCap] = useState({ maxPerWeek: '', overCap: 'defer' });
+  const [frequencyCapSaved, setFrequencyCapSaved] = useState('');
   const [emailTemplates, setEmailTemplates] = useState([]);
+  const [templateStats, setTemplateStats] = useState({});
+  const [editingTemplate, setEditingTemplate] = useState(null);
+  const [templateError, setTemplateError] = useState('');
+  const [templateWarning, setTemplateWarning] = useState('');
+  const [templatePreview, setTemplatePreview] = useState(null);
+  const [previewCustomerId, setPreviewCustomerId] = useState('');
+  const [testSendResult, setTestSendResult] = useState(null);
+  const [sequences, setSequences] = useState([]);
+  const [editingSequence, setEditingSequence] = useState(null);
+  const [sequenceError, setSequenceError] = useState('');
+  const [sequenceEnrollments, setSequenceEnrollments] = useState(null);
+  const [emailTriggers, setEmailTriggers] = useState([]);
+  const [triggerEvents, setTriggerEvents] = useState({});
+  const [newTrigger, setNewTrigger] = useState(null);
+  const [triggerError, setTriggerError] = useState('');
+  const [showAddTemplate, setShowAddTemplate] = useState(false);
+  const [newTemplate, setNewTemplate] = useState(emptyTemplateForm());
+  const [templateHistory, setTemplateHistory] = useState(null);
 
   // Pipeline
   const [pipelineProspects, setPipelineProspects] = useState([]);
   const [pipelineSummary, setPipelineSummary] = useState({});
   const [pipelineFilter, setPipelineFilter] = useState('all');
 
+  // Reward catalog
+  const [rewardCatalog, setRewardCatalog] = useState([]);
+  const [showAddReward, setShowAddReward] = useState(false);
+  const [newReward, setNewReward] = useState(emptyRewardForm());
+  const [rewardError, setRewardError] = useState('');
+
   // A/B Tests
   const [abTests, setAbTests] = useState([]);
   const [showCreateAbTest, setShowCreateAbTest] = useState(null);
-  const [abTestForm, setAbTestForm] = useState({
-    name: '', variantARewardType: '', variantADescription: '', variantAEmoji: '',
-    variantBRewardType: '', variantBDescription: '', variantBEmoji: ''
-  });
+  const [abTestForm, setAbTestForm] = useState(emptyAbTestForm());
 
   // Segments
   const [segments, setSegments] = useState([]);
@@ -106,41 +266,61 @@ export default function AdminDashboard({ user, onLogout }) {
     customerId: '', eventType: 'green_fee', amount: '', source: '', locationId: '', notes: '', eventDate: new Date().toISOString().split('T')[0]
   });
 
+  // Refresh permissions from the server; a role change takes effect without re-login
   useEffect(() => {
-    fetchData();
+    fetch(`${API_URL}/api/auth/me`, { headers: authHeaders() })
+      .then(res => res.json())
+      .then(data => {
+        const latest = data.user?.permissions || [];
+        setPermissions(prev => (prev && prev.join() === latest.join() ? prev : latest));
+        if (data.user) setCourseInfo({ name: data.user.course_name, slug: data.user.course_slug });
+      })
+      .catch(err => console.error('Failed to fetch permissions:', err));
+    // eslint-disable-next-line react-hooks/exhaustive-deps
   }, []);
 
+  const can = (permission) => (permissions || []).includes(permission);
+  const visibleTabs = Object.keys(tabPermissions).filter(tab => can(tabPermissions[tab]));
+
+  useEffect(() => {
+    if (permissions) fetchData();
+    if (permissions && !visibleTabs.includes(activeTab) && visibleTabs.length > 0) setActiveTab(visibleTabs[0]);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [permissions]);
+
   useEffect(() => {
-    if (activeTab === 'team' && user?.role === 'admin') fetchTeamUsers();
-    if (activeTab === 'pipeline' && user?.role === 'admin') fetchPipelineData();
-    if (activeTab === 'segments' && user?.role === 'admin') fetchSegments();
-    if (activeTab === 'email' && user?.role === 'admin') fetchEmailData();
-    if (activeTab === 'revenue' && user?.role === 'admin') fetchRevenueData();
-    if (activeTab === 'locations' && user?.role === 'admin') fetchAbTests();
+    if (activeTab === 'team' && can('team')) fetchTeamUsers();
+    if (activeTab === 'pipeline' && can('pipeline')) fetchPipelineData();
+    if (activeTab === 'segments' && can('segments')) fetchSegments();
+    if (activeTab === 'email' && can('email')) fetchEmailData();
+    if (activeTab === 'revenue' && can('revenue')) fetchRevenueData();
+    if (activeTab === 'locations' && can('locations:manage')) fetchAbTests();
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [activeTab, user?.role]);
+  }, [activeTab, permissions]);
 
   const fetchData = async () => {
     setLoading(true);
     try {
-      const [customersRes, prospectsRes, locationsRes, analyticsRes] = await Promise.all([
-        fetch(`${API_URL}/api/customers?limit=100`),
-        fetch(`${API_URL}/api/prospects`),
-        fetch(`${API_URL}/api/locations`),
-        fetch(`${API_URL}/api/analytics`)
-      ]);
-
-      const [customersData, prospectsData, locationsData, analyticsData] = await Promise.all([
-        customersRes.json(),
-        prospectsRes.json(),
-        locationsRes.json(),
-        analyticsRes.json()
+      // Only ask for what this role may see
+      const getJson = async (path, permission) => {
+        if (permission && !can(permission)) return {};
+        const res = await fetch(`${API_URL}${path}`, { headers: authHeaders() });
+        return res.json();
+      };
+
+      const [customersData, prospectsData, locationsData, analyticsData, rewardsData] = await Promise.all([
+        getJson('/api/customers?limit=100', 'customers:read'),
+        getJson('/api/prospects', 'customers:read'),
+        getJson('/api/locations', 'locations:read'),
+        getJson('/api/analytics', 'analytics:read'),
+        getJson('/api/admin/rewards', 'locations:read')
       ]);
 
       setCustomers(customersData.customers || []);
       setProspects(prospectsData.prospects || []);
       setLocations(locationsData.locations || []);
-      setAnalytics(analyticsData);
+      setAnalytics(can('analytics:read') ? analyticsData : null);
+      setRewardCatalog(rewardsData.rewards || []);
     } catch (error) {
       console.error('Failed to fetch data:', error);
     }
@@ -153,8 +333,7 @@ export default function AdminDashboard({ user, onLogout }) {
     try {
       const response = await fetch(`${API_URL}/api/rewards/${redeemCode}/redeem`, {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ redeemedBy: 'Staff' })
+        headers: authHeaders()
       });
 
       const data = await response.json();
@@ -163,7 +342,7 @@ export default function AdminDashboard({ user, onLogout }) {
         setRedeemResult({ success: true, message: 'Code redeemed successfully!' });
         setRedeemCode('');
       } else {
-        setRedeemResult({ success: false, message: data.error || 'Code not found or already used' });
+        setRedeemResult({ success: false, message: data.message || data.error || 'Code not found or already used' });
       }
     } catch (error) {
       setRedeemResult({ success: false, message: 'Failed to redeem code' });
@@ -193,7 +372,20 @@ export default function AdminDashboard({ user, onLogout }) {
     if (filterType === 'prospect') params.set('isProspect', 'true');
     if (searchTerm) params.set('search', searchTerm);
     const qs = params.toString();
-    window.open(`${API_URL}/api/export/customers${qs ? '?' + qs : ''}`, '_blank');
+    try {
+      const res = await fetch(`${API_URL}/api/export/customers${qs ? '?' + qs : ''}`, { headers: authHeaders() });
+      if (res.ok) {
+        const blob = await res.blob();
+        const url = window.URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `customers-${Date.now()}.csv`;
+        a.click();
+        window.URL.revokeObjectURL(url);
+      }
+    } catch (err) {
+      console.error('Export error:', err);
+    }
   };
 
   const handleImport = async () => {
@@ -204,7 +396,6 @@ export default function AdminDashboard({ user, onLogout }) {
       const formData = new FormData();
       formData.append('file', importFile);
       formData.append('source', importSource);
-      formData.append('courseSlug', 'crescent-pointe');
       const res = await fetch(`${API_URL}/api/import`, {
         method: 'POST',
         headers: { 'Authorization': `Bearer ${localStorage.getItem('adminToken')}` },
@@ -278,14 +469,30 @@ export default function AdminDashboard({ user, onLogout }) {
   // ---- Email ----
   const fetchEmailData = async () => {
     try {
-      const [emailsRes, templatesRes] = await Promise.all([
+      const [emailsRes, templatesRes, statsRes, courseRes, sequencesRes, triggersRes] = await Promise.all([
         fetch(`${API_URL}/api/admin/emails`, { headers: authHeaders() }),
-        fetch(`${API_URL}/api/admin/email-templates`, { headers: authHeaders() })
+        fetch(`${API_URL}/api/admin/email-templates`, { headers: authHeaders() }),
+        fetch(`${API_URL}/api/admin/emails/template-stats`, { headers: authHeaders() }),
+        fetch(`${API_URL}/api/admin/course`, { headers: authHeaders() }),
+        fetch(`${API_URL}/api/admin/sequences`, { headers: authHeaders() }),
+        fetch(`${API_URL}/api/admin/email-triggers`, { headers: authHeaders() })
       ]);
       const emailsData = await emailsRes.json();
       const templatesData = await templatesRes.json();
+      const statsData = await statsRes.json();
+      const courseData = await courseRes.json();
+      const sequencesData = await sequencesRes.json();
+      setSequences(sequencesData.sequences || []);
+      const triggersData = await triggersRes.json();
+      setEmailTriggers(triggersData.triggers || []);
+      setTriggerEvents(triggersData.events || {});
+      const cap = courseData.course?.settings?.email_frequency_cap;
+      setFrequencyCap(cap
+        ? { maxPerWeek: String(cap.max_per_week), overCap: cap.over_cap || 'defer' }
+        : { maxPerWeek: '', overCap: 'defer' });
+      setTemplateStats(Object.fromEntries((statsData.stats || []).map(stat => [stat.templateId, stat])));
       setEmailActivity(emailsData.emails || []);
-      setEmailSummary(emailsData.summary || { pending: 0, sent: 0, failed: 0 });
+      setEmailSummary(emailsData.summary || { pending: 0, retrying: 0, sent: 0, failed: 0, dead: 0 });
       setEmailTemplates(templatesData.templates || []);
     } catch (err) {
       console.error('Failed to fetch email data:', err);
@@ -301,6 +508,49 @@ export default function AdminDashboard({ user, onLogout }) {
     }
   };
 
+  const handleRequeueEmail = async (emailId) => {
+    try {
+      await fetch(`${API_URL}/api/admin/emails/${emailId}/requeue`, {
+        method: 'POST',
+        headers: authHeaders()
+      });
+      await fetchEmailData();
+    } catch (err) {
+      console.error('Requeue email error:', err);
+    }
+  };
+
+  const handleRetryFailedEmails = async (includePermanent) => {
+    try {
+      await fetch(`${API_URL}/api/admin/emails/retry-failed`, {
+        method: 'POST',
+        headers: authHeaders(),
+        body: JSON.stringify({ includePermanent })
+      });
+      await fetchEmailData();
+    } catch (err) {
+      console.error('Retry failed emails error:', err);
+    }
+  };
+
+  const handleSaveFrequencyCap = async () => {
+    setFrequencyCapSaved('');
+    try {
+      const maxPerWeek = parseInt(frequencyCap.maxPerWeek);
+      const res = await fetch(`${API_URL}/api/admin/course`, {
+        method: 'PUT',
+        headers: authHeaders(),
+        body: JSON.stringify({
+          emailFrequencyCap: maxPerWeek > 0 ? { maxPerWeek, overCap: frequencyCap.overCap } : null
+        })
+      });
+      const data = await res.json();
+      setFrequencyCapSaved(res.ok ? 'Saved' : data.error || 'Failed to save');
+    } catch (err) {
+      setFrequencyCapSaved('Failed to save');
+    }
+  };
+
   const handleToggleTemplate = async (template) => {
     try {
       await fetch(`${API_URL}/api/admin/email-templates/${template.id}`, {
@@ -314,6 +564,274 @@ export default function AdminDashboard({ user, onLogout }) {
     }
   };
 
+  const handleSaveTemplate = async () => {
+    setTemplateError('');
+    setTemplateWarning('');
+    try {
+      const res = await fetch(`${API_URL}/api/admin/email-templates/${editingTemplate.id}`, {
+        method: 'PUT',
+        headers: authHeaders(),
+        body: JSON.stringify({
+          subject: editingTemplate.subject,
+          body_html: editingTemplate.body_html,
+          body_text: editingTemplate.body_text,
+          send_window_start: editingTemplate.send_window_start || null,
+          send_window_end: editingTemplate.send_window_end || null,
+          quiet_days: editingTemplate.quiet_days
+        })
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Failed to save template');
+      // Saved either way; keep the editor open so typos in variable names can be fixed
+      if (data.unknownVariables && data.unknownVariables.length > 0) {
+        setTemplateWarning(`Saved, but these variables are unknown and will render blank: ${data.unknownVariables.join(', ')}`);
+      } else {
+        setEditingTemplate(null);
+      }
+      await fetchEmailData();
+    } catch (err) {
+      setTemplateError(err.message);
+    }
+  };
+
+  const handleCreateTemplate = async () => {
+    setTemplateError('');
+    try {
+      const res = await fetch(`${API_URL}/api/admin/email-templates`, {
+        method: 'POST',
+        headers: authHeaders(),
+        body: JSON.stringify(newTemplate)
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Failed to create template');
+      setNewTemplate(emptyTemplateForm());
+      setShowAddTemplate(false);
+      await fetchEmailData();
+    } catch (err) {
+      setTemplateError(err.message);
+    }
+  };
+
+  const handleDeleteTemplate = async (template) => {
+    if (!window.confirm(`Delete "${template.name}"? Pending emails from it will be cancelled.`)) return;
+    setTemplateError('');
+    try {
+      const res = await fetch(`${API_URL}/api/admin/email-templates/${template.id}`, {
+        method: 'DELETE',
+        headers: authHeaders()
+      });
+      if (!res.ok) {
+        const data = await res.json();
+        setTemplateError(data.error || 'Failed to delete template');
+        return;
+      }
+      if (editingTemplate?.id === template.id) setEditingTemplate(null);
+      await fetchEmailData();
+    } catch (err) {
+      console.error('Delete template error:', err);
+    }
+  };
+
+  const updateSequenceStep = (index, changes) => {
+    setEditingSequence({
+      ...editingSequence,
+      steps: editingSequence.steps.map((step, i) => (i === index ? { ...step, ...changes } : step))
+    });
+  };
+
+  const handleSaveSequence = async () => {
+    setSequenceError('');
+    try {
+      const { id, ...body } = editingSequence;
+      const res = await fetch(`${API_URL}/api/admin/sequences${id ? `/${id}` : ''}`, {
+        method: id ? 'PUT' : 'POST',
+        headers: authHeaders(),
+        body: JSON.stringify({
+          ...body,
+          steps: body.steps.map(step => ({ ...step, delay_hours: Number(step.delay_hours) || 0 }))
+        })
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Failed to save sequence');
+      setEditingSequence(null);
+      await fetchEmailData();
+    } catch (err) {
+      setSequenceError(err.message);
+    }
+  };
+
+  const handleToggleSequence = async (sequence) => {
+    try {
+      await fetch(`${API_URL}/api/admin/sequences/${sequence.id}`, {
+        method: 'PUT',
+        headers: authHeaders(),
+        body: JSON.stringify({ is_active: !sequence.is_active })
+      });
+      await fetchEmailData();
+    } catch (err) {
+      console.error('Toggle sequence error:', err);
+    }
+  };
+
+  const handleDeleteSequence = async (sequence) => {
+    if (!window.confirm(`Delete "${sequence.name}"? Customers in it won't get its remaining emails.`)) return;
+    try {
+      await fetch(`${API_URL}/api/admin/sequences/${sequence.id}`, { method: 'DELETE', headers: authHeaders() });
+      if (editingSequence?.id === sequence.id) setEditingSequence(null);
+      await fetchEmailData();
+    } catch (err) {
+      console.error('Delete sequence error:', err);
+    }
+  };
+
+  const fetchSequenceEnrollments = async (sequenceId) => {
+    try {
+      const res = await fetch(`${API_URL}/api/admin/sequences/${sequenceId}/enrollments`, { headers: authHeaders() });
+      const data = await res.json();
+      setSequenceEnrollments({ sequenceId, rows: data.enrollments || [] });
+    } catch (err) {
+      console.error('Failed to fetch sequence enrollments:', err);
+    }
+  };
+
+  const handleCancelEnrollment = async (sequenceId, enrollmentId) => {
+    try {
+      await fetch(`${API_URL}/api/admin/sequences/${sequenceId}/enrollments/${enrollmentId}/cancel`, {
+        method: 'POST',
+        headers: authHeaders()
+      });
+      await fetchSequenceEnrollments(sequenceId);
+      await fetchEmailData();
+    } catch (err) {
+      console.error('Cancel enrollment error:', err);
+    }
+  };
+
+  const handleSaveTrigger = async () => {
+    setTriggerError('');
+    try {
+      const res = await fetch(`${API_URL}/api/admin/email-triggers`, {
+        method: 'POST',
+        headers: authHeaders(),
+        body: JSON.stringify(newTrigger)
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Failed to add trigger');
+      setNewTrigger(null);
+      await fetchEmailData();
+    } catch (err) {
+      setTriggerError(err.message);
+    }
+  };
+
+  const handleToggleTrigger = async (trigger) => {
+    try {
+      await fetch(`${API_URL}/api/admin/email-triggers/${trigger.id}`, {
+        method: 'PUT',
+        headers: authHeaders(),
+        body: JSON.stringify({ is_active: !trigger.is_active })
+      });
+      await fetchEmailData();
+    } catch (err) {
+      console.error('Toggle trigger error:', err);
+    }
+  };
+
+  const handleDeleteTrigger = async (trigger) => {
+    if (!window.confirm(`Stop sending this email on "${triggerLabel(trigger)}"?`)) return;
+    try {
+      await fetch(`${API_URL}/api/admin/email-triggers/${trigger.id}`, { method: 'DELETE', headers: authHeaders() });
+      await fetchEmailData();
+    } catch (err) {
+      console.error('Delete trigger error:', err);
+    }
+  };
+
+  const fetchTemplateHistory = async (templateId) => {
+    try {
+      const res = await fetch(`${API_URL}/api/admin/email-templates/${templateId}/versions`, { headers: authHeaders() });
+      const data = await res.json();
+      setTemplateHistory({ templateId, versions: data.versions || [], diff: null });
+    } catch (err) {
+      console.error('Failed to fetch template history:', err);
+    }
+  };
+
+  const handleDiffVersion = async (version) => {
+    try {
+      const res = await fetch(
+        `${API_URL}/api/admin/email-templates/${templateHistory.templateId}/versions/${version}/diff`,
+        { headers: authHeaders() }
+      );
+      const data = await res.json();
+      setTemplateHistory({ ...templateHistory, diff: data });
+    } catch (err) {
+      console.error('Failed to diff template version:', err);
+    }
+  };
+
+  const handleRollbackVersion = async (version) => {
+    if (!window.confirm(`Restore version ${version}? This saves it as a new version.`)) return;
+    try {
+      await fetch(`${API_URL}/api/admin/email-templates/${templateHistory.templateId}/versions/${version}/rollback`, {
+        method: 'POST',
+        headers: authHeaders()
+      });
+      await fetchEmailData();
+      await fetchTemplateHistory(templateHistory.templateId);
+    } catch (err) {
+      console.error('Rollback template error:', err);
+    }
+  };
+
+  const templateEdits = () => ({
+    subject: editingTemplate.subject,
+    body_html: editingTemplate.body_html,
+    customerId: previewCustomerId || undefined
+  });
+
+  const fetchTemplatePreview = async () => {
+    try {
+      const res = await fetch(`${API_URL}/api/admin/email-templates/${editingTemplate.id}/preview`, {
+        method: 'POST',
+        headers: authHeaders(),
+        body: JSON.stringify(templateEdits())
+      });
+      const data = await res.json();
+      setTemplatePreview(res.ok ? data : { error: data.error || 'Preview failed' });
+    } catch (err) {
+      setTemplatePreview({ error: 'Preview failed' });
+    }
+  };
+
+  // Re-render the preview shortly after typing stops
+  useEffect(() => {
+    if (!editingTemplate) {
+      setTemplatePreview(null);
+      return undefined;
+    }
+    const timer = setTimeout(fetchTemplatePreview, 400);
+    return () => clearTimeout(timer);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [editingTemplate, previewCustomerId]);
+
+  const handleTestSendTemplate = async () => {
+    setTestSendResult(null);
+    try {
+      const res = await fetch(`${API_URL}/api/admin/email-templates/${editingTemplate.id}/test-send`, {
+        method: 'POST',
+        headers: authHeaders(),
+        body: JSON.stringify(templateEdits())
+      });
+      const data = await res.json();
+      setTestSendResult(res.ok
+        ? { success: true, text: `Test sent to ${data.sentTo}` }
+        : { success: false, text: data.error || 'Test send failed' });
+    } catch (err) {
+      setTestSendResult({ success: false, text: 'Test send failed' });
+    }
+  };
+
   // ---- Pipeline ----
   const fetchPipelineData = async () => {
     try {
@@ -345,6 +863,70 @@ export default function AdminDashboard({ user, onLogout }) {
     }
   };
 
+  // ---- Reward Catalog ----
+  const fetchRewardCatalog = async () => {
+    try {
+      const res = await fetch(`${API_URL}/api/admin/rewards`, { headers: authHeaders() });
+      const data = await res.json();
+      setRewardCatalog(data.rewards || []);
+    } catch (err) {
+      console.error('Failed to fetch rewards:', err);
+    }
+  };
+
+  const rewardLabel = (type) => {
+    const reward = rewardCatalog.find(r => r.type === type);
+    return reward ? `${reward.emoji} ${reward.label}` : type;
+  };
+
+  const handleAddReward = async () => {
+    setRewardError('');
+    try {
+      const res = await fetch(`${API_URL}/api/admin/rewards`, {
+        method: 'POST',
+        headers: authHeaders(),
+        body: JSON.stringify({ ...newReward, position: rewardCatalog.length })
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Failed to add reward');
+      setNewReward(emptyRewardForm());
+      setShowAddReward(false);
+      await fetchRewardCatalog();
+    } catch (err) {
+      setRewardError(err.message);
+    }
+  };
+
+  const handleToggleReward = async (reward) => {
+    try {
+      await fetch(`${API_URL}/api/admin/rewards/${reward.id}`, {
+        method: 'PUT',
+        headers: authHeaders(),
+        body: JSON.stringify({ is_active: !reward.is_active })
+      });
+      await fetchRewardCatalog();
+    } catch (err) {
+      console.error('Toggle reward error:', err);
+    }
+  };
+
+  const handleToggleLocationReward = async (location, rewardId) => {
+    const current = location.reward_ids || [];
+    const rewardIds = current.includes(rewardId)
+      ? current.filter(id => id !== rewardId)
+      : [...current, rewardId];
+    try {
+      await fetch(`${API_URL}/api/admin/locations/${location.id}/rewards`, {
+        method: 'PUT',
+        headers: authHeaders(),
+        body: JSON.stringify({ rewardIds })
+      });
+      setLocations(locations.map(l => (l.id === location.id ? { ...l, reward_ids: rewardIds } : l)));
+    } catch (err) {
+      console.error('Update location rewards error:', err);
+    }
+  };
+
   // ---- A/B Tests ----
   const fetchAbTests = async () => {
     try {
@@ -364,13 +946,18 @@ export default function AdminDashboard({ user, onLogout }) {
         body: JSON.stringify({ locationId, ...abTestForm })
       });
       setShowCreateAbTest(null);
-      setAbTestForm({ name: '', variantARewardType: '', variantADescription: '', variantAEmoji: '', variantBRewardType: '', variantBDescription: '', variantBEmoji: '' });
+      setAbTestForm(emptyAbTestForm());
       await fetchAbTests();
     } catch (err) {
       console.error('Create AB test error:', err);
     }
   };
 
+  const updateAbVariant = (index, changes) => {
+    const variants = abTestForm.variants.map((v, i) => (i === index ? { ...v, ...changes } : v));
+    setAbTestForm({ ...abTestForm, variants });
+  };
+
   const handleToggleAbTest = async (testId, currentActive) => {
     try {
       await fetch(`${API_URL}/api/admin/ab-tests/${testId}`, {
@@ -564,22 +1151,24 @@ export default function AdminDashboard({ user, onLogout }) {
               </svg>
             </div>
             <div>
-              <h1 className="text-lg font-bold text-gray-900">Crescent Pointe</h1>
+              <h1 className="text-lg font-bold text-gray-900">{courseInfo.name}</h1>
               <p className="text-sm text-gray-500">Customer Capture Dashboard</p>
             </div>
           </div>
 
           {/* Actions */}
           <div className="flex items-center gap-2">
-            <button
-              onClick={handleExport}
-              className="hidden sm:flex bg-green-600 hover:bg-green-700 text-white px-4 py-2 rounded-lg text-sm font-medium items-center gap-2"
-            >
-              <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-4l-4 4m0 0l-4-4m4 4V4" />
-              </svg>
-              Export
-            </button>
+            {can('export') && (
+              <button
+                onClick={handleExport}
+                className="hidden sm:flex bg-green-600 hover:bg-green-700 text-white px-4 py-2 rounded-lg text-sm font-medium items-center gap-2"
+              >
+                <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-4l-4 4m0 0l-4-4m4 4V4" />
+                </svg>
+                Export
+              </button>
+            )}
             {user && (
               <span className="hidden sm:inline text-sm text-gray-600">{user.name}</span>
             )}
@@ -609,6 +1198,12 @@ export default function AdminDashboard({ user, onLogout }) {
             >
               Redeem
             </button>
+            <a
+              href="/redeem"
+              className="flex items-center bg-white border-2 border-amber-300 hover:bg-amber-100 text-amber-700 px-4 py-3 rounded-xl text-base font-semibold transition"
+            >
+              Scan
+            </a>
           </div>
         </div>
 
@@ -734,18 +1329,12 @@ export default function AdminDashboard({ user, onLogout }) {
                   <p className="text-sm font-medium text-gray-700 mb-3">Reward Popularity</p>
                   <div className="space-y-2">
                     {analytics.rewardChoices.map((r) => {
-                      const rewardLabels = {
-                        free_beer: '🍺 Free Beer',
-                        free_soft_drink: '🥤 Soft Drink',
-                        pro_shop_5: '🏌️ Pro Shop $5',
-                        food_bev_5: '🍔 Food & Bev $5'
-                      };
                       const totalRewards = analytics.rewardChoices.reduce((sum, x) => sum + parseInt(x.count), 0);
                       const pct = totalRewards > 0 ? Math.round((parseInt(r.count) / totalRewards) * 100) : 0;
                       return (
                         <div key={r.reward_type}>
                           <div className="flex items-center justify-between mb-1">
-                            <span className="text-xs text-gray-600">{rewardLabels[r.reward_type] || r.reward_type}</span>
+                            <span className="text-xs text-gray-600">{rewardLabel(r.reward_type)}</span>
                             <span className="text-xs font-medium text-gray-900">{r.count} ({pct}%)</span>
                           </div>
                           <div className="h-2 bg-gray-100 rounded-full overflow-hidden">
@@ -763,7 +1352,7 @@ export default function AdminDashboard({ user, onLogout }) {
 
         {/* Tabs */}
         <div className="flex gap-1 mb-4 bg-gray-100 p-1 rounded-lg w-fit flex-wrap">
-          {['customers', 'prospects', 'locations'].map(tab => (
+          {visibleTabs.filter(tab => ['customers', 'prospects', 'locations'].includes(tab)).map(tab => (
             <button
               key={tab}
               onClick={() => setActiveTab(tab)}
@@ -774,7 +1363,7 @@ export default function AdminDashboard({ user, onLogout }) {
               {tab === 'customers' ? 'All Customers' : tab === 'prospects' ? 'Membership Prospects' : 'QR Locations'}
             </button>
           ))}
-          {user?.role === 'admin' && ['pipeline', 'segments', 'email', 'revenue', 'import'].map(tab => (
+          {visibleTabs.filter(tab => ['pipeline', 'segments', 'email', 'revenue', 'import'].includes(tab)).map(tab => (
             <button
               key={tab}
               onClick={() => setActiveTab(tab)}
@@ -785,7 +1374,7 @@ export default function AdminDashboard({ user, onLogout }) {
               {tab.charAt(0).toUpperCase() + tab.slice(1)}
             </button>
           ))}
-          {user?.role === 'admin' && (
+          {can('team') && (
             <button
               onClick={() => setActiveTab('team')}
               className={`px-4 py-2 rounded-md text-sm font-medium transition ${
@@ -797,8 +1386,21 @@ export default function AdminDashboard({ user, onLogout }) {
           )}
         </div>
 
+        {permissions && visibleTabs.length === 0 && (
+          <div className="bg-white rounded-xl border border-gray-200 p-8 text-center">
+            <p className="text-gray-700 font-medium">Your role can redeem reward codes.</p>
+            <p className="text-sm text-gray-500 mt-1">Use the code box above, or open the scanner.</p>
+            <a
+              href="/redeem"
+              className="inline-block mt-4 bg-amber-500 hover:bg-amber-600 text-white px-6 py-3 rounded-xl font-semibold"
+            >
+              Open Redemption Scanner
+            </a>
+          </div>
+        )}
+
         {/* Customers Tab */}
-        {activeTab === 'customers' && (
+        {activeTab === 'customers' && can('customers:read') && (
           <>
             <div className="bg-white rounded-xl border border-gray-200 p-4 mb-4">
               <div className="flex flex-col sm:flex-row gap-3">
@@ -932,7 +1534,7 @@ export default function AdminDashboard({ user, onLogout }) {
         )}
 
         {/* Prospects Tab */}
-        {activeTab === 'prospects' && (
+        {activeTab === 'prospects' && can('customers:read') && (
           <div className="bg-white rounded-xl border border-gray-200 overflow-hidden">
             <div className="p-4 bg-green-50 border-b border-green-100">
               <p className="text-sm text-green-800">
@@ -1005,8 +1607,109 @@ export default function AdminDashboard({ user, onLogout }) {
         )}
 
         {/* Locations Tab (with A/B Test UI) */}
-        {activeTab === 'locations' && (
+        {activeTab === 'locations' && can('locations:read') && (
           <div className="space-y-6">
+            {/* Reward Catalog */}
+            {can('locations:manage') && (
+              <div className="bg-white rounded-xl border border-gray-200 p-4">
+                <div className="flex items-center justify-between mb-3">
+                  <h3 className="text-sm font-semibold text-gray-900">Reward Catalog</h3>
+                  <button
+                    onClick={() => { setShowAddReward(!showAddReward); setRewardError(''); }}
+                    className="text-xs bg-green-600 hover:bg-green-700 text-white px-3 py-1.5 rounded-lg font-medium"
+                  >
+                    Add Reward
+                  </button>
+                </div>
+                {showAddReward && (
+                  <div className="mb-3 p-3 bg-gray-50 rounded-lg">
+                    {rewardError && <p className="text-xs text-red-600 mb-2">{rewardError}</p>}
+                    <div className="grid grid-cols-2 sm:grid-cols-5 gap-2">
+                      <input
+                        type="text" placeholder="Type (e.g. free_hot_dog)"
+                        value={newReward.type}
+                        onChange={(e) => setNewReward({ ...newReward, type: e.target.value.toLowerCase().replace(/[^a-z0-9_]/g, '_') })}
+                        className="px-2 py-1 border border-gray-300 rounded text-xs"
+                      />
+                      <input
+                        type="text" placeholder="Label"
+                        value={newReward.label}
+                        onChange={(e) => setNewReward({ ...newReward, label: e.target.value })}
+                        className="px-2 py-1 border border-gray-300 rounded text-xs"
+                      />
+                      <input
+                        type="text" placeholder="Description (shown in email)"
+                        value={newReward.description}
+                        onChange={(e) => setNewReward({ ...newReward, description: e.target.value })}
+                        className="px-2 py-1 border border-gray-300 rounded text-xs"
+                      />
+                      <input
+                        type="text" placeholder="Emoji"
+                        value={newReward.emoji}
+                        onChange={(e) => setNewReward({ ...newReward, emoji: e.target.value })}
+                        className="px-2 py-1 border border-gray-300 rounded text-xs"
+                      />
+                      <select
+                        value={newReward.validity_type}
+                        onChange={(e) => setNewReward({ ...newReward, validity_type: e.target.value })}
+                        className="px-2 py-1 border border-gray-300 rounded text-xs"
+                      >
+                        <option value="same_day">Valid same day</option>
+                        <option value="days">Valid N days</option>
+                        <option value="date_range">Valid date range</option>
+                      </select>
+                      {newReward.validity_type === 'days' && (
+                        <input
+                          type="number" min="1" placeholder="Days"
+                          value={newReward.validity_days}
+                          onChange={(e) => setNewReward({ ...newReward, validity_days: e.target.value })}
+                          className="px-2 py-1 border border-gray-300 rounded text-xs"
+                        />
+                      )}
+                      {newReward.validity_type === 'date_range' && (
+                        <>
+                          <input
+                            type="date" title="Valid from (optional)"
+                            value={newReward.valid_from}
+                            onChange={(e) => setNewReward({ ...newReward, valid_from: e.target.value })}
+                            className="px-2 py-1 border border-gray-300 rounded text-xs"
+                          />
+                          <input
+                            type="date" title="Valid until"
+                            value={newReward.valid_until}
+                            onChange={(e) => setNewReward({ ...newReward, valid_until: e.target.value })}
+                            className="px-2 py-1 border border-gray-300 rounded text-xs"
+                          />
+                        </>
+                      )}
+                      <button
+                        onClick={handleAddReward}
+                        disabled={!newReward.type || !newReward.label || !newReward.description}
+                        className="text-xs bg-green-600 hover:bg-green-700 text-white px-3 py-1 rounded-lg disabled:opacity-50"
+                      >
+                        Save
+                      </button>
+                    </div>
+                  </div>
+                )}
+                <div className="flex flex-wrap gap-2">
+                  {rewardCatalog.map(reward => (
+                    <button
+                      key={reward.id}
+                      onClick={() => handleToggleReward(reward)}
+                      title={reward.is_active ? 'Click to retire' : 'Click to reactivate'}
+                      className={`text-xs px-3 py-1.5 rounded-lg border ${
+                        reward.is_active ? 'border-green-200 bg-green-50 text-green-800' : 'border-gray-200 bg-gray-50 text-gray-400 line-through'
+                      }`}
+                    >
+                      {reward.emoji} {reward.label}
+                      <span className="ml-1 text-gray-500">({rewardValidityLabel(reward)})</span>
+                    </button>
+                  ))}
+                </div>
+              </div>
+            )}
+
             <div className="grid gap-4 sm:grid-cols-2 lg:grid-cols-4">
               {locations.map((location) => (
                 <div key={location.id} className="bg-white rounded-xl border border-gray-200 p-4">
@@ -1027,7 +1730,7 @@ export default function AdminDashboard({ user, onLogout }) {
                   <p className="text-xs text-gray-400">{location.capture_count || 0} total</p>
                   <div className="mt-4 space-y-2">
                     <a
-                      href={`https://api.qrserver.com/v1/create-qr-code/?size=1000x1000&data=${encodeURIComponent(window.location.origin + '/capture?location=' + location.id)}`}
+                      href={`https://api.qrserver.com/v1/create-qr-code/?size=1000x1000&data=${encodeURIComponent(`${window.location.origin}/c/${courseInfo.slug}?location=${location.id}`)}`}
                       target="_blank"
                       rel="noopener noreferrer"
                       className="block w-full text-center text-xs bg-gray-100 hover:bg-gray-200 text-gray-700 px-3 py-2 rounded-lg transition"
@@ -1035,63 +1738,111 @@ export default function AdminDashboard({ user, onLogout }) {
                     >
                       Download QR Code (Print-Ready)
                     </a>
-                    {user?.role === 'admin' && (
-                      <button
-                        onClick={() => setShowCreateAbTest(showCreateAbTest === location.id ? null : location.id)}
-                        className="block w-full text-center text-xs bg-purple-50 hover:bg-purple-100 text-purple-700 px-3 py-2 rounded-lg transition"
-                      >
-                        A/B Test
-                      </button>
+                    {can('locations:manage') && rewardCatalog.length > 0 && (
+                      <div className="pt-2">
+                        <p className="text-xs font-medium text-gray-500 mb-1">Rewards offered</p>
+                        <div className="space-y-1">
+                          {rewardCatalog.filter(r => r.is_active).map(reward => (
+                            <label key={reward.id} className="flex items-center gap-2 text-xs text-gray-700">
+                              <input
+                                type="checkbox"
+                                checked={(location.reward_ids || []).includes(reward.id)}
+                                onChange={() => handleToggleLocationReward(location, reward.id)}
+                              />
+                              {reward.emoji} {reward.label}
+                            </label>
+                          ))}
+                        </div>
+                        {(location.reward_ids || []).length === 0 && (
+                          <p className="text-xs text-gray-400 mt-1">None selected — offers the full catalog</p>
+                        )}
+                      </div>
                     )}
-                  </div>
-
-                  {/* A/B Test Create Form (inline) */}
-                  {showCreateAbTest === location.id && (
-                    <div className="mt-3 p-3 bg-purple-50 rounded-lg space-y-2">
-                      <input
-                        type="text" placeholder="Test name"
-                        value={abTestForm.name}
-                        onChange={(e) => setAbTestForm({ ...abTestForm, name: e.target.value })}
-                        className="w-full px-2 py-1 border border-gray-300 rounded text-xs"
-                      />
-                      <div className="text-xs font-medium text-purple-700">Variant A</div>
-                      <input
-                        type="text" placeholder="Reward type (e.g. free_beer)"
-                        value={abTestForm.variantARewardType}
-                        onChange={(e) => setAbTestForm({ ...abTestForm, variantARewardType: e.target.value })}
-                        className="w-full px-2 py-1 border border-gray-300 rounded text-xs"
-                      />
-                      <input
-                        type="text" placeholder="Description"
-                        value={abTestForm.variantADescription}
-                        onChange={(e) => setAbTestForm({ ...abTestForm, variantADescription: e.target.value })}
-                        className="w-full px-2 py-1 border border-gray-300 rounded text-xs"
-                      />
-                      <input
-                        type="text" placeholder="Emoji"
-                        value={abTestForm.variantAEmoji}
-                        onChange={(e) => setAbTestForm({ ...abTestForm, variantAEmoji: e.target.value })}
-                        className="w-full px-2 py-1 border border-gray-300 rounded text-xs"
-                      />
-                      <div className="text-xs font-medium text-purple-700">Variant B</div>
-                      <input
-                        type="text" placeholder="Reward type"
-                        value={abTestForm.variantBRewardType}
-                        onChange={(e) => setAbTestForm({ ...abTestForm, variantBRewardType: e.target.value })}
-                        className="w-full px-2 py-1 border border-gray-300 rounded text-xs"
-                      />
-                      <input
-                        type="text" placeholder="Description"
-                        value={abTestForm.variantBDescription}
-                        onChange={(e) => setAbTestForm({ ...abTestForm, variantBDescription: e.target.value })}
-                        className="w-full px-2 py-1 border border-gray-300 rounded text-xs"
-                      />
+                    {can('locations:manage') && (
+                      <button
+                        onClick={() => setShowCreateAbTest(showCreateAbTest === location.id ? null : location.id)}
+                        className="block w-full text-center text-xs bg-purple-50 hover:bg-purple-100 text-purple-700 px-3 py-2 rounded-lg transition"
+                      >
+                        A/B Test
+                      </button>
+                    )}
+                  </div>
+
+                  {/* A/B Test Create Form (inline) */}
+                  {showCreateAbTest === location.id && (
+                    <div className="mt-3 p-3 bg-purple-50 rounded-lg space-y-2">
                       <input
-                        type="text" placeholder="Emoji"
-                        value={abTestForm.variantBEmoji}
-                        onChange={(e) => setAbTestForm({ ...abTestForm, variantBEmoji: e.target.value })}
+                        type="text" placeholder="Test name"
+                        value={abTestForm.name}
+                        onChange={(e) => setAbTestForm({ ...abTestForm, name: e.target.value })}
                         className="w-full px-2 py-1 border border-gray-300 rounded text-xs"
                       />
+                      {abTestForm.variants.map((variant, i) => (
+                        <div key={i} className="space-y-1">
+                          <div className="flex items-center justify-between">
+                            <span className="text-xs font-medium text-purple-700">Variant {String.fromCharCode(65 + i)}</span>
+                            {abTestForm.variants.length > 2 && (
+                              <button
+                                onClick={() => setAbTestForm({ ...abTestForm, variants: abTestForm.variants.filter((_, j) => j !== i) })}
+                                className="text-xs text-red-500 hover:text-red-700"
+                              >
+                                Remove
+                              </button>
+                            )}
+                          </div>
+                          <input
+                            type="text" placeholder="Reward type (e.g. free_beer)"
+                            value={variant.rewardType}
+                            onChange={(e) => updateAbVariant(i, { rewardType: e.target.value })}
+                            className="w-full px-2 py-1 border border-gray-300 rounded text-xs"
+                          />
+                          <input
+                            type="text" placeholder="Description"
+                            value={variant.description}
+                            onChange={(e) => updateAbVariant(i, { description: e.target.value })}
+                            className="w-full px-2 py-1 border border-gray-300 rounded text-xs"
+                          />
+                          <div className="grid grid-cols-2 gap-1">
+                            <input
+                              type="text" placeholder="Emoji"
+                              value={variant.emoji}
+                              onChange={(e) => updateAbVariant(i, { emoji: e.target.value })}
+                              className="w-full px-2 py-1 border border-gray-300 rounded text-xs"
+                            />
+                            <input
+                              type="number" min="1" placeholder="Weight"
+                              value={variant.weight}
+                              onChange={(e) => updateAbVariant(i, { weight: parseInt(e.target.value) || 1 })}
+                              className="w-full px-2 py-1 border border-gray-300 rounded text-xs"
+                              title="Traffic weight"
+                            />
+                          </div>
+                        </div>
+                      ))}
+                      <button
+                        onClick={() => setAbTestForm({ ...abTestForm, variants: [...abTestForm.variants, emptyAbVariant()] })}
+                        className="w-full text-xs bg-white hover:bg-purple-100 text-purple-700 border border-purple-200 px-3 py-1 rounded-lg"
+                      >
+                        + Add Variant
+                      </button>
+                      <label className="flex items-center gap-2 text-xs text-purple-700">
+                        <input
+                          type="checkbox"
+                          checked={abTestForm.autoPromote}
+                          onChange={(e) => setAbTestForm({ ...abTestForm, autoPromote: e.target.checked })}
+                        />
+                        Auto-promote winner at
+                        <select
+                          value={abTestForm.significanceThreshold}
+                          onChange={(e) => setAbTestForm({ ...abTestForm, significanceThreshold: parseFloat(e.target.value) })}
+                          className="px-1 py-0.5 border border-gray-300 rounded text-xs bg-white"
+                        >
+                          <option value={0.9}>90%</option>
+                          <option value={0.95}>95%</option>
+                          <option value={0.99}>99%</option>
+                        </select>
+                        confidence
+                      </label>
                       <button
                         onClick={() => handleCreateAbTest(location.id)}
                         className="w-full text-xs bg-purple-600 hover:bg-purple-700 text-white px-3 py-1.5 rounded-lg"
@@ -1110,9 +1861,11 @@ export default function AdminDashboard({ user, onLogout }) {
                 <h3 className="text-sm font-semibold text-gray-900 mb-4">A/B Test Results</h3>
                 <div className="space-y-4">
                   {abTests.map(test => {
-                    const aRate = test.variants.A.total > 0 ? Math.round((test.variants.A.redeemed / test.variants.A.total) * 100) : 0;
-                    const bRate = test.variants.B.total > 0 ? Math.round((test.variants.B.redeemed / test.variants.B.total) * 100) : 0;
-                    const winner = test.variants.A.total + test.variants.B.total >= 10 ? (aRate > bRate ? 'A' : bRate > aRate ? 'B' : 'Tie') : 'Collecting data...';
+                    const sig = test.significance;
+                    const pct = (x) => Math.round(x * 100);
+                    const totalWeight = test.variants.reduce((sum, v) => sum + v.weight, 0);
+                    const winnerLabel = test.winner_variant || sig.winner;
+                    const winner = winnerLabel || (sig.samplesNeeded !== null ? 'Not significant' : 'Collecting data...');
                     return (
                       <div key={test.id} className="border border-gray-100 rounded-lg p-4">
                         <div className="flex items-center justify-between mb-3">
@@ -1132,22 +1885,35 @@ export default function AdminDashboard({ user, onLogout }) {
                             </button>
                           </div>
                         </div>
-                        <div className="grid grid-cols-3 gap-4 text-center">
-                          <div className="bg-blue-50 rounded-lg p-3">
-                            <p className="text-xs text-blue-600 mb-1">Variant A: {test.variant_a_description}</p>
-                            <p className="text-lg font-bold text-blue-700">{test.variants.A.total}</p>
-                            <p className="text-xs text-blue-500">{aRate}% redeemed</p>
-                          </div>
-                          <div className="bg-orange-50 rounded-lg p-3">
-                            <p className="text-xs text-orange-600 mb-1">Variant B: {test.variant_b_description}</p>
-                            <p className="text-lg font-bold text-orange-700">{test.variants.B.total}</p>
-                            <p className="text-xs text-orange-500">{bRate}% redeemed</p>
-                          </div>
+                        <div className="grid grid-cols-2 lg:grid-cols-4 gap-4 text-center">
+                          {test.variants.map((v, i) => {
+                            const colors = abVariantColors[i % abVariantColors.length];
+                            return (
+                              <div key={v.id} className={`${colors.box} rounded-lg p-3`}>
+                                <p className={`text-xs ${colors.label} mb-1`}>Variant {v.label}: {v.emoji} {v.description}</p>
+                                <p className={`text-lg font-bold ${colors.value}`}>{v.total}</p>
+                                <p className={`text-xs ${colors.sub}`}>{pct(v.rate)}% redeemed</p>
+                                <p className={`text-xs ${colors.sub}`}>CI {pct(v.ciLow)}–{pct(v.ciHigh)}% · {pct(v.weight / totalWeight)}% traffic</p>
+                              </div>
+                            );
+                          })}
                           <div className="bg-gray-50 rounded-lg p-3 flex flex-col items-center justify-center">
                             <p className="text-xs text-gray-500 mb-1">Winner</p>
-                            <p className={`text-lg font-bold ${winner === 'A' ? 'text-blue-700' : winner === 'B' ? 'text-orange-700' : 'text-gray-500'}`}>
+                            <p className={`text-lg font-bold ${winnerLabel ? 'text-green-700' : 'text-gray-500'}`}>
                               {winner}
                             </p>
+                            {sig.pValue !== null && (
+                              <p className="text-xs text-gray-400">p = {sig.pValue.toFixed(3)}</p>
+                            )}
+                            {!sig.isSignificant && sig.samplesNeeded > 0 && (
+                              <p className="text-xs text-gray-400">~{sig.samplesNeeded} more per variant</p>
+                            )}
+                            {test.auto_promote && test.is_active && (
+                              <p className="text-xs text-purple-500 mt-1">Auto-promotes at {pct(sig.confidence)}%</p>
+                            )}
+                            {test.promoted_at && (
+                              <p className="text-xs text-green-600 mt-1">Promoted to location</p>
+                            )}
                           </div>
                         </div>
                       </div>
@@ -1160,7 +1926,7 @@ export default function AdminDashboard({ user, onLogout }) {
         )}
 
         {/* Pipeline Tab */}
-        {activeTab === 'pipeline' && user?.role === 'admin' && (
+        {activeTab === 'pipeline' && can('pipeline') && (
           <div className="space-y-4">
             {/* Summary Stats */}
             <div className="grid grid-cols-5 gap-3">
@@ -1266,7 +2032,7 @@ export default function AdminDashboard({ user, onLogout }) {
         )}
 
         {/* Segments Tab */}
-        {activeTab === 'segments' && user?.role === 'admin' && (
+        {activeTab === 'segments' && can('segments') && (
           <div className="space-y-4">
             {/* Segment Builder */}
             <div className="bg-white rounded-xl border border-gray-200 p-6">
@@ -1461,13 +2227,16 @@ export default function AdminDashboard({ user, onLogout }) {
         )}
 
         {/* Email Tab */}
-        {activeTab === 'email' && user?.role === 'admin' && (
+        {activeTab === 'email' && can('email') && (
           <div className="space-y-4">
             {/* Summary Cards */}
-            <div className="grid grid-cols-3 gap-4">
+            <div className="grid grid-cols-2 sm:grid-cols-4 gap-4">
               <div className="bg-white rounded-xl p-4 border border-gray-200 text-center">
                 <p className="text-2xl font-bold text-yellow-600">{emailSummary.pending || 0}</p>
-                <p className="text-xs text-gray-500">Pending</p>
+                <p className="text-xs text-gray-500">
+                  Pending{Number(emailSummary.retrying) > 0 && ` (${emailSummary.retrying} retrying)`}
+                  {Number(emailSummary.deferred) > 0 && ` (${emailSummary.deferred} deferred by cap)`}
+                </p>
               </div>
               <div className="bg-white rounded-xl p-4 border border-gray-200 text-center">
                 <p className="text-2xl font-bold text-green-600">{emailSummary.sent || 0}</p>
@@ -1475,40 +2244,793 @@ export default function AdminDashboard({ user, onLogout }) {
               </div>
               <div className="bg-white rounded-xl p-4 border border-gray-200 text-center">
                 <p className="text-2xl font-bold text-red-600">{emailSummary.failed || 0}</p>
-                <p className="text-xs text-gray-500">Failed</p>
+                <p className="text-xs text-gray-500">Failed (permanent)</p>
+              </div>
+              <div className="bg-white rounded-xl p-4 border border-gray-200 text-center">
+                <p className="text-2xl font-bold text-gray-700">{emailSummary.dead || 0}</p>
+                <p className="text-xs text-gray-500">Gave up after retries</p>
+                {Number(emailSummary.skipped) > 0 && (
+                  <p className="text-xs text-gray-400">{emailSummary.skipped} skipped by cap</p>
+                )}
               </div>
             </div>
 
-            <button
-              onClick={handleProcessEmails}
-              className="bg-green-600 hover:bg-green-700 text-white px-4 py-2 rounded-lg text-sm font-medium"
-            >
-              Process Now
-            </button>
+            <div className="flex flex-wrap gap-2">
+              <button
+                onClick={handleProcessEmails}
+                className="bg-green-600 hover:bg-green-700 text-white px-4 py-2 rounded-lg text-sm font-medium"
+              >
+                Process Now
+              </button>
+              {Number(emailSummary.dead) > 0 && (
+                <button
+                  onClick={() => handleRetryFailedEmails(false)}
+                  className="bg-gray-800 hover:bg-gray-900 text-white px-4 py-2 rounded-lg text-sm font-medium"
+                >
+                  Retry {emailSummary.dead} Gave-Up
+                </button>
+              )}
+              {Number(emailSummary.failed) + Number(emailSummary.dead) > 0 && (
+                <button
+                  onClick={() => handleRetryFailedEmails(true)}
+                  className="bg-gray-200 hover:bg-gray-300 text-gray-700 px-4 py-2 rounded-lg text-sm font-medium"
+                >
+                  Retry All Failed ({Number(emailSummary.failed) + Number(emailSummary.dead)})
+                </button>
+              )}
+            </div>
+
+            {/* Frequency cap */}
+            {can('course') && (
+              <div className="bg-white rounded-xl border border-gray-200 p-4 flex flex-wrap items-center gap-2 text-sm text-gray-700">
+                <span className="font-semibold text-gray-900">Frequency cap</span>
+                <span>At most</span>
+                <input
+                  type="number" min="1" placeholder="—"
+                  value={frequencyCap.maxPerWeek}
+                  onChange={(e) => setFrequencyCap({ ...frequencyCap, maxPerWeek: e.target.value })}
+                  className="w-16 px-2 py-1 border border-gray-300 rounded text-sm"
+                />
+                <span>marketing emails per customer in any 7 days; over the cap,</span>
+                <select
+                  value={frequencyCap.overCap}
+                  onChange={(e) => setFrequencyCap({ ...frequencyCap, overCap: e.target.value })}
+                  className="px-2 py-1 border border-gray-300 rounded text-sm"
+                >
+                  <option value="defer">defer until a slot frees up</option>
+                  <option value="skip">skip the email</option>
+                </select>
+                <button
+                  onClick={handleSaveFrequencyCap}
+                  className="text-xs bg-green-600 hover:bg-green-700 text-white px-3 py-1.5 rounded-lg font-medium"
+                >
+                  Save
+                </button>
+                {frequencyCapSaved && <span className="text-xs text-gray-500">{frequencyCapSaved}</span>}
+                <span className="w-full text-xs text-gray-400">Leave blank for no cap. Reward code emails are never capped.</span>
+              </div>
+            )}
 
             {/* Templates */}
             <div className="bg-white rounded-xl border border-gray-200 p-4">
-              <h3 className="text-sm font-semibold text-gray-900 mb-3">Email Templates</h3>
+              <div className="flex items-center justify-between mb-3">
+                <h3 className="text-sm font-semibold text-gray-900">Email Templates</h3>
+                <button
+                  onClick={() => { setShowAddTemplate(!showAddTemplate); setTemplateError(''); }}
+                  className="text-xs bg-green-600 hover:bg-green-700 text-white px-3 py-1.5 rounded-lg font-medium"
+                >
+                  New Template
+                </button>
+              </div>
+              {templateError && !showAddTemplate && !editingTemplate && (
+                <p className="mb-2 text-xs text-red-600">{templateError}</p>
+              )}
+              {showAddTemplate && (
+                <div className="mb-3 p-3 bg-gray-50 rounded-lg space-y-2">
+                  {templateError && <p className="text-xs text-red-600">{templateError}</p>}
+                  <div className="grid grid-cols-2 sm:grid-cols-5 gap-2">
+                    <input
+                      type="text" placeholder="Type (e.g. season_opener)"
+                      value={newTemplate.type}
+                      onChange={(e) => setNewTemplate({ ...newTemplate, type: e.target.value.toLowerCase().replace(/[^a-z0-9_]/g, '_') })}
+                      className="px-2 py-1 border border-gray-300 rounded text-xs"
+                    />
+                    <input
+                      type="text" placeholder="Name"
+                      value={newTemplate.name}
+                      onChange={(e) => setNewTemplate({ ...newTemplate, name: e.target.value })}
+                      className="px-2 py-1 border border-gray-300 rounded text-xs"
+                    />
+                    <input
+                      type="text" placeholder="Subject"
+                      value={newTemplate.subject}
+                      onChange={(e) => setNewTemplate({ ...newTemplate, subject: e.target.value })}
+                      className="px-2 py-1 border border-gray-300 rounded text-xs"
+                    />
+                    <input
+                      type="number" min="0" title="Delay (hours)"
+                      value={newTemplate.delay_hours}
+                      onChange={(e) => setNewTemplate({ ...newTemplate, delay_hours: e.target.value })}
+                      className="px-2 py-1 border border-gray-300 rounded text-xs"
+                    />
+                    <select
+                      value={newTemplate.category}
+                      onChange={(e) => setNewTemplate({ ...newTemplate, category: e.target.value })}
+                      className="px-2 py-1 border border-gray-300 rounded text-xs"
+                    >
+                      {Object.entries(templateCategoryLabels).map(([value, label]) => (
+                        <option key={value} value={value}>{label}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <textarea
+                    placeholder="Body HTML"
+                    value={newTemplate.body_html}
+                    onChange={(e) => setNewTemplate({ ...newTemplate, body_html: e.target.value })}
+                    rows={6}
+                    className="w-full px-2 py-1 border border-gray-300 rounded text-xs font-mono"
+                  />
+                  <div className="flex flex-wrap items-center gap-2 text-xs text-gray-600">
+                    <span>Send between</span>
+                    <input
+                      type="time"
+                      value={newTemplate.send_window_start}
+                      onChange={(e) => setNewTemplate({ ...newTemplate, send_window_start: e.target.value })}
+                      className="px-2 py-1 border border-gray-300 rounded text-xs"
+                    />
+                    <span>and</span>
+                    <input
+                      type="time"
+                      value={newTemplate.send_window_end}
+                      onChange={(e) => setNewTemplate({ ...newTemplate, send_window_end: e.target.value })}
+                      className="px-2 py-1 border border-gray-300 rounded text-xs"
+                    />
+                    <span className="ml-2">Quiet days</span>
+                    {weekdayLabels.map((label, day) => {
+                      const quiet = newTemplate.quiet_days.includes(day);
+                      return (
+                        <button
+                          key={label}
+                          type="button"
+                          onClick={() => setNewTemplate({
+                            ...newTemplate,
+                            quiet_days: quiet
+                              ? newTemplate.quiet_days.filter(d => d !== day)
+                              : [...newTemplate.quiet_days, day]
+                          })}
+                          className={`px-2 py-1 rounded ${quiet ? 'bg-gray-700 text-white' : 'bg-gray-200 text-gray-600 hover:bg-gray-300'}`}
+                        >
+                          {label}
+                        </button>
+                      );
+                    })}
+                    <span className="w-full text-gray-400">Course local time. Leave the times blank to send at any hour.</span>
+                  </div>
+                  <button
+                    onClick={handleCreateTemplate}
+                    disabled={!newTemplate.type || !newTemplate.name || !newTemplate.subject || !newTemplate.body_html}
+                    className="text-xs bg-green-600 hover:bg-green-700 text-white px-3 py-1 rounded-lg disabled:opacity-50"
+                  >
+                    Create
+                  </button>
+                </div>
+              )}
               <div className="space-y-2">
                 {emailTemplates.map(tmpl => (
-                  <div key={tmpl.id} className="flex items-center justify-between py-2 border-b border-gray-100 last:border-0">
-                    <div>
-                      <p className="text-sm text-gray-900">{tmpl.name}</p>
-                      <p className="text-xs text-gray-500">{tmpl.subject} - Delay: {tmpl.delay_hours}h</p>
+                  <div key={tmpl.id} className="py-2 border-b border-gray-100 last:border-0">
+                    <div className="flex items-center justify-between">
+                      <div>
+                        <p className="text-sm text-gray-900">
+                          {tmpl.name} <span className="text-xs text-gray-400">v{tmpl.version} · {templateCategoryLabels[tmpl.category] || tmpl.category}</span>
+                        </p>
+                        <p className="text-xs text-gray-500">
+                          {tmpl.subject} - {tmpl.type === 'reward_code' ? 'Sent immediately' : `Delay: ${tmpl.delay_hours}h`}
+                          {tmpl.type !== 'reward_code' && sendWindowLabel(tmpl) && ` · ${sendWindowLabel(tmpl)}`}
+                        </p>
+                        {templateStats[tmpl.id]?.sent > 0 && (
+                          <p className="text-xs text-gray-400">
+                            {templateStats[tmpl.id].sent} sent · {templateStats[tmpl.id].openRate}% opened · {templateStats[tmpl.id].clickRate}% clicked
+                          </p>
+                        )}
+                      </div>
+                      <div className="flex items-center gap-2">
+                        <button
+                          onClick={() => {
+                            setTemplateError('');
+                            setTemplateWarning('');
+                            setTestSendResult(null);
+                            setEditingTemplate(editingTemplate?.id === tmpl.id ? null : {
+                              id: tmpl.id, subject: tmpl.subject, body_html: tmpl.body_html, body_text: tmpl.body_text || '',
+                              send_window_start: (tmpl.send_window_start || '').slice(0, 5),
+                              send_window_end: (tmpl.send_window_end || '').slice(0, 5),
+                              quiet_days: tmpl.quiet_days || []
+                            });
+                          }}
+                          className="text-xs px-3 py-1 rounded-lg font-medium bg-gray-100 text-gray-700 hover:bg-gray-200"
+                        >
+                          Edit
+                        </button>
+                        <button
+                          onClick={() => (templateHistory?.templateId === tmpl.id ? setTemplateHistory(null) : fetchTemplateHistory(tmpl.id))}
+                          className="text-xs px-3 py-1 rounded-lg font-medium bg-gray-100 text-gray-700 hover:bg-gray-200"
+                        >
+                          History
+                        </button>
+                        {tmpl.type !== 'reward_code' && (
+                          <button
+                            onClick={() => handleToggleTemplate(tmpl)}
+                            className={`text-xs px-3 py-1 rounded-lg font-medium ${
+                              tmpl.is_active ? 'bg-green-100 text-green-700' : 'bg-gray-100 text-gray-500'
+                            }`}
+                          >
+                            {tmpl.is_active ? 'Active' : 'Paused'}
+                          </button>
+                        )}
+                        {tmpl.type !== 'reward_code' && (
+                          <button
+                            onClick={() => handleDeleteTemplate(tmpl)}
+                            className="text-xs text-red-600 hover:text-red-800"
+                          >
+                            Delete
+                          </button>
+                        )}
+                      </div>
+                    </div>
+                    {templateHistory?.templateId === tmpl.id && (
+                      <div className="mt-3 p-3 bg-gray-50 rounded-lg space-y-2">
+                        {templateHistory.versions.map(v => (
+                          <div key={v.id} className="flex items-center justify-between text-xs">
+                            <span className="text-gray-700">
+                              v{v.version} · {new Date(v.created_at).toLocaleString()}
+                              {v.created_by_name && ` · ${v.created_by_name}`}
+                              {v.restored_from_version && ` · restored from v${v.restored_from_version}`}
+                            </span>
+                            {v.version !== tmpl.version && (
+                              <span className="flex gap-2">
+                                <button onClick={() => handleDiffVersion(v.version)} className="text-blue-600 hover:text-blue-800">
+                                  Diff vs current
+                                </button>
+                                <button onClick={() => handleRollbackVersion(v.version)} className="text-amber-700 hover:text-amber-900">
+                                  Roll back
+                                </button>
+                              </span>
+                            )}
+                          </div>
+                        ))}
+                        {templateHistory.diff && (
+                          <div className="space-y-2 pt-2 border-t border-gray-200">
+                            <p className="text-xs font-medium text-gray-700">
+                              v{templateHistory.diff.from} → v{templateHistory.diff.to}
+                            </p>
+                            {Object.keys(templateHistory.diff.changes).length === 0 && (
+                              <p className="text-xs text-gray-500">No differences.</p>
+                            )}
+                            {Object.entries(templateHistory.diff.changes).map(([field, lines]) => (
+                              <div key={field}>
+                                <p className="text-xs text-gray-500 mb-1">{field}</p>
+                                <pre className="text-xs font-mono bg-white border border-gray-200 rounded p-2 overflow-x-auto">
+                                  {lines.map((l, i) => (
+                                    <div key={i} className={diffLineStyles[l.type]}>
+                                      {l.type === 'added' ? '+ ' : l.type === 'removed' ? '- ' : '  '}{l.line}
+                                    </div>
+                                  ))}
+                                </pre>
+                              </div>
+                            ))}
+                          </div>
+                        )}
+                      </div>
+                    )}
+                    {editingTemplate?.id === tmpl.id && (
+                      <div className="mt-3 grid grid-cols-1 lg:grid-cols-2 gap-4">
+                        <div className="space-y-2">
+                          {templateError && <p className="text-xs text-red-600">{templateError}</p>}
+                          {templateWarning && <p className="text-xs text-amber-700">{templateWarning}</p>}
+                          <input
+                            type="text"
+                            value={editingTemplate.subject}
+                            onChange={(e) => setEditingTemplate({ ...editingTemplate, subject: e.target.value })}
+                            className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                          />
+                          <textarea
+                            value={editingTemplate.body_html}
+                            onChange={(e) => setEditingTemplate({ ...editingTemplate, body_html: e.target.value })}
+                            rows={16}
+                            className="w-full px-3 py-2 border border-gray-300 rounded-lg text-xs font-mono"
+                          />
+                          <textarea
+                            value={editingTemplate.body_text}
+                            onChange={(e) => setEditingTemplate({ ...editingTemplate, body_text: e.target.value })}
+                            placeholder="Plain-text version (leave blank to generate it from the HTML)"
+                            rows={4}
+                            className="w-full px-3 py-2 border border-gray-300 rounded-lg text-xs font-mono"
+                          />
+                          {tmpl.type !== 'reward_code' && (
+                            <div className="flex flex-wrap items-center gap-2 text-xs text-gray-600">
+                              <span>Send between</span>
+                              <input
+                                type="time"
+                                value={editingTemplate.send_window_start}
+                                onChange={(e) => setEditingTemplate({ ...editingTemplate, send_window_start: e.target.value })}
+                                className="px-2 py-1 border border-gray-300 rounded text-xs"
+                              />
+                              <span>and</span>
+                              <input
+                                type="time"
+                                value={editingTemplate.send_window_end}
+                                onChange={(e) => setEditingTemplate({ ...editingTemplate, send_window_end: e.target.value })}
+                                className="px-2 py-1 border border-gray-300 rounded text-xs"
+                              />
+                              <span className="ml-2">Quiet days</span>
+                              {weekdayLabels.map((label, day) => {
+                                const quiet = editingTemplate.quiet_days.includes(day);
+                                return (
+                                  <button
+                                    key={label}
+                                    type="button"
+                                    onClick={() => setEditingTemplate({
+                                      ...editingTemplate,
+                                      quiet_days: quiet
+                                        ? editingTemplate.quiet_days.filter(d => d !== day)
+                                        : [...editingTemplate.quiet_days, day]
+                                    })}
+                                    className={`px-2 py-1 rounded ${quiet ? 'bg-gray-700 text-white' : 'bg-gray-100 text-gray-600 hover:bg-gray-200'}`}
+                                  >
+                                    {label}
+                                  </button>
+                                );
+                              })}
+                              <span className="w-full text-gray-400">Course local time. Leave the times blank to send at any hour.</span>
+                            </div>
+                          )}
+                          <p className="text-xs text-gray-400">
+                            Variables: {'{{first_name}}'}, {'{{last_name}}'}, {'{{visit_count}}'}, {'{{is_local}}'}, {'{{course_name}}'}, {'{{course_address}}'}, {'{{footer_text}}'}, {'{{logo_url}}'}, {'{{course.city}}'}, {'{{location.name}}'}
+                            {tmpl.type === 'reward_code' && <>, {'{{reward_code}}'}, {'{{reward_description}}'}, {'{{reward_emoji}}'}, {'{{reward_validity}}'}, {'{{reward_qr_url}}'}</>}
+                          </p>
+                          <p className="text-xs text-gray-400">
+                            Defaults: {'{{first_name|"there"}}'} · Conditionals: {'{{#if is_local}}…{{else}}…{{/if}}'} · Loops: {'{{#each links}}{{label}}: {{url}}{{/each}}'} · Values are HTML-escaped
+                          </p>
+                          <div className="flex gap-2">
+                            <button
+                              onClick={handleSaveTemplate}
+                              className="text-xs bg-green-600 hover:bg-green-700 text-white px-4 py-1.5 rounded-lg font-medium"
+                            >
+                              Save
+                            </button>
+                            <button
+                              onClick={handleTestSendTemplate}
+                              className="text-xs bg-blue-50 hover:bg-blue-100 text-blue-700 px-4 py-1.5 rounded-lg font-medium"
+                            >
+                              Send Test to Me
+                            </button>
+                            <button
+                              onClick={() => setEditingTemplate(null)}
+                              className="text-xs bg-gray-100 hover:bg-gray-200 text-gray-700 px-4 py-1.5 rounded-lg font-medium"
+                            >
+                              Cancel
+                            </button>
+                          </div>
+                          {testSendResult && (
+                            <p className={`text-xs ${testSendResult.success ? 'text-green-700' : 'text-red-600'}`}>{testSendResult.text}</p>
+                          )}
+                        </div>
+
+                        {/* Live preview */}
+                        <div className="space-y-2">
+                          <div className="flex items-center justify-between gap-2">
+                            <p className="text-xs font-medium text-gray-500">Preview</p>
+                            <select
+                              value={previewCustomerId}
+                              onChange={(e) => setPreviewCustomerId(e.target.value)}
+                              className="text-xs px-2 py-1 border border-gray-300 rounded-lg"
+                            >
+                              <option value="">Sample guest</option>
+                              {customers.filter(c => c.email).slice(0, 50).map(c => (
+                                <option key={c.id} value={c.id}>
+                                  {[c.first_name, c.last_name].filter(Boolean).join(' ') || c.email}
+                                </option>
+                              ))}
+                            </select>
+                          </div>
+                          {templatePreview?.error ? (
+                            <p className="text-xs text-red-600">{templatePreview.error}</p>
+                          ) : templatePreview ? (
+                            <div className="border border-gray-200 rounded-lg overflow-hidden">
+                              <p className="px-3 py-2 bg-gray-50 border-b border-gray-200 text-sm text-gray-900">
+                                <span className="text-gray-500">Subject:</span> {templatePreview.subject}
+                              </p>
+                              <iframe
+                                title="Email preview"
+                                srcDoc={templatePreview.html}
+                                sandbox=""
+                                className="w-full h-96 bg-white"
+                              />
+                              <p className="px-3 py-1 bg-gray-50 border-t border-gray-200 text-xs text-gray-500">Plain text</p>
+                              <pre className="px-3 py-2 text-xs text-gray-700 whitespace-pre-wrap max-h-40 overflow-y-auto">{templatePreview.text}</pre>
+                            </div>
+                          ) : (
+                            <p className="text-xs text-gray-400">Rendering…</p>
+                          )}
+                        </div>
+                      </div>
+                    )}
+                  </div>
+                ))}
+              </div>
+            </div>
+
+            {/* Sequences */}
+            <div className="bg-white rounded-xl border border-gray-200 p-4">
+              <div className="flex items-center justify-between mb-3">
+                <h3 className="text-sm font-semibold text-gray-900">Sequences</h3>
+                <button
+                  onClick={() => { setSequenceError(''); setEditingSequence(editingSequence && !editingSequence.id ? null : emptySequenceForm()); }}
+                  className="text-xs px-3 py-1 rounded-lg font-medium bg-green-50 text-green-700 hover:bg-green-100"
+                >
+                  New Sequence
+                </button>
+              </div>
+              {editingSequence && (
+                <div className="mb-3 p-3 bg-gray-50 rounded-lg space-y-3">
+                  {sequenceError && <p className="text-xs text-red-600">{sequenceError}</p>}
+                  <div className="flex flex-wrap items-center gap-2">
+                    <input
+                      type="text" placeholder="Sequence name"
+                      value={editingSequence.name}
+                      onChange={(e) => setEditingSequence({ ...editingSequence, name: e.target.value })}
+                      className="px-2 py-1 border border-gray-300 rounded text-xs"
+                    />
+                    <select
+                      value={editingSequence.enroll_on}
+                      onChange={(e) => setEditingSequence({ ...editingSequence, enroll_on: e.target.value })}
+                      className="px-2 py-1 border border-gray-300 rounded text-xs"
+                    >
+                      {Object.entries(sequenceEnrollLabels).map(([value, label]) => (
+                        <option key={value} value={value}>{label}</option>
+                      ))}
+                    </select>
+                    <span className="text-xs text-gray-500 ml-2">Stop when:</span>
+                    {Object.entries(sequenceExitLabels).map(([value, label]) => (
+                      <label key={value} className="flex items-center gap-1 text-xs text-gray-600">
+                        <input
+                          type="checkbox"
+                          checked={editingSequence.exit_conditions.includes(value)}
+                          onChange={(e) => setEditingSequence({
+                            ...editingSequence,
+                            exit_conditions: e.target.checked
+                              ? [...editingSequence.exit_conditions, value]
+                              : editingSequence.exit_conditions.filter(c => c !== value)
+                          })}
+                        />
+                        {label}
+                      </label>
+                    ))}
+                  </div>
+
+                  {editingSequence.steps.map((step, index) => (
+                    <div key={index} className="flex flex-wrap items-center gap-2 text-xs text-gray-600">
+                      <span className="font-medium text-gray-900 w-12">Step {index + 1}</span>
+                      <span>after</span>
+                      <input
+                        type="number" min="0"
+                        value={step.delay_hours}
+                        onChange={(e) => updateSequenceStep(index, { delay_hours: e.target.value })}
+                        className="w-16 px-2 py-1 border border-gray-300 rounded text-xs"
+                      />
+                      <span>h send</span>
+                      <select
+                        value={step.template_id}
+                        onChange={(e) => updateSequenceStep(index, { template_id: e.target.value })}
+                        className="px-2 py-1 border border-gray-300 rounded text-xs"
+                      >
+                        <option value="">Choose template…</option>
+                        {emailTemplates.filter(t => t.type !== 'reward_code').map(t => (
+                          <option key={t.id} value={t.id}>{t.name}</option>
+                        ))}
+                      </select>
+                      <span>if</span>
+                      <select
+                        value={step.condition ? step.condition.field : ''}
+                        onChange={(e) => updateSequenceStep(index, {
+                          condition: e.target.value ? defaultSequenceCondition(e.target.value) : null
+                        })}
+                        className="px-2 py-1 border border-gray-300 rounded text-xs"
+                      >
+                        <option value="">always</option>
+                        {Object.entries(sequenceConditionFields).map(([field, { label }]) => (
+                          <option key={field} value={field}>{label}</option>
+                        ))}
+                      </select>
+                      {step.condition && sequenceConditionFields[step.condition.field].type === 'number' && (
+                        <>
+                          <select
+                            value={step.condition.op}
+                            onChange={(e) => updateSequenceStep(index, { condition: { ...step.condition, op: e.target.value } })}
+                            className="px-2 py-1 border border-gray-300 rounded text-xs"
+                          >
+                            <option value="gte">at least</option>
+                            <option value="lte">at most</option>
+                            <option value="eq">exactly</option>
+                          </select>
+                          <input
+                            type="number"
+                            value={step.condition.value}
+                            onChange={(e) => updateSequenceStep(index, { condition: { ...step.condition, value: Number(e.target.value) } })}
+                            className="w-16 px-2 py-1 border border-gray-300 rounded text-xs"
+                          />
+                        </>
+                      )}
+                      {step.condition && sequenceConditionFields[step.condition.field].type === 'boolean' && (
+                        <select
+                          value={step.condition.op === 'eq' ? 'yes' : 'no'}
+                          onChange={(e) => updateSequenceStep(index, {
+                            condition: { ...step.condition, op: e.target.value === 'yes' ? 'eq' : 'neq', value: true }
+                          })}
+                          className="px-2 py-1 border border-gray-300 rounded text-xs"
+                        >
+                          <option value="yes">yes</option>
+                          <option value="no">no</option>
+                        </select>
+                      )}
+                      {step.condition && sequenceConditionFields[step.condition.field].type === 'string' && (
+                        <>
+                          <select
+                            value={step.condition.op}
+                            onChange={(e) => updateSequenceStep(index, { condition: { ...step.condition, op: e.target.value } })}
+                            className="px-2 py-1 border border-gray-300 rounded text-xs"
+                          >
+                            <option value="eq">is</option>
+                            <option value="neq">is not</option>
+                          </select>
+                          <input
+                            type="text"
+                            value={step.condition.value}
+                            onChange={(e) => updateSequenceStep(index, { condition: { ...step.condition, value: e.target.value } })}
+                            className="w-28 px-2 py-1 border border-gray-300 rounded text-xs"
+                          />
+                        </>
+                      )}
+                      <button
+                        onClick={() => setEditingSequence({
+                          ...editingSequence,
+                          steps: editingSequence.steps.filter((_, i) => i !== index)
+                        })}
+                        className="text-red-500 hover:text-red-700"
+                      >
+                        Remove
+                      </button>
                     </div>
+                  ))}
+                  <p className="text-xs text-gray-400">
+                    Each delay counts from the previous step. Steps whose condition doesn't match are skipped.
+                  </p>
+                  <div className="flex gap-2">
                     <button
-                      onClick={() => handleToggleTemplate(tmpl)}
-                      className={`text-xs px-3 py-1 rounded-lg font-medium ${
-                        tmpl.is_active ? 'bg-green-100 text-green-700' : 'bg-gray-100 text-gray-500'
-                      }`}
+                      onClick={() => setEditingSequence({
+                        ...editingSequence,
+                        steps: [...editingSequence.steps, { template_id: '', delay_hours: 24, condition: null }]
+                      })}
+                      className="text-xs bg-gray-100 hover:bg-gray-200 text-gray-700 px-3 py-1 rounded-lg"
+                    >
+                      Add Step
+                    </button>
+                    <button
+                      onClick={handleSaveSequence}
+                      disabled={!editingSequence.name || editingSequence.steps.length === 0 || editingSequence.steps.some(s => !s.template_id)}
+                      className="text-xs bg-green-600 hover:bg-green-700 text-white px-3 py-1 rounded-lg disabled:opacity-50"
                     >
-                      {tmpl.is_active ? 'Active' : 'Paused'}
+                      Save
                     </button>
+                    <button
+                      onClick={() => setEditingSequence(null)}
+                      className="text-xs bg-gray-100 hover:bg-gray-200 text-gray-700 px-3 py-1 rounded-lg"
+                    >
+                      Cancel
+                    </button>
+                  </div>
+                </div>
+              )}
+              <div className="space-y-2">
+                {sequences.length === 0 && <p className="text-xs text-gray-400">No sequences yet.</p>}
+                {sequences.map(seq => (
+                  <div key={seq.id} className="py-2 border-b border-gray-100 last:border-0">
+                    <div className="flex items-center justify-between">
+                      <div>
+                        <p className="text-sm text-gray-900">
+                          {seq.name} <span className="text-xs text-gray-400">{sequenceEnrollLabels[seq.enroll_on]}</span>
+                        </p>
+                        <p className="text-xs text-gray-500">
+                          {seq.steps.map(step => `${step.delay_hours}h → ${step.template_name}${step.condition ? ' (if…)' : ''}`).join(' · ')}
+                        </p>
+                        <p className="text-xs text-gray-400">
+                          {seq.active_count} in progress · {seq.completed_count} finished · {seq.exited_count} left early
+                          {seq.exit_conditions.length > 0 && ` · stops on ${seq.exit_conditions.map(c => sequenceExitLabels[c] || c).join(', ').toLowerCase()}`}
+                        </p>
+                      </div>
+                      <div className="flex items-center gap-2">
+                        <button
+                          onClick={() => {
+                            setSequenceError('');
+                            setEditingSequence(editingSequence?.id === seq.id ? null : {
+                              id: seq.id, name: seq.name, enroll_on: seq.enroll_on, exit_conditions: seq.exit_conditions,
+                              steps: seq.steps.map(({ template_id, delay_hours, condition }) => ({ template_id, delay_hours, condition }))
+                            });
+                          }}
+                          className="text-xs px-3 py-1 rounded-lg font-medium bg-gray-100 text-gray-700 hover:bg-gray-200"
+                        >
+                          Edit
+                        </button>
+                        <button
+                          onClick={() => (sequenceEnrollments?.sequenceId === seq.id ? setSequenceEnrollments(null) : fetchSequenceEnrollments(seq.id))}
+                          className="text-xs px-3 py-1 rounded-lg font-medium bg-gray-100 text-gray-700 hover:bg-gray-200"
+                        >
+                          Customers
+                        </button>
+                        <button
+                          onClick={() => handleDeleteSequence(seq)}
+                          className="text-xs px-3 py-1 rounded-lg font-medium bg-red-50 text-red-600 hover:bg-red-100"
+                        >
+                          Delete
+                        </button>
+                        <button
+                          onClick={() => handleToggleSequence(seq)}
+                          className={`text-xs px-3 py-1 rounded-lg font-medium ${
+                            seq.is_active ? 'bg-green-100 text-green-700' : 'bg-gray-100 text-gray-500'
+                          }`}
+                        >
+                          {seq.is_active ? 'Active' : 'Paused'}
+                        </button>
+                      </div>
+                    </div>
+                    {sequenceEnrollments?.sequenceId === seq.id && (
+                      <div className="mt-2 space-y-1">
+                        {sequenceEnrollments.rows.length === 0 && <p className="text-xs text-gray-400">Nobody enrolled yet.</p>}
+                        {sequenceEnrollments.rows.map(row => (
+                          <div key={row.id} className="flex items-center justify-between text-xs text-gray-600">
+                            <span>{row.first_name} {row.last_name} ({row.email})</span>
+                            <span className="flex items-center gap-2">
+                              {row.status === 'active'
+                                ? `Step ${row.current_step + 1} on ${formatDate(row.next_run_at)}`
+                                : `${row.status}${row.exit_reason ? ` (${sequenceExitLabels[row.exit_reason] || row.exit_reason})` : ''}`}
+                              {row.status === 'active' && (
+                                <button
+                                  onClick={() => handleCancelEnrollment(seq.id, row.id)}
+                                  className="text-red-500 hover:text-red-700"
+                                >
+                                  Remove
+                                </button>
+                              )}
+                            </span>
+                          </div>
+                        ))}
+                      </div>
+                    )}
                   </div>
                 ))}
               </div>
             </div>
 
+            {/* Triggers */}
+            <div className="bg-white rounded-xl border border-gray-200 p-4">
+              <div className="flex items-center justify-between mb-3">
+                <h3 className="text-sm font-semibold text-gray-900">Triggers</h3>
+                <button
+                  onClick={() => { setTriggerError(''); setNewTrigger(newTrigger ? null : emptyTriggerForm()); }}
+                  className="text-xs px-3 py-1 rounded-lg font-medium bg-green-50 text-green-700 hover:bg-green-100"
+                >
+                  New Trigger
+                </button>
+              </div>
+              {newTrigger && (
+                <div className="mb-3 p-3 bg-gray-50 rounded-lg space-y-2">
+                  {triggerError && <p className="text-xs text-red-600">{triggerError}</p>}
+                  <div className="flex flex-wrap items-center gap-2 text-xs">
+                    <span className="text-gray-500">When</span>
+                    <select
+                      value={newTrigger.event}
+                      onChange={(e) => setNewTrigger({ ...newTrigger, event: e.target.value, event_value: '' })}
+                      className="px-2 py-1 border border-gray-300 rounded text-xs"
+                    >
+                      {Object.keys(triggerEvents).map(event => (
+                        <option key={event} value={event}>{triggerEventLabels[event] || event}</option>
+                      ))}
+                    </select>
+                    {triggerEvents[newTrigger.event]?.value === 'optional' && (
+                      <select
+                        value={newTrigger.event_value}
+                        onChange={(e) => setNewTrigger({ ...newTrigger, event_value: e.target.value })}
+                        className="px-2 py-1 border border-gray-300 rounded text-xs"
+                      >
+                        <option value="">any</option>
+                        {triggerEvents[newTrigger.event].options.map(option => (
+                          <option key={option} value={option}>{option.replace(/_/g, ' ')}</option>
+                        ))}
+                      </select>
+                    )}
+                    {triggerEvents[newTrigger.event]?.value === 'count' && (
+                      <input
+                        type="number" min="1" placeholder="N"
+                        value={newTrigger.event_value}
+                        onChange={(e) => setNewTrigger({ ...newTrigger, event_value: e.target.value })}
+                        className="w-16 px-2 py-1 border border-gray-300 rounded text-xs"
+                      />
+                    )}
+                    <span className="text-gray-500">send</span>
+                    <select
+                      value={newTrigger.template_type}
+                      onChange={(e) => setNewTrigger({ ...newTrigger, template_type: e.target.value })}
+                      className="px-2 py-1 border border-gray-300 rounded text-xs"
+                    >
+                      <option value="">Template…</option>
+                      {emailTemplates.map(tmpl => (
+                        <option key={tmpl.id} value={tmpl.type}>{tmpl.name}</option>
+                      ))}
+                    </select>
+                    <span className="text-gray-500">after</span>
+                    <input
+                      type="number" min="0" placeholder="default"
+                      value={newTrigger.delay_hours}
+                      onChange={(e) => setNewTrigger({ ...newTrigger, delay_hours: e.target.value })}
+                      className="w-20 px-2 py-1 border border-gray-300 rounded text-xs"
+                    />
+                    <span className="text-gray-500">hours</span>
+                  </div>
+                  <p className="text-xs text-gray-400">Leave the delay blank to use the template's own delay.</p>
+                  <div className="flex gap-2">
+                    <button
+                      onClick={handleSaveTrigger}
+                      disabled={!newTrigger.template_type}
+                      className="text-xs bg-green-600 hover:bg-green-700 text-white px-3 py-1 rounded-lg disabled:opacity-50"
+                    >
+                      Save
+                    </button>
+                    <button
+                      onClick={() => setNewTrigger(null)}
+                      className="text-xs bg-gray-100 hover:bg-gray-200 text-gray-700 px-3 py-1 rounded-lg"
+                    >
+                      Cancel
+                    </button>
+                  </div>
+                </div>
+              )}
+              <div className="space-y-2">
+                {emailTriggers.length === 0 && <p className="text-xs text-gray-400">No triggers yet.</p>}
+                {emailTriggers.map(trigger => {
+                  const template = emailTemplates.find(tmpl => tmpl.type === trigger.template_type);
+                  return (
+                    <div key={trigger.id} className="flex items-center justify-between py-2 border-b border-gray-100 last:border-0">
+                      <div>
+                        <p className="text-sm text-gray-900">
+                          {triggerLabel(trigger)} → {template ? template.name : trigger.template_type}
+                        </p>
+                        <p className="text-xs text-gray-400">
+                          {trigger.delay_hours === null
+                            ? `Template delay${template ? ` (${template.delay_hours}h)` : ''}`
+                            : `${trigger.delay_hours}h later`}
+                        </p>
+                      </div>
+                      <div className="flex items-center gap-2">
+                        <button
+                          onClick={() => handleDeleteTrigger(trigger)}
+                          className="text-xs px-3 py-1 rounded-lg font-medium bg-red-50 text-red-600 hover:bg-red-100"
+                        >
+                          Delete
+                        </button>
+                        <button
+                          onClick={() => handleToggleTrigger(trigger)}
+                          className={`text-xs px-3 py-1 rounded-lg font-medium ${
+                            trigger.is_active ? 'bg-green-100 text-green-700' : 'bg-gray-100 text-gray-500'
+                          }`}
+                        >
+                          {trigger.is_active ? 'Active' : 'Paused'}
+                        </button>
+                      </div>
+                    </div>
+                  );
+                })}
+              </div>
+            </div>
+
             {/* Email Activity Log */}
             <div className="bg-white rounded-xl border border-gray-200 overflow-hidden">
               <div className="px-4 py-3 border-b border-gray-200">
@@ -1522,6 +3044,7 @@ export default function AdminDashboard({ user, onLogout }) {
                       <th className="text-left px-4 py-2 text-xs font-semibold text-gray-500">Template</th>
                       <th className="text-left px-4 py-2 text-xs font-semibold text-gray-500">Status</th>
                       <th className="text-left px-4 py-2 text-xs font-semibold text-gray-500">Date</th>
+                      <th className="text-left px-4 py-2 text-xs font-semibold text-gray-500"></th>
                     </tr>
                   </thead>
                   <tbody className="divide-y divide-gray-100">
@@ -1534,12 +3057,34 @@ export default function AdminDashboard({ user, onLogout }) {
                             email.status === 'sent' ? 'bg-green-100 text-green-700' :
                             email.status === 'pending' ? 'bg-yellow-100 text-yellow-700' :
                             email.status === 'failed' ? 'bg-red-100 text-red-700' :
+                            email.status === 'dead' ? 'bg-gray-800 text-white' :
                             'bg-gray-100 text-gray-500'
                           }`}>
                             {email.status}
                           </span>
+                          {email.attempts > 0 && email.status !== 'sent' && (
+                            <span className="ml-1 text-xs text-gray-400">
+                              {email.attempts} attempt{email.attempts === 1 ? '' : 's'}
+                            </span>
+                          )}
+                          {email.error_message && email.status !== 'sent' && (
+                            <p className="text-xs text-red-500 mt-0.5 truncate max-w-xs" title={email.error_message}>{email.error_message}</p>
+                          )}
+                          {email.status_reason && email.status !== 'sent' && (
+                            <p className="text-xs text-gray-500 mt-0.5 truncate max-w-xs" title={email.status_reason}>{email.status_reason}</p>
+                          )}
                         </td>
                         <td className="px-4 py-2 text-xs text-gray-500">{formatDate(email.sent_at || email.created_at)}</td>
+                        <td className="px-4 py-2">
+                          {(email.status === 'failed' || email.status === 'dead') && (
+                            <button
+                              onClick={() => handleRequeueEmail(email.id)}
+                              className="text-xs text-blue-600 hover:text-blue-800"
+                            >
+                              Requeue
+                            </button>
+                          )}
+                        </td>
                       </tr>
                     ))}
                   </tbody>
@@ -1555,7 +3100,7 @@ export default function AdminDashboard({ user, onLogout }) {
         )}
 
         {/* Revenue Tab */}
-        {activeTab === 'revenue' && user?.role === 'admin' && (
+        {activeTab === 'revenue' && can('revenue') && (
           <div className="space-y-4">
             {/* Summary Cards */}
             {revenueSummary && (
@@ -1767,7 +3312,7 @@ export default function AdminDashboard({ user, onLogout }) {
         )}
 
         {/* Import Tab */}
-        {activeTab === 'import' && user?.role === 'admin' && (
+        {activeTab === 'import' && can('import') && (
           <div className="bg-white rounded-xl border border-gray-200 p-6">
             <h2 className="text-lg font-bold text-gray-900 mb-1">Import Customers</h2>
             <p className="text-sm text-gray-500 mb-6">Upload a CSV file from GolfNow, ClubEssential, or your own spreadsheet.</p>
@@ -1857,7 +3402,7 @@ export default function AdminDashboard({ user, onLogout }) {
         )}
 
         {/* Team Tab */}
-        {activeTab === 'team' && user?.role === 'admin' && (
+        {activeTab === 'team' && can('team') && (
           <div className="space-y-4">
             <div className="flex items-center justify-between">
               <h2 className="text-lg font-semibold text-gray-900">Team Members</h2>
@@ -1918,8 +3463,9 @@ export default function AdminDashboard({ user, onLogout }) {
                       onChange={(e) => setNewUser({ ...newUser, role: e.target.value })}
                       className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-green-500 outline-none bg-white"
                     >
-                      <option value="staff">Staff</option>
-                      <option value="admin">Admin</option>
+                      {Object.entries(roleLabels).map(([value, label]) => (
+                        <option key={value} value={value}>{label}</option>
+                      ))}
                     </select>
                   </div>
                   <div className="sm:col-span-2 flex gap-3">
@@ -1974,11 +3520,11 @@ export default function AdminDashboard({ user, onLogout }) {
                         </td>
                         <td className="px-4 py-3">
                           <span className={`inline-block text-xs px-2 py-1 rounded-full font-medium ${
-                            member.role === 'admin'
+                            member.role === 'admin' || member.role === 'owner'
                               ? 'bg-purple-100 text-purple-700'
                               : 'bg-blue-100 text-blue-700'
                           }`}>
-                            {member.role === 'admin' ? 'Admin' : 'Staff'}
+                            {roleLabels[member.role] || member.role}
                           </span>
                         </td>
                         <td className="px-4 py-3">
@@ -2109,17 +3655,11 @@ export default function AdminDashboard({ user, onLogout }) {
                       {selectedCustomer.captures?.length > 0 ? (
                         <div className="space-y-2">
                           {selectedCustomer.captures.map((cap) => {
-                            const rewardLabels = {
-                              free_beer: '🍺 Free Beer',
-                              free_soft_drink: '🥤 Soft Drink',
-                              pro_shop_5: '🏌️ Pro Shop $5',
-                              food_bev_5: '🍔 Food & Bev $5'
-                            };
                             return (
                               <div key={cap.id} className="bg-gray-50 rounded-lg p-3 flex items-center justify-between">
                                 <div>
                                   <p className="text-sm font-medium text-gray-900">
-                                    {rewardLabels[cap.reward_type] || cap.reward_type || 'Reward'}
+                                    {cap.reward_type ? rewardLabel(cap.reward_type) : 'Reward'}
                                   </p>
                                   <p className="text-xs text-gray-500">
                                     {cap.location_name || 'Unknown location'} &middot; {new Date(cap.created_at).toLocaleDateString()}
@@ -1,8 +1,15 @@
 import { useState, useEffect } from 'react';
+import { useParams } from 'react-router-dom';
 
 const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001';
 
+// Course for the original /capture URLs that predate /c/:slug
+const DEFAULT_COURSE_SLUG = process.env.REACT_APP_DEFAULT_COURSE_SLUG || 'crescent-pointe';
+
 export default function CaptureForm() {
+  const { slug } = useParams();
+  const courseSlug = slug || DEFAULT_COURSE_SLUG;
+  const [course, setCourse] = useState(null);
   const [step, setStep] = useState('form');
   const [formData, setFormData] = useState({
     firstName: '',
@@ -27,20 +34,31 @@ export default function CaptureForm() {
   const [resendStatus, setResendStatus] = useState('');
   const [locationId, setLocationId] = useState(null);
   const [chosenReward, setChosenReward] = useState(null);
+  const [rewardOptions, setRewardOptions] = useState([]);
 
-  const rewardOptions = [
-    { value: 'free_beer', label: 'Free Beer', emoji: '🍺', description: 'A cold one after your round' },
-    { value: 'free_soft_drink', label: 'Free Soft Drink', emoji: '🥤', description: 'Any fountain drink or water' },
-    { value: 'pro_shop_5', label: '$5 Pro Shop Credit', emoji: '🏌️', description: 'Toward any pro shop purchase' },
-    { value: 'food_bev_5', label: '$5 Food & Bev Credit', emoji: '🍔', description: 'At the clubhouse restaurant' }
-  ];
-
-  // Get location from URL params
+  // Get location from URL params and load the course and the rewards it offers
   useEffect(() => {
     const params = new URLSearchParams(window.location.search);
     const loc = params.get('location');
     if (loc) setLocationId(loc);
-  }, []);
+
+    fetch(`${API_URL}/api/courses/${courseSlug}`)
+      .then(res => {
+        if (res.status === 404) setStep('course_not_found');
+        return res.json();
+      })
+      .then(data => setCourse(data.course || null))
+      .catch(err => console.error('Failed to load course:', err));
+
+    const query = new URLSearchParams({ courseSlug });
+    if (loc) query.set('location', loc);
+    fetch(`${API_URL}/api/capture/rewards?${query.toString()}`)
+      .then(res => res.json())
+      .then(data => setRewardOptions(data.rewards || []))
+      .catch(err => console.error('Failed to load rewards:', err));
+  }, [courseSlug]);
+
+  const courseName = course?.name || '';
 
   const checkEmailTypo = (email) => {
     const domain = email.split('@')[1]?.toLowerCase();
@@ -112,7 +130,7 @@ export default function CaptureForm() {
         headers: { 'Content-Type': 'application/json' },
         signal: controller.signal,
         body: JSON.stringify({
-          courseSlug: 'crescent-pointe',
+          courseSlug,
           locationId,
           firstName: formData.firstName,
           lastName: formData.lastName,
@@ -145,7 +163,7 @@ export default function CaptureForm() {
       } else if (data.error === 'already_claimed') {
         setStep('already_claimed');
       } else {
-        throw new Error(data.error || 'Something went wrong');
+        throw new Error(data.message || data.error || 'Something went wrong');
       }
     } catch (error) {
       console.error('Capture error:', error);
@@ -174,11 +192,22 @@ export default function CaptureForm() {
     if (errors[field]) setErrors({ ...errors, [field]: null });
   };
 
+  if (step === 'course_not_found') {
+    return (
+      <div className="min-h-screen bg-gradient-to-b from-green-800 to-green-900 flex items-center justify-center px-4">
+        <div className="bg-white rounded-2xl shadow-xl p-6 max-w-md mx-auto text-center">
+          <h2 className="text-xl font-bold text-gray-800 mb-1">Course not found</h2>
+          <p className="text-gray-500 text-sm">This link doesn't match a course. Please ask a staff member for help.</p>
+        </div>
+      </div>
+    );
+  }
+
   if (step === 'form' || step === 'submitting') {
     return (
       <div className="min-h-screen bg-gradient-to-b from-green-800 to-green-900 flex flex-col">
         <div className="bg-green-900/50 px-6 py-4 text-center">
-          <h1 className="text-xl font-bold text-white">Crescent Pointe</h1>
+          <h1 className="text-xl font-bold text-white">{courseName}</h1>
           <p className="text-green-200 mt-1 text-sm">Pick a free reward on us!</p>
         </div>
         
@@ -404,7 +433,7 @@ export default function CaptureForm() {
               </div>
 
               <div>
-                <label className="block text-xs font-medium text-gray-600 mb-1.5">First time at Crescent Pointe?</label>
+                <label className="block text-xs font-medium text-gray-600 mb-1.5">First time at {courseName || 'our course'}?</label>
                 <div className="grid grid-cols-2 gap-2">
                   <button
                     type="button"
@@ -439,14 +468,14 @@ export default function CaptureForm() {
                 <div className="grid grid-cols-2 gap-2">
                   {rewardOptions.map((option) => (
                     <button
-                      key={option.value}
+                      key={option.type}
                       type="button"
                       onClick={() => {
-                        setChosenReward(option.value);
+                        setChosenReward(option.type);
                         if (errors.chosenReward) setErrors({ ...errors, chosenReward: null });
                       }}
                       className={`p-3 rounded-lg border-2 text-left transition ${
-                        chosenReward === option.value
+                        chosenReward === option.type
                           ? 'border-green-600 bg-green-50'
                           : errors.chosenReward
                             ? 'border-red-300'
@@ -456,7 +485,7 @@ export default function CaptureForm() {
                     >
                       <span className="text-xl block mb-1">{option.emoji}</span>
                       <span className={`text-xs font-semibold block ${
-                        chosenReward === option.value ? 'text-green-700' : 'text-gray-800'
+                        chosenReward === option.type ? 'text-green-700' : 'text-gray-800'
                       }`}>{option.label}</span>
                       <span className="text-xs text-gray-500 block">{option.description}</span>
                     </button>
@@ -500,7 +529,7 @@ export default function CaptureForm() {
         const response = await fetch(`${API_URL}/api/rewards/resend`, {
           method: 'POST',
           headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ email: formData.email })
+          body: JSON.stringify({ email: formData.email, courseSlug })
         });
         if (response.ok) {
           setResendStatus('sent');
@@ -515,7 +544,7 @@ export default function CaptureForm() {
     return (
       <div className="min-h-screen bg-gradient-to-b from-amber-600 to-amber-700 flex flex-col">
         <div className="bg-amber-800/50 px-6 py-5 text-center">
-          <h1 className="text-xl font-bold text-white">Crescent Pointe</h1>
+          <h1 className="text-xl font-bold text-white">{courseName}</h1>
         </div>
 
         <div className="flex-1 px-4 py-6 flex items-center justify-center">
@@ -556,7 +585,7 @@ export default function CaptureForm() {
   return (
     <div className="min-h-screen bg-gradient-to-b from-green-800 to-green-900 flex flex-col">
       <div className="bg-green-900/50 px-6 py-5 text-center">
-        <h1 className="text-xl font-bold text-white">Crescent Pointe</h1>
+        <h1 className="text-xl font-bold text-white">{courseName}</h1>
       </div>
 
       <div className="flex-1 px-4 py-6 flex items-center justify-center">
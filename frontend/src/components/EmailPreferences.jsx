@@ -0,0 +1,141 @@
+import { useState, useEffect } from 'react';
+import { useParams } from 'react-router-dom';
+
+const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001';
+
+const categoryDetails = {
+  rewards: { label: 'Rewards', description: 'Thank-you notes and rewards after your visits' },
+  membership: { label: 'Membership offers', description: 'Membership options and invitations' },
+  events: { label: 'Events', description: 'Tournaments, leagues and special events' }
+};
+
+// Public page linked from every email; the signed ?sig= stands in for a login
+export default function EmailPreferences() {
+  const { customerId } = useParams();
+  const sig = new URLSearchParams(window.location.search).get('sig') || '';
+  const [info, setInfo] = useState(null);
+  const [preferences, setPreferences] = useState({});
+  const [optedOut, setOptedOut] = useState(false);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const preferencesUrl = `${API_URL}/api/email/preferences/${customerId}?sig=${encodeURIComponent(sig)}`;
+
+  useEffect(() => {
+    fetch(preferencesUrl)
+      .then(res => res.json())
+      .then(data => {
+        if (data.error) {
+          setError(data.error);
+          return;
+        }
+        setInfo(data);
+        setPreferences(data.preferences);
+        setOptedOut(data.optedOut);
+      })
+      .catch(() => setError('Could not load your email preferences.'));
+  }, [preferencesUrl]);
+
+  const save = async (unsubscribeAll) => {
+    setSaving(true);
+    setMessage('');
+    try {
+      const res = await fetch(preferencesUrl, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ preferences, optedOut: unsubscribeAll })
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        setMessage(data.error || 'Could not save your preferences.');
+      } else {
+        setPreferences(data.preferences);
+        setOptedOut(data.optedOut);
+        setMessage(data.optedOut ? 'You have been unsubscribed from all emails.' : 'Your preferences have been saved.');
+      }
+    } catch (err) {
+      setMessage('Could not save your preferences.');
+    }
+    setSaving(false);
+  };
+
+  if (error) {
+    return (
+      <div className="min-h-screen bg-gradient-to-b from-green-800 to-green-900 flex items-center justify-center px-4">
+        <div className="bg-white rounded-2xl shadow-xl p-6 max-w-md mx-auto text-center">
+          <h2 className="text-xl font-bold text-gray-800 mb-1">Link not valid</h2>
+          <p className="text-gray-500 text-sm">{error}</p>
+        </div>
+      </div>
+    );
+  }
+
+  if (!info) {
+    return <div className="min-h-screen bg-gradient-to-b from-green-800 to-green-900" />;
+  }
+
+  return (
+    <div className="min-h-screen bg-gradient-to-b from-green-800 to-green-900 flex flex-col">
+      <div className="bg-green-900/50 px-6 py-4 text-center">
+        {info.course.logoUrl && <img src={info.course.logoUrl} alt="" className="h-10 mx-auto mb-2" />}
+        <h1 className="text-xl font-bold text-white">{info.course.name}</h1>
+        <p className="text-green-200 mt-1 text-sm">Email preferences for {info.email}</p>
+      </div>
+
+      <div className="flex-1 px-4 py-3">
+        <div className="bg-white rounded-2xl shadow-xl p-4 max-w-md mx-auto space-y-4">
+          <p className="text-sm text-gray-600">
+            {info.firstName ? `Hi ${info.firstName}, choose` : 'Choose'} which emails you'd like to get from us.
+          </p>
+
+          {optedOut && (
+            <p className="text-sm bg-amber-50 border border-amber-200 text-amber-800 rounded-lg px-3 py-2">
+              You're unsubscribed from all emails. Saving your choices below will subscribe you again.
+            </p>
+          )}
+
+          <div className="space-y-2">
+            {info.categories.map(category => (
+              <label
+                key={category}
+                className="flex items-start gap-3 p-3 border-2 border-gray-200 rounded-xl cursor-pointer hover:border-green-300"
+              >
+                <input
+                  type="checkbox"
+                  checked={preferences[category] !== false}
+                  onChange={(e) => setPreferences({ ...preferences, [category]: e.target.checked })}
+                  className="mt-1 h-4 w-4 accent-green-600"
+                />
+                <span>
+                  <span className="block font-medium text-gray-900">{categoryDetails[category]?.label || category}</span>
+                  <span className="block text-xs text-gray-500">{categoryDetails[category]?.description}</span>
+                </span>
+              </label>
+            ))}
+          </div>
+
+          {message && <p className="text-sm text-center text-green-700">{message}</p>}
+
+          <button
+            onClick={() => save(false)}
+            disabled={saving}
+            className="w-full bg-green-600 hover:bg-green-700 text-white py-3 rounded-xl font-semibold disabled:opacity-50"
+          >
+            Save Preferences
+          </button>
+          <button
+            onClick={() => save(true)}
+            disabled={saving || optedOut}
+            className="w-full text-sm text-gray-500 hover:text-gray-700 underline disabled:opacity-50"
+          >
+            Unsubscribe from all emails
+          </button>
+          <p className="text-xs text-gray-400 text-center">
+            Reward codes you request at the course are still emailed to you.
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,270 @@
+import { useState, useEffect, useRef } from 'react';
+
+const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001';
+
+const statusStyles = {
+  valid: { label: 'Valid', className: 'bg-green-100 text-green-800' },
+  redeemed: { label: 'Already redeemed', className: 'bg-gray-200 text-gray-700' },
+  expired: { label: 'Expired', className: 'bg-red-100 text-red-800' },
+  not_yet_valid: { label: 'Not valid yet', className: 'bg-yellow-100 text-yellow-800' }
+};
+
+const formatDateTime = (value) => (value ? new Date(value).toLocaleString() : '');
+
+function StaffRedeem({ user, onLogout }) {
+  const [code, setCode] = useState('');
+  const [reward, setReward] = useState(null);
+  const [message, setMessage] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [scanning, setScanning] = useState(false);
+  const [cameraError, setCameraError] = useState('');
+
+  const inputRef = useRef(null);
+  const videoRef = useRef(null);
+  const streamRef = useRef(null);
+  const scanTimerRef = useRef(null);
+
+  const authHeaders = () => ({
+    'Content-Type': 'application/json',
+    'Authorization': `Bearer ${localStorage.getItem('adminToken')}`
+  });
+
+  // Keyboard-wedge scanners type into whatever has focus, so keep the code box focused
+  const focusInput = () => {
+    if (inputRef.current) inputRef.current.focus();
+  };
+
+  useEffect(() => {
+    return () => stopCamera();
+  }, []);
+
+  // The input is disabled while loading and can't take focus until React re-enables it
+  useEffect(() => {
+    if (!loading && inputRef.current) inputRef.current.focus();
+  }, [loading]);
+
+  const lookupCode = async (rawCode) => {
+    const value = rawCode.trim().toUpperCase();
+    if (!value) return;
+
+    setLoading(true);
+    setMessage(null);
+    setReward(null);
+    try {
+      const res = await fetch(`${API_URL}/api/rewards/${encodeURIComponent(value)}`, { headers: authHeaders() });
+      const data = await res.json();
+      if (!res.ok) {
+        setMessage({ success: false, text: data.message || data.error || 'Code not found' });
+      } else {
+        setReward(data.reward);
+      }
+    } catch (err) {
+      setMessage({ success: false, text: 'Failed to look up code' });
+    }
+    setLoading(false);
+    setCode('');
+  };
+
+  const handleConfirm = async () => {
+    if (!reward) return;
+
+    setLoading(true);
+    try {
+      const res = await fetch(`${API_URL}/api/rewards/${encodeURIComponent(reward.reward_code)}/redeem`, {
+        method: 'POST',
+        headers: authHeaders()
+      });
+      const data = await res.json();
+      if (data.success) {
+        setMessage({ success: true, text: `Redeemed for ${reward.first_name || 'guest'}` });
+        setReward(null);
+      } else {
+        setMessage({ success: false, text: data.message || data.error || 'Could not redeem code' });
+      }
+    } catch (err) {
+      setMessage({ success: false, text: 'Failed to redeem code' });
+    }
+    setLoading(false);
+  };
+
+  const handleCancel = () => {
+    setReward(null);
+    setMessage(null);
+    focusInput();
+  };
+
+  // ---- Camera scanning (BarcodeDetector where the browser supports it) ----
+  const stopCamera = () => {
+    if (scanTimerRef.current) clearInterval(scanTimerRef.current);
+    scanTimerRef.current = null;
+    if (streamRef.current) streamRef.current.getTracks().forEach(track => track.stop());
+    streamRef.current = null;
+    setScanning(false);
+  };
+
+  const startCamera = async () => {
+    setCameraError('');
+    if (!('BarcodeDetector' in window) || !navigator.mediaDevices) {
+      setCameraError('Camera scanning isn\'t supported in this browser. Use a scanner or type the code.');
+      return;
+    }
+
+    try {
+      const stream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } });
+      streamRef.current = stream;
+      setScanning(true);
+      videoRef.current.srcObject = stream;
+      await videoRef.current.play();
+
+      const detector = new window.BarcodeDetector({ formats: ['qr_code'] });
+      scanTimerRef.current = setInterval(async () => {
+        try {
+          const codes = await detector.detect(videoRef.current);
+          if (codes.length > 0) {
+            stopCamera();
+            lookupCode(codes[0].rawValue);
+          }
+        } catch (err) {
+          // Frame not ready yet — try again on the next tick
+        }
+      }, 300);
+    } catch (err) {
+      stopCamera();
+      setCameraError('Could not open the camera. Check the browser\'s camera permission.');
+    }
+  };
+
+  const status = reward ? statusStyles[reward.status] || statusStyles.valid : null;
+
+  return (
+    <div className="min-h-screen bg-gray-100">
+      {/* Header */}
+      <div className="bg-white border-b border-gray-200 px-4 py-3">
+        <div className="max-w-xl mx-auto flex items-center justify-between">
+          <div>
+            <h1 className="text-lg font-bold text-gray-900">Redeem Rewards</h1>
+            {user && <p className="text-xs text-gray-500">Signed in as {user.name}</p>}
+          </div>
+          <div className="flex items-center gap-2">
+            <a href="/admin" className="text-sm text-green-700 hover:text-green-800 font-medium">Dashboard</a>
+            <button
+              onClick={onLogout}
+              className="bg-gray-200 hover:bg-gray-300 text-gray-700 px-3 py-2 rounded-lg text-sm font-medium"
+            >
+              Logout
+            </button>
+          </div>
+        </div>
+      </div>
+
+      <div className="max-w-xl mx-auto p-4 space-y-4">
+        {/* Code entry — scanners send the code followed by Enter */}
+        <form
+          onSubmit={(e) => { e.preventDefault(); lookupCode(code); }}
+          className="bg-white rounded-xl border border-gray-200 p-4 space-y-3"
+        >
+          <input
+            ref={inputRef}
+            type="text"
+            value={code}
+            onChange={(e) => setCode(e.target.value.toUpperCase())}
+            placeholder="Scan or enter reward code"
+            className="w-full px-4 py-4 border-2 border-amber-300 rounded-xl text-xl font-mono text-center tracking-widest focus:ring-2 focus:ring-amber-500 focus:border-amber-500 outline-none"
+            autoComplete="off"
+            disabled={loading}
+          />
+          <div className="flex gap-2">
+            <button
+              type="submit"
+              disabled={loading || !code.trim()}
+              className="flex-1 bg-amber-500 hover:bg-amber-600 text-white py-3 rounded-xl font-semibold disabled:opacity-50"
+            >
+              Look Up
+            </button>
+            <button
+              type="button"
+              onClick={scanning ? stopCamera : startCamera}
+              className="flex-1 bg-gray-800 hover:bg-gray-900 text-white py-3 rounded-xl font-semibold"
+            >
+              {scanning ? 'Stop Camera' : 'Scan with Camera'}
+            </button>
+          </div>
+          {cameraError && <p className="text-sm text-red-600">{cameraError}</p>}
+          <video
+            ref={videoRef}
+            className={`w-full rounded-xl bg-black ${scanning ? '' : 'hidden'}`}
+            muted
+            playsInline
+          />
+        </form>
+
+        {/* Result toast */}
+        {message && (
+          <div className={`px-4 py-3 rounded-xl text-center font-medium ${message.success ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800'}`}>
+            {message.success ? '✓ ' : '✗ '}{message.text}
+          </div>
+        )}
+
+        {/* Confirm card */}
+        {reward && (
+          <div className="bg-white rounded-xl border border-gray-200 p-5 space-y-4">
+            <div className="flex items-start justify-between">
+              <div>
+                <p className="text-xs text-gray-500">Customer</p>
+                <p className="text-xl font-bold text-gray-900">
+                  {[reward.first_name, reward.last_name].filter(Boolean).join(' ') || 'Guest'}
+                </p>
+                {reward.visit_count > 0 && (
+                  <p className="text-xs text-gray-500">Visit #{reward.visit_count}</p>
+                )}
+              </div>
+              <span className={`text-xs font-medium px-2 py-1 rounded-full ${status.className}`}>{status.label}</span>
+            </div>
+
+            <div className="bg-amber-50 border border-amber-200 rounded-xl p-4 text-center">
+              <p className="text-3xl">{reward.reward_emoji || '🎁'}</p>
+              <p className="text-lg font-semibold text-gray-900 mt-1">{reward.reward_label || reward.reward_type}</p>
+              {reward.reward_description && (
+                <p className="text-sm text-gray-600">{reward.reward_description}</p>
+              )}
+              <p className="text-xs font-mono text-gray-400 mt-2">{reward.reward_code}</p>
+            </div>
+
+            <div className="text-xs text-gray-500 space-y-1">
+              {reward.location_name && <p>Captured at {reward.location_name}</p>}
+              {reward.expires_at && (
+                <p>{reward.status === 'expired' ? 'Expired' : 'Expires'} {formatDateTime(reward.expires_at)}</p>
+              )}
+              {reward.reward_redeemed && (
+                <p>
+                  Redeemed {formatDateTime(reward.reward_redeemed_at)}
+                  {(reward.redeemed_by_name || reward.reward_redeemed_by) && ` by ${reward.redeemed_by_name || reward.reward_redeemed_by}`}
+                </p>
+              )}
+            </div>
+
+            <div className="flex gap-2">
+              <button
+                onClick={handleCancel}
+                className="flex-1 bg-gray-200 hover:bg-gray-300 text-gray-700 py-3 rounded-xl font-semibold"
+              >
+                Cancel
+              </button>
+              {reward.status === 'valid' && (
+                <button
+                  onClick={handleConfirm}
+                  disabled={loading}
+                  className="flex-1 bg-green-600 hover:bg-green-700 text-white py-3 rounded-xl font-semibold disabled:opacity-50"
+                >
+                  Confirm Redemption
+                </button>
+              )}
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default StaffRedeem;